@@ -0,0 +1,254 @@
+/**
+ * index.js
+ * Main game controller - Geography Run & Jump on the shared versus engine
+ */
+
+import { VersusEngine } from '../shared/VersusEngine.js';
+import { ChoicePanel } from '../shared/modules/ChoicePanel.js';
+import { GeographyQuestionSource } from './modules/GeographyQuestionSource.js';
+import { RunnerCourse } from './modules/RunnerCourse.js';
+import { RunnerRenderer } from './modules/RunnerRenderer.js';
+import { drawWorldMap } from './modules/WorldMap.js';
+
+const COURSE_LENGTH = 10;
+const DEFAULT_LIVES = 3;
+const FEEDBACK_DELAY = 2000;
+
+class GeographyRunAndJump extends VersusEngine {
+    constructor() {
+        const course = new RunnerCourse(1, COURSE_LENGTH, DEFAULT_LIVES);
+
+        super({
+            name: 'Geography Run & Jump',
+            questionSource: new GeographyQuestionSource(),
+            createRenderer: (canvas) => new RunnerRenderer(canvas, {
+                courseLength: COURSE_LENGTH,
+                segmentDuration: FEEDBACK_DELAY - 200
+            }),
+            canvasId: 'runnerCanvas',
+            moveRule: (gameState, isCorrect) => (isCorrect
+                ? course.clear(gameState.currentPlayer)
+                : course.stumble(gameState.currentPlayer)),
+            winRule: () => course.getWinner(),
+            feedbackDelay: FEEDBACK_DELAY
+        });
+
+        this.course = course;
+        this.choicePanel = null;
+        this.gameState.updateSettings({ playerCount: 1, questionType: 'mixed', lives: DEFAULT_LIVES });
+        this.scoreManager.setPlayerCount(1);
+    }
+
+    /**
+     * Initialize the game and load the offline question data
+     */
+    async init() {
+        await super.init();
+        this.choicePanel = new ChoicePanel(this.elements.choicesDisplay);
+
+        try {
+            await this.questionSource.load();
+            this.renderer.setLandmasses(this.questionSource.getLandmasses());
+        } catch (error) {
+            console.error('Could not load geography questions', error);
+            this.uiController.updateQuestion('⚠️ Could not load the geography questions.');
+            if (this.elements.startBtn) this.elements.startBtn.disabled = true;
+        }
+    }
+
+    /**
+     * Cache DOM elements, including choices, map inset and runner settings
+     * @private
+     */
+    _cacheElements() {
+        super._cacheElements();
+        this.elements.choicesDisplay = document.getElementById('choicesDisplay');
+        this.elements.mapCanvas = document.getElementById('mapCanvas');
+        this.elements.lives1Display = document.getElementById('lives1');
+        this.elements.lives2Display = document.getElementById('lives2');
+        this.elements.playerCountSelect = document.getElementById('playerCountSelect');
+        this.elements.questionTypeSelect = document.getElementById('questionTypeSelect');
+        this.elements.livesSelect = document.getElementById('livesSelect');
+    }
+
+    /**
+     * Setup settings listeners, including runners, question type and lives
+     * @private
+     */
+    _setupSettingsListeners() {
+        super._setupSettingsListeners();
+
+        if (this.elements.playerCountSelect) {
+            this.elements.playerCountSelect.addEventListener('change', (e) => {
+                this.setRunnerCount(parseInt(e.target.value));
+            });
+        }
+
+        if (this.elements.questionTypeSelect) {
+            this.elements.questionTypeSelect.addEventListener('change', (e) => {
+                this.gameState.updateSettings({ questionType: e.target.value });
+            });
+        }
+
+        if (this.elements.livesSelect) {
+            this.elements.livesSelect.addEventListener('change', (e) => {
+                const lives = parseInt(e.target.value);
+                this.gameState.updateSettings({ lives });
+                this.course.setLives(lives);
+                this.resetBoard();
+            });
+        }
+    }
+
+    /**
+     * Initialize UI for a solo run
+     * @private
+     */
+    _initializeUI() {
+        super._initializeUI();
+        this.uiController.updatePlayerCount(this.gameState.settings.playerCount);
+        this._updateLives();
+    }
+
+    /**
+     * Settings controls locked while a match is running
+     * @private
+     */
+    _getSettingsControls() {
+        return [
+            ...super._getSettingsControls(),
+            this.elements.playerCountSelect,
+            this.elements.questionTypeSelect,
+            this.elements.livesSelect
+        ];
+    }
+
+    /**
+     * Change between a solo run and a two-runner race
+     * @param {number} count - Number of runners (1-2)
+     */
+    setRunnerCount(count) {
+        if (count < 1 || count > 2) return;
+
+        this.gameState.updateSettings({ playerCount: count });
+        this.scoreManager.setPlayerCount(count);
+        this.course.setRunnerCount(count);
+
+        this.uiController.updatePlayerCount(count);
+        this.uiController.displayScore(this.scoreManager.getScores());
+        this.resetBoard();
+    }
+
+    /**
+     * Show the current runner at their obstacle, then ask the question
+     */
+    nextQuestion() {
+        this.renderer.showRunner(this.course.getRunner(this.gameState.currentPlayer));
+        super.nextQuestion();
+
+        const question = this.gameState.currentQuestion;
+        this._drawMapInset(question.highlight);
+        this.choicePanel.render(question.choices, (choice) => this.submitAnswer(choice));
+    }
+
+    /**
+     * Process the answer, reveal the right choice and end a solo run
+     * once every life is gone
+     * @param {boolean} isCorrect - Whether answer was correct
+     * @param {string} userAnswer - Chosen option
+     */
+    processAnswer(isCorrect, userAnswer = '') {
+        this.choicePanel.reveal(this.gameState.currentQuestion.answer, userAnswer);
+
+        super.processAnswer(isCorrect, userAnswer);
+        this._updateLives();
+
+        if (this.gameState.gameStatus === 'playing' && this.course.isRunOver()) {
+            this.handleRunOver();
+        }
+    }
+
+    /**
+     * End the run when every runner is out of lives
+     */
+    handleRunOver() {
+        this.gameState.end();
+        this.stopTimer();
+        this.uiController.setInputEnabled(false);
+
+        const progress = this.course.getRunner(1).progress;
+        this.uiController.showGameOverOverlay(
+            `Out of Lives! ${progress}/${COURSE_LENGTH} Cleared`,
+            this.scoreManager.getScores()
+        );
+    }
+
+    /**
+     * Reset game and clear the choice buttons and map inset
+     */
+    resetGame() {
+        super.resetGame();
+        this.choicePanel.clear();
+        this._drawMapInset(null);
+        this._updateLives();
+    }
+
+    /**
+     * Send every runner back to the start
+     */
+    resetBoard() {
+        this.course.reset();
+        this.renderer.showRunner(this.course.getRunner(1));
+        this._updateLives();
+    }
+
+    /**
+     * Show hearts for each runner's remaining lives
+     * @private
+     */
+    _updateLives() {
+        for (let player = 1; player <= 2; player++) {
+            const display = this.elements[`lives${player}Display`];
+            if (display && player <= this.course.runnerCount) {
+                display.textContent = '❤️'.repeat(this.course.getRunner(player).lives) || '💔';
+            }
+        }
+    }
+
+    /**
+     * Draw the world map inset for highlighted-country questions
+     * @private
+     */
+    _drawMapInset(highlight) {
+        const canvas = this.elements.mapCanvas;
+        if (!canvas) return;
+
+        if (!highlight) {
+            canvas.style.display = 'none';
+            return;
+        }
+
+        canvas.style.display = 'block';
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        drawWorldMap(ctx, this.questionSource.getLandmasses(), {
+            width: canvas.width,
+            height: canvas.height,
+            highlight
+        });
+    }
+}
+
+// Initialize game when DOM is ready
+document.addEventListener('DOMContentLoaded', async () => {
+    const game = new GeographyRunAndJump();
+    await game.init();
+
+    // Cleanup on page unload
+    window.addEventListener('beforeunload', () => {
+        game.cleanup();
+    });
+
+    // Expose to window for debugging
+    window.geographyGame = game;
+});
@@ -0,0 +1,180 @@
+/**
+ * GeographyQuestionSource.js
+ * Builds multiple-choice geography questions (capitals, continents,
+ * flags, highlighted country) from the bundled offline JSON data
+ */
+
+export class GeographyQuestionSource {
+    /**
+     * @param {string|URL} dataUrl - Location of the geography JSON file
+     */
+    constructor(dataUrl = new URL('../data/geography.json', import.meta.url)) {
+        this.dataUrl = dataUrl;
+        this.data = null;
+        this.questionTypes = ['capital', 'continent', 'flag', 'highlight'];
+        this.choiceCount = 4;
+
+        // Avoid repeating a country until every country has been used
+        this.usedCountries = new Set();
+    }
+
+    /**
+     * Load question data
+     * @throws {Error} When the data file cannot be loaded
+     */
+    async load() {
+        const response = await fetch(this.dataUrl);
+        if (!response.ok) {
+            throw new Error(`Failed to load geography data (${response.status})`);
+        }
+        this.data = await response.json();
+    }
+
+    /**
+     * Get landmass outlines for drawing the world map
+     * @returns {object[]} Landmasses with name and [lon, lat] outline
+     */
+    getLandmasses() {
+        return this.data ? this.data.landmasses : [];
+    }
+
+    /**
+     * Build the next question
+     * @param {object} settings - Game settings (questionType)
+     * @returns {object} Question object with text, answer, choices, operation and highlight
+     */
+    next(settings) {
+        const country = this._pickCountry();
+        const questionType = !settings.questionType || settings.questionType === 'mixed'
+            ? this._getRandomQuestionType()
+            : settings.questionType;
+
+        switch (questionType) {
+            case 'capital':
+                return this._generateCapital(country);
+            case 'continent':
+                return this._generateContinent(country);
+            case 'flag':
+                return this._generateFlag(country);
+            case 'highlight':
+                return this._generateHighlight(country);
+            default:
+                return this._generateCapital(country);
+        }
+    }
+
+    /**
+     * Validate chosen answer
+     * @param {string} userAnswer - Chosen option
+     * @param {object} question - Current question
+     * @returns {boolean} True if correct
+     */
+    validate(userAnswer, question) {
+        if (userAnswer === '' || userAnswer === null || userAnswer === undefined) {
+            return false;
+        }
+        return userAnswer === question.answer;
+    }
+
+    /**
+     * Get random question type for mixed mode
+     * @private
+     */
+    _getRandomQuestionType() {
+        return this.questionTypes[Math.floor(Math.random() * this.questionTypes.length)];
+    }
+
+    /**
+     * Pick an unused country
+     * @private
+     */
+    _pickCountry() {
+        const countries = this.data.countries;
+        let available = countries.filter(country => !this.usedCountries.has(country.name));
+
+        // Start over once every country has been used
+        if (available.length === 0) {
+            this.usedCountries.clear();
+            available = countries;
+        }
+
+        const country = available[Math.floor(Math.random() * available.length)];
+        this.usedCountries.add(country.name);
+        return country;
+    }
+
+    /**
+     * Build shuffled choices: the answer plus distinct distractors
+     * @private
+     */
+    _buildChoices(answer, pool) {
+        const distractors = this._shuffle(pool.filter(option => option !== answer))
+            .slice(0, this.choiceCount - 1);
+        return this._shuffle([answer, ...distractors]);
+    }
+
+    /**
+     * Generate capital-city question
+     * @private
+     */
+    _generateCapital(country) {
+        return {
+            text: `🏛️ What is the capital of ${country.name}?`,
+            answer: country.capital,
+            choices: this._buildChoices(country.capital, this.data.countries.map(c => c.capital)),
+            operation: 'capital'
+        };
+    }
+
+    /**
+     * Generate continent question
+     * @private
+     */
+    _generateContinent(country) {
+        return {
+            text: `🌍 Which continent is ${country.name} in?`,
+            answer: country.continent,
+            choices: this._buildChoices(country.continent, this.data.continents),
+            operation: 'continent'
+        };
+    }
+
+    /**
+     * Generate flag question
+     * @private
+     */
+    _generateFlag(country) {
+        return {
+            text: `Which country has this flag? ${country.flag}`,
+            answer: country.name,
+            choices: this._buildChoices(country.name, this.data.countries.map(c => c.name)),
+            operation: 'flag'
+        };
+    }
+
+    /**
+     * Generate highlighted-country question
+     * @private
+     */
+    _generateHighlight(country) {
+        return {
+            text: '📍 Which country is highlighted on the map?',
+            answer: country.name,
+            choices: this._buildChoices(country.name, this.data.countries.map(c => c.name)),
+            operation: 'highlight',
+            highlight: { lat: country.lat, lon: country.lon }
+        };
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     * @private
+     */
+    _shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+}
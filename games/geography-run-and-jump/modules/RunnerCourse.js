@@ -0,0 +1,107 @@
+/**
+ * RunnerCourse.js
+ * Tracks each runner's progress along the obstacle course and their lives
+ */
+
+export class RunnerCourse {
+    /**
+     * @param {number} runnerCount - Number of runners (1-2)
+     * @param {number} courseLength - Obstacles between the start and the finish
+     * @param {number} lives - Lives each runner starts with
+     */
+    constructor(runnerCount = 1, courseLength = 10, lives = 3) {
+        this.runnerCount = runnerCount;
+        this.courseLength = courseLength;
+        this.startingLives = lives;
+        this.reset();
+    }
+
+    /**
+     * Set number of runners and restart the course
+     * @param {number} count - Number of runners
+     */
+    setRunnerCount(count) {
+        this.runnerCount = count;
+        this.reset();
+    }
+
+    /**
+     * Set starting lives and restart the course
+     * @param {number} lives - Lives per runner
+     */
+    setLives(lives) {
+        this.startingLives = lives;
+        this.reset();
+    }
+
+    /**
+     * Runner jumps the obstacle in front of them
+     * @param {number} player - Player number
+     * @returns {object} Runner state with outcome 'jump'
+     */
+    clear(player) {
+        const runner = this.runners[player - 1];
+        runner.progress = Math.min(this.courseLength, runner.progress + 1);
+        return { ...this.getRunner(player), outcome: 'jump' };
+    }
+
+    /**
+     * Runner crashes into the obstacle and loses a life
+     * @param {number} player - Player number
+     * @returns {object} Runner state with outcome 'stumble'
+     */
+    stumble(player) {
+        const runner = this.runners[player - 1];
+        runner.lives = Math.max(0, runner.lives - 1);
+        return { ...this.getRunner(player), outcome: 'stumble' };
+    }
+
+    /**
+     * Get a runner's state
+     * @param {number} player - Player number
+     * @returns {object} Runner state {player, progress, lives, courseLength}
+     */
+    getRunner(player) {
+        return { ...this.runners[player - 1], courseLength: this.courseLength };
+    }
+
+    /**
+     * Check whether the race is decided
+     * First runner over the finish line wins; in a race, the last runner
+     * with lives left also wins
+     * @returns {string|null} Winner ('player1', 'player2') or null
+     */
+    getWinner() {
+        const finished = this.runners.find(runner => runner.progress >= this.courseLength);
+        if (finished) {
+            return `player${finished.player}`;
+        }
+
+        if (this.runnerCount > 1) {
+            const alive = this.runners.filter(runner => runner.lives > 0);
+            if (alive.length === 1) {
+                return `player${alive[0].player}`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether every runner is out of lives
+     * @returns {boolean} True when nobody can keep running
+     */
+    isRunOver() {
+        return this.runners.every(runner => runner.lives === 0);
+    }
+
+    /**
+     * Send all runners back to the start with full lives
+     */
+    reset() {
+        this.runners = [];
+        for (let player = 1; player <= this.runnerCount; player++) {
+            this.runners.push({ player, progress: 0, lives: this.startingLives });
+        }
+    }
+}
@@ -0,0 +1,366 @@
+/**
+ * RunnerRenderer.js
+ * Side-scrolling runner drawn with Canvas on a world-map background
+ * Jumps and stumbles are animated with requestAnimationFrame
+ */
+
+import { drawWorldMap } from './WorldMap.js';
+
+const OBSTACLE_SPACING = 320; // px between obstacles
+const OBSTACLE_GAP = 70;      // px between a waiting runner and the obstacle
+const JUMP_HEIGHT = 70;       // px at the top of a jump
+const RUNNER_COLORS = ['#EF4444', '#3B82F6'];
+
+export class RunnerRenderer {
+    /**
+     * @param {HTMLCanvasElement} canvasElement - Canvas to draw on
+     * @param {object} options - {courseLength, segmentDuration}
+     */
+    constructor(canvasElement, { courseLength = 10, segmentDuration = 1800 } = {}) {
+        this.canvas = canvasElement;
+        this.ctx = this.canvas.getContext('2d');
+        this.courseLength = courseLength;
+        this.animationFrameId = null;
+
+        // World map background (pre-rendered once landmasses are known)
+        this.landmasses = [];
+        this.mapImage = null;
+
+        // Runner being shown
+        this.runner = { player: 1, progress: 0, lives: 3 };
+        this.scroll = this._scrollFor(0);
+
+        // Animation state
+        this.isAnimating = false;
+        this.animationStart = null;
+        this.animationDuration = segmentDuration; // ms
+        this.outcome = null;
+        this.startScroll = 0;
+        this.endScroll = 0;
+        this.animationProgress = 0;
+
+        // Setup canvas size
+        this.resizeCanvas = this.resizeCanvas.bind(this);
+        this.resizeCanvas();
+        window.addEventListener('resize', this.resizeCanvas);
+    }
+
+    /**
+     * Resize canvas to match display size
+     */
+    resizeCanvas() {
+        const rect = this.canvas.getBoundingClientRect();
+        this.canvas.width = rect.width * window.devicePixelRatio;
+        this.canvas.height = rect.height * window.devicePixelRatio;
+        this.ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+        this._renderMapImage();
+        this.draw();
+    }
+
+    /**
+     * Set landmass outlines for the world-map background
+     * @param {object[]} landmasses - Landmasses with [lon, lat] outlines
+     */
+    setLandmasses(landmasses) {
+        this.landmasses = landmasses;
+        this._renderMapImage();
+        this.draw();
+    }
+
+    /**
+     * Jump straight to a runner waiting at their next obstacle
+     * @param {object} runner - Runner state {player, progress, lives}
+     */
+    showRunner(runner) {
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+
+        this.isAnimating = false;
+        this.outcome = null;
+        this.runner = { ...runner };
+        this.scroll = this._scrollFor(runner.progress);
+        this.draw();
+    }
+
+    /**
+     * Animate the runner's attempt at the obstacle
+     * 'jump' clears it and runs on to the next one; 'stumble' crashes into it
+     * @param {object|number} runner - Runner state with outcome, or 0 to return to the start
+     */
+    animateTo(runner) {
+        if (typeof runner === 'number') {
+            this.showRunner({ ...this.runner, progress: runner });
+            return;
+        }
+
+        // Cancel any ongoing animation
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+        }
+
+        this.isAnimating = true;
+        this.outcome = runner.outcome;
+        this.startScroll = this.scroll;
+        this.endScroll = this._scrollFor(runner.progress);
+        this.runner = { ...runner };
+        this.animationStart = performance.now();
+
+        // Start animation loop
+        this._animate(performance.now());
+    }
+
+    /**
+     * Animation loop using requestAnimationFrame
+     * @private
+     */
+    _animate(currentTime) {
+        if (!this.isAnimating) return;
+
+        const elapsed = currentTime - this.animationStart;
+        this.animationProgress = Math.min(elapsed / this.animationDuration, 1);
+
+        if (this.outcome === 'jump') {
+            // Run at a steady pace so the jump lines up with the obstacle
+            this.scroll = this.startScroll + (this.endScroll - this.startScroll) * this.animationProgress;
+        }
+
+        this.draw(currentTime);
+
+        // Continue animation or complete
+        if (this.animationProgress < 1) {
+            this.animationFrameId = requestAnimationFrame((time) => this._animate(time));
+        } else {
+            this.isAnimating = false;
+            this.outcome = null;
+            this.scroll = this.endScroll;
+            this.animationFrameId = null;
+            this.draw();
+        }
+    }
+
+    /**
+     * Scroll offset that leaves the runner waiting before an obstacle
+     * @private
+     */
+    _scrollFor(progress) {
+        return OBSTACLE_SPACING * (progress + 1) - OBSTACLE_GAP;
+    }
+
+    /**
+     * Draw the current frame
+     * @param {number} time - Animation timestamp (for running bob)
+     */
+    draw(time = 0) {
+        const rect = this.canvas.getBoundingClientRect();
+        const width = rect.width;
+        const height = rect.height;
+        const groundY = height - 40;
+        const runnerX = width * 0.2;
+
+        // Clear canvas
+        this.ctx.clearRect(0, 0, width, height);
+
+        this._drawBackground(width, groundY);
+        this._drawGround(width, height, groundY);
+        this._drawObstacles(width, groundY, runnerX);
+        this._drawRunner(runnerX, groundY, time);
+        this._drawHud(width);
+    }
+
+    /**
+     * Pre-render the world map once so each frame only copies it
+     * @private
+     */
+    _renderMapImage() {
+        const rect = this.canvas.getBoundingClientRect();
+        const height = Math.max(rect.height - 40, 1);
+
+        this.mapImage = document.createElement('canvas');
+        this.mapImage.width = height * 2.5;
+        this.mapImage.height = height;
+
+        const mapCtx = this.mapImage.getContext('2d');
+        drawWorldMap(mapCtx, this.landmasses, {
+            width: this.mapImage.width,
+            height: this.mapImage.height
+        });
+    }
+
+    /**
+     * Draw the scrolling world map (parallax, tiled)
+     * @private
+     */
+    _drawBackground(width, groundY) {
+        if (!this.mapImage || this.mapImage.width === 0) return;
+
+        const mapWidth = this.mapImage.width;
+        const offset = (this.scroll * 0.3) % mapWidth;
+
+        for (let x = -offset; x < width; x += mapWidth) {
+            this.ctx.drawImage(this.mapImage, x, 0, mapWidth, groundY);
+        }
+    }
+
+    /**
+     * Draw the running track
+     * @private
+     */
+    _drawGround(width, height, groundY) {
+        this.ctx.fillStyle = '#A16207';
+        this.ctx.fillRect(0, groundY, width, height - groundY);
+
+        // Track markings scroll at full speed
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        this.ctx.lineWidth = 3;
+        this.ctx.setLineDash([20, 20]);
+        this.ctx.lineDashOffset = this.scroll % 40;
+        this.ctx.beginPath();
+        this.ctx.moveTo(0, groundY + 20);
+        this.ctx.lineTo(width, groundY + 20);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+        this.ctx.lineDashOffset = 0;
+    }
+
+    /**
+     * Draw obstacles and the finish line in view
+     * @private
+     */
+    _drawObstacles(width, groundY, runnerX) {
+        for (let index = 0; index <= this.courseLength; index++) {
+            const x = runnerX + OBSTACLE_SPACING * (index + 1) - this.scroll;
+            if (x < -60 || x > width + 60) continue;
+
+            if (index === this.courseLength) {
+                this._drawFinish(x, groundY);
+            } else {
+                // A stumble knocks over the hurdle the runner is facing
+                const knocked = this.outcome === 'stumble' && index === this.runner.progress;
+                this._drawHurdle(x, groundY, index < this.runner.progress, knocked);
+            }
+        }
+    }
+
+    /**
+     * Draw a single hurdle
+     * @private
+     */
+    _drawHurdle(x, groundY, cleared, knocked) {
+        this.ctx.save();
+        this.ctx.translate(x, groundY);
+        if (knocked) {
+            this.ctx.rotate(Math.sin(this.animationProgress * Math.PI) * 0.4);
+        }
+
+        this.ctx.fillStyle = cleared ? '#9CA3AF' : '#DC2626';
+        this.ctx.fillRect(-4, -40, 8, 40);
+        this.ctx.fillRect(-22, -44, 44, 10);
+
+        this.ctx.fillStyle = '#FFFFFF';
+        this.ctx.font = 'bold 10px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(cleared ? '✓' : '?', 0, -39);
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw finish line flag
+     * @private
+     */
+    _drawFinish(x, groundY) {
+        this.ctx.fillStyle = '#1F2937';
+        this.ctx.fillRect(x - 2, groundY - 80, 4, 80);
+
+        this.ctx.font = '32px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.fillText('🏁', x, groundY - 50);
+    }
+
+    /**
+     * Draw the runner, jumping or stumbling when animating
+     * @private
+     */
+    _drawRunner(runnerX, groundY, time) {
+        const color = RUNNER_COLORS[(this.runner.player - 1) % RUNNER_COLORS.length];
+        let offsetX = 0;
+        let offsetY = 0;
+        let rotation = 0;
+
+        if (this.isAnimating && this.outcome === 'jump') {
+            // Arc over the hurdle just cleared
+            const obstacleDistance = OBSTACLE_SPACING * this.runner.progress - this.scroll;
+            const reach = 60;
+            if (Math.abs(obstacleDistance) < reach) {
+                offsetY = -JUMP_HEIGHT * (1 - Math.pow(obstacleDistance / reach, 2));
+            } else {
+                // Running bob
+                offsetY = -Math.abs(Math.sin(time / 80)) * 6;
+            }
+        } else if (this.isAnimating && this.outcome === 'stumble') {
+            // Lunge into the hurdle, then fall back
+            const t = this.animationProgress;
+            offsetX = Math.sin(Math.min(t * 2, 1) * Math.PI) * (OBSTACLE_GAP - 20);
+            rotation = t < 0.5 ? t * 1.2 : (1 - t) * 1.2;
+        }
+
+        // Shadow in player colour
+        this.ctx.fillStyle = color;
+        this.ctx.globalAlpha = 0.4;
+        this.ctx.beginPath();
+        this.ctx.ellipse(runnerX + offsetX, groundY - 2, 20, 5, 0, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.globalAlpha = 1;
+
+        this.ctx.save();
+        this.ctx.translate(runnerX + offsetX, groundY - 24 + offsetY);
+        this.ctx.rotate(rotation);
+        this.ctx.font = '40px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        // Emoji runner faces left, so flip to run right
+        this.ctx.scale(-1, 1);
+        this.ctx.fillText('🏃', 0, 0);
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw lives and progress for the runner on screen
+     * @private
+     */
+    _drawHud(width) {
+        const color = RUNNER_COLORS[(this.runner.player - 1) % RUNNER_COLORS.length];
+
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        this.ctx.fillRect(width - 190, 8, 180, 32);
+
+        this.ctx.fillStyle = color;
+        this.ctx.font = 'bold 14px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(`P${this.runner.player}`, width - 182, 24);
+
+        this.ctx.font = '14px Arial';
+        this.ctx.fillText('❤️'.repeat(this.runner.lives), width - 154, 24);
+
+        this.ctx.fillStyle = '#1F2937';
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(`${this.runner.progress}/${this.courseLength}`, width - 16, 24);
+    }
+
+    /**
+     * Cleanup - cancel animations and remove listeners
+     */
+    cleanup() {
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        window.removeEventListener('resize', this.resizeCanvas);
+        this.isAnimating = false;
+    }
+}
@@ -0,0 +1,77 @@
+/**
+ * WorldMap.js
+ * Draws a simple world map from landmass outlines on a canvas
+ * Used for the runner background and the highlighted-country inset
+ */
+
+// Latitude band shown on the map (polar regions are cropped)
+const TOP_LAT = 80;
+const BOTTOM_LAT = -60;
+
+/**
+ * Project longitude/latitude onto a map area (equirectangular)
+ * @param {number} lon - Longitude
+ * @param {number} lat - Latitude
+ * @param {object} area - Map area {x, y, width, height}
+ * @returns {{x: number, y: number}} Canvas coordinates
+ */
+export function projectPoint(lon, lat, area) {
+    return {
+        x: area.x + ((lon + 180) / 360) * area.width,
+        y: area.y + ((TOP_LAT - lat) / (TOP_LAT - BOTTOM_LAT)) * area.height
+    };
+}
+
+/**
+ * Draw the world map
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {object[]} landmasses - Landmasses with [lon, lat] outlines
+ * @param {object} options - Map area {x, y, width, height}, colours and optional highlight {lat, lon}
+ */
+export function drawWorldMap(ctx, landmasses, {
+    x = 0,
+    y = 0,
+    width,
+    height,
+    oceanColor = '#BFDBFE',
+    landColor = '#86EFAC',
+    highlight = null
+}) {
+    const area = { x, y, width, height };
+
+    // Ocean
+    ctx.fillStyle = oceanColor;
+    ctx.fillRect(x, y, width, height);
+
+    // Land
+    ctx.fillStyle = landColor;
+    landmasses.forEach(landmass => {
+        ctx.beginPath();
+        landmass.outline.forEach(([lon, lat], i) => {
+            const point = projectPoint(lon, lat, area);
+            if (i === 0) {
+                ctx.moveTo(point.x, point.y);
+            } else {
+                ctx.lineTo(point.x, point.y);
+            }
+        });
+        ctx.closePath();
+        ctx.fill();
+    });
+
+    // Highlighted country marker
+    if (highlight) {
+        const point = projectPoint(highlight.lon, highlight.lat, area);
+
+        ctx.strokeStyle = '#EF4444';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, Math.max(8, width * 0.025), 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.fillStyle = '#EF4444';
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 4, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
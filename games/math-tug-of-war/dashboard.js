@@ -0,0 +1,306 @@
+/**
+ * dashboard.js
+ * Progress dashboard - each student's mastery badges, match-by-match trend
+ * and a heat map of their multiplication facts, from the progress store
+ */
+
+import { getMastery, getRates } from './modules/Mastery.js';
+import { ProgressStore } from './modules/ProgressStore.js';
+import { ReviewStore } from './modules/ReviewStore.js';
+
+// Largest times table in the heat map
+const TABLE_SIZE = 12;
+
+// How many weak facts to list, and how often a fact must be asked to count
+const WEAK_FACT_COUNT = 5;
+const WEAK_FACT_MIN_ANSWERS = 2;
+
+const OPERATION_LABELS = {
+    addition: 'Addition',
+    subtraction: 'Subtraction',
+    multiplication: 'Multiplication',
+    division: 'Division',
+    fractions: 'Fractions',
+    decimals: 'Decimals',
+    negatives: 'Negative Numbers',
+    expressions: 'Order of Operations',
+    missing: 'Missing Numbers',
+    'word-problems': 'Word Problems',
+    custom: 'Own Questions'
+};
+
+class ProgressDashboard {
+    /**
+     * @param {ProgressStore} store - Where student progress is kept
+     * @param {ReviewStore} reviewStore - Where spaced-review schedules are kept
+     */
+    constructor(store = new ProgressStore(), reviewStore = new ReviewStore()) {
+        this.store = store;
+        this.reviewStore = reviewStore;
+        this.students = [];
+        this.elements = {};
+    }
+
+    /**
+     * Initialize the dashboard and show the first student
+     */
+    async init() {
+        this.elements = {
+            studentSelect: document.getElementById('studentSelect'),
+            deleteStudentBtn: document.getElementById('deleteStudentBtn'),
+            message: document.getElementById('dashboardMessage'),
+            content: document.getElementById('dashboardContent'),
+            masteryBadges: document.getElementById('masteryBadges'),
+            trendChart: document.getElementById('trendChart'),
+            factHeatMap: document.getElementById('factHeatMap'),
+            weakFacts: document.getElementById('weakFacts')
+        };
+
+        if (this.elements.studentSelect) {
+            this.elements.studentSelect.addEventListener('change', (e) => this.showStudent(e.target.value));
+        }
+
+        if (this.elements.deleteStudentBtn) {
+            this.elements.deleteStudentBtn.addEventListener('click', () => this.deleteStudent());
+        }
+
+        await this.load();
+    }
+
+    /**
+     * Load every student and show one
+     * @param {string} [selected] - Student to show (default: the first)
+     */
+    async load(selected = null) {
+        try {
+            this.students = await this.store.getAllStudents();
+        } catch (error) {
+            this._showMessage(`⚠️ ${error.message}`);
+            return;
+        }
+
+        const select = this.elements.studentSelect;
+        if (select) {
+            select.innerHTML = '';
+            this.students.forEach(student => select.add(new Option(student.name, student.name)));
+            select.disabled = this.students.length === 0;
+        }
+        if (this.elements.deleteStudentBtn) {
+            this.elements.deleteStudentBtn.disabled = this.students.length === 0;
+        }
+
+        if (this.students.length === 0) {
+            this._showMessage('No progress yet. Give the players names (or use team rosters) and finish a match to start a history.');
+            return;
+        }
+
+        const name = this.students.some(student => student.name === selected) ? selected : this.students[0].name;
+        if (select) {
+            select.value = name;
+        }
+        this.showStudent(name);
+    }
+
+    /**
+     * Show one student's badges, trend and heat map
+     * @param {string} name - Student name
+     */
+    showStudent(name) {
+        const profile = this.students.find(student => student.name === name);
+        if (!profile) return;
+
+        this._showMessage('');
+        this._renderMastery(profile);
+        this._renderTrend(profile);
+        this._renderHeatMap(profile);
+        this._renderWeakFacts(profile);
+    }
+
+    /**
+     * Delete the selected student's history and review schedule, after checking with the teacher
+     */
+    async deleteStudent() {
+        const name = this.elements.studentSelect ? this.elements.studentSelect.value : '';
+        if (!name || !confirm(`Delete all of ${name}'s progress? This cannot be undone.`)) return;
+
+        try {
+            await this.store.deleteStudent(name);
+            this.reviewStore.remove(name);
+        } catch (error) {
+            this._showMessage(`⚠️ ${error.message}`);
+            return;
+        }
+        await this.load();
+    }
+
+    /**
+     * Show a message in place of the charts (empty hides the message and shows the charts)
+     * @private
+     */
+    _showMessage(message) {
+        if (this.elements.message) {
+            this.elements.message.textContent = message;
+            this.elements.message.hidden = message === '';
+        }
+        if (this.elements.content) {
+            this.elements.content.hidden = message !== '';
+        }
+    }
+
+    /**
+     * One card per operation practised, with its badge, accuracy and average time
+     * @private
+     */
+    _renderMastery(profile) {
+        const container = this.elements.masteryBadges;
+        if (!container) return;
+
+        container.innerHTML = '';
+        Object.entries(profile.operations).forEach(([operation, tally]) => {
+            const { badge, label } = getMastery(tally);
+            const { accuracy, averageTime } = getRates(tally);
+
+            const card = document.createElement('div');
+            card.className = 'mastery-card';
+
+            const icon = document.createElement('div');
+            icon.className = 'mastery-badge';
+            icon.textContent = badge;
+
+            const name = document.createElement('h3');
+            name.textContent = OPERATION_LABELS[operation] || operation;
+
+            const level = document.createElement('div');
+            level.className = 'mastery-level';
+            level.textContent = label;
+
+            const detail = document.createElement('div');
+            detail.className = 'mastery-detail';
+            detail.textContent = `${Math.round(accuracy * 100)}% right · ${averageTime.toFixed(1)} s · ${tally.answered} answered`;
+
+            card.append(icon, name, level, detail);
+            container.appendChild(card);
+        });
+    }
+
+    /**
+     * One bar per match, as tall as the accuracy in that match
+     * @private
+     */
+    _renderTrend(profile) {
+        const chart = this.elements.trendChart;
+        if (!chart) return;
+
+        chart.innerHTML = '';
+        profile.matches.forEach(match => {
+            const { accuracy, averageTime } = getRates(match);
+            const date = new Date(match.date).toLocaleDateString();
+
+            const bar = document.createElement('div');
+            bar.className = 'trend-bar';
+            bar.style.height = `${Math.max(4, Math.round(accuracy * 100))}%`;
+            bar.classList.add(this._getHeatClass(match));
+            bar.title = `${date}: ${Math.round(accuracy * 100)}% of ${match.answered} right, ${averageTime.toFixed(1)} s per answer`;
+            chart.appendChild(bar);
+        });
+    }
+
+    /**
+     * Times-table grid coloured by accuracy on each fact
+     * @private
+     */
+    _renderHeatMap(profile) {
+        const table = this.elements.factHeatMap;
+        if (!table) return;
+
+        table.innerHTML = '';
+        const header = table.insertRow();
+        header.appendChild(this._headerCell('×'));
+        for (let b = 1; b <= TABLE_SIZE; b++) {
+            header.appendChild(this._headerCell(b));
+        }
+
+        for (let a = 1; a <= TABLE_SIZE; a++) {
+            const row = table.insertRow();
+            row.appendChild(this._headerCell(a));
+
+            for (let b = 1; b <= TABLE_SIZE; b++) {
+                const fact = `${a} × ${b}`;
+                const tally = profile.facts[fact];
+                const cell = row.insertCell();
+                cell.className = this._getHeatClass(tally);
+
+                if (tally) {
+                    const { accuracy, averageTime } = getRates(tally);
+                    cell.textContent = `${Math.round(accuracy * 100)}`;
+                    cell.title = `${fact} = ${a * b}: ${tally.correct}/${tally.answered} right, ${averageTime.toFixed(1)} s`;
+                } else {
+                    cell.title = `${fact}: not asked yet`;
+                }
+            }
+        }
+    }
+
+    /**
+     * The multiplication facts with the lowest accuracy
+     * @private
+     */
+    _renderWeakFacts(profile) {
+        const list = this.elements.weakFacts;
+        if (!list) return;
+
+        const weakest = Object.entries(profile.facts)
+            .filter(([fact, tally]) => fact.includes('×') && tally.answered >= WEAK_FACT_MIN_ANSWERS)
+            .map(([fact, tally]) => ({ fact, tally, ...getRates(tally) }))
+            .filter(entry => entry.accuracy < 1)
+            .sort((a, b) => a.accuracy - b.accuracy || b.averageTime - a.averageTime)
+            .slice(0, WEAK_FACT_COUNT);
+
+        list.innerHTML = '';
+        if (weakest.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'weak-facts-none';
+            item.textContent = '🎉 No weak facts yet';
+            list.appendChild(item);
+            return;
+        }
+
+        weakest.forEach(({ fact, tally, accuracy }) => {
+            const item = document.createElement('li');
+            item.textContent = `${fact} – ${tally.correct}/${tally.answered} right (${Math.round(accuracy * 100)}%)`;
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Heat map colour band for a tally
+     * @private
+     */
+    _getHeatClass(tally) {
+        if (!tally || tally.answered === 0) return 'heat-none';
+
+        const { accuracy } = getRates(tally);
+        if (accuracy >= 0.9) return 'heat-strong';
+        if (accuracy >= 0.7) return 'heat-ok';
+        return 'heat-weak';
+    }
+
+    /**
+     * Row or column heading cell for the heat map
+     * @private
+     */
+    _headerCell(text) {
+        const cell = document.createElement('th');
+        cell.textContent = text;
+        return cell;
+    }
+}
+
+// Initialize dashboard when DOM is ready
+document.addEventListener('DOMContentLoaded', async () => {
+    const dashboard = new ProgressDashboard();
+    await dashboard.init();
+
+    // Expose to window for debugging
+    window.progressDashboard = dashboard;
+});
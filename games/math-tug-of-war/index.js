@@ -1,555 +1,1227 @@
 /**
  * index.js
- * Main game controller - orchestrates all modules
- * Math Tug-of-War Game
+ * Main game controller - Math Tug-of-War on the shared versus engine
  */
 
-import { GameState } from './modules/GameState.js';
-import { QuestionGenerator } from './modules/QuestionGenerator.js';
-import { RopeRenderer } from './modules/RopeRenderer.js';
-import { ScoreManager } from './modules/ScoreManager.js';
-import { SoundManager } from './modules/SoundManager.js';
-import { UIController } from './modules/UIController.js';
-
-class MathTugOfWar {
+import { TIMEOUT_ANSWER, VersusEngine } from '../shared/VersusEngine.js';
+import { AdaptiveDifficulty } from '../shared/modules/AdaptiveDifficulty.js';
+import { AVATARS, TEAM_COLORS } from '../shared/modules/Avatars.js';
+import { ComputerOpponent } from '../shared/modules/ComputerOpponent.js';
+import { RopeRenderer } from '../shared/modules/RopeRenderer.js';
+import { TeamRoster } from '../shared/modules/TeamRoster.js';
+import { ADAPTIVE_LEVELS, STARTING_LEVELS } from './modules/AdaptiveLevels.js';
+import { AnswerReview } from './modules/AnswerReview.js';
+import { HandicapPanel } from './modules/HandicapPanel.js';
+import { MatchPresets } from './modules/MatchPresets.js';
+import { PlayerSetup } from './modules/PlayerSetup.js';
+import { QuestionSetEditor } from './modules/QuestionSetEditor.js';
+import { QuestionSources } from './modules/QuestionSources.js';
+import { RaceMode } from './modules/RaceMode.js';
+import { StudentProgress } from './modules/StudentProgress.js';
+import { TeamMode } from './modules/TeamMode.js';
+import { TournamentMode } from './modules/TournamentMode.js';
+
+// Math settings remembered between visits, on top of the engine's own
+const SAVED_SETTINGS = [
+    'operation',
+    'requireSimplified',
+    'adaptive',
+    'matchMode',
+    'opponent',
+    'computerSkill',
+    'teamMode',
+    'rosters',
+    'players',
+    'startOffset',
+    'handicaps',
+    'questionMode',
+    'questionOrder',
+    'questionSet'
+];
+
+class MathTugOfWar extends VersusEngine {
     constructor() {
-        // Initialize modules
-        this.gameState = new GameState();
-        this.questionGenerator = new QuestionGenerator();
-        this.scoreManager = new ScoreManager();
-        this.soundManager = new SoundManager();
+        const questionSources = new QuestionSources();
+
+        super({
+            name: 'Math Tug-of-War',
+            questionSource: questionSources.generated,
+            createRenderer: (canvas) => new RopeRenderer(canvas),
+            canvasId: 'ropeCanvas',
+            storageKey: 'mathTugOfWar',
+            consoleChannel: 'mathTugOfWar.console'
+        });
+
+        // Generated, spaced-review or custom questions, or missed ones being retried
+        this.questionSources = questionSources;
+        this.questionSetEditor = null;
+        this.handicapPanel = null;
+        this.playerSetup = null;
+        this.answerReview = null;
+
+        // Split-screen lanes for race mode, one per player (made in init)
+        this.raceMode = new RaceMode({
+            isPlaying: () => this.gameState.gameStatus === 'playing',
+            getQuestion: (player) => this.questionSource.next(this._getQuestionSettings(player)),
+            formatQuestion: (question) => this.formatQuestion(question),
+            validate: (userAnswer, question) => this.questionSource.validate(userAnswer, question),
+            getTimerValue: (player) => (this.gameState.settings.timerEnabled
+                ? this.gameState.getHandicap(player).timerValue
+                : null),
+            onAnswer: (...answer) => this._scoreRaceAnswer(...answer),
+            onChange: () => {
+                this._saveCheckpoint();
+                this._notifyConsole();
+            },
+            onQuestion: (lane) => this._playComputerLane(lane)
+        });
+
+        // Plays Player 2's turns in solo practice
+        this.computerOpponent = new ComputerOpponent();
 
-        // Timer state
-        this.timerInterval = null;
-        this.timeRemaining = 0;
+        // Student rotation and per-student scores in team mode
+        this.teamMode = new TeamMode(() => this._labelRaceLanes());
 
-        // DOM elements (will be set in init)
-        this.elements = {};
-        this.uiController = null;
-        this.ropeRenderer = null;
+        // Class tournament and the bracket match being played
+        this.tournamentMode = new TournamentMode({
+            onPlay: () => this.playTournamentMatch(),
+            onNext: () => this.resetGame(),
+            onPlayersChange: () => this._applyPlayerProfiles()
+        });
 
-        // Bind methods
-        this.handleSubmit = this.handleSubmit.bind(this);
-        this.handleKeyPress = this.handleKeyPress.bind(this);
+        // Each named student's accuracy and speed across matches, for the progress dashboard,
+        // every finished match for the class results export, and each student's review schedule
+        this.studentProgress = new StudentProgress(questionSources.review);
+
+        // Per-player levels when adaptive difficulty is on
+        this.adaptiveDifficulty = new AdaptiveDifficulty(ADAPTIVE_LEVELS);
+
+        this.gameState.updateSettings({
+            questionMode: 'generated',
+            questionOrder: 'sequential',
+            questionSet: { name: 'My Question Set', questions: [] },
+            adaptive: false,
+            matchMode: 'turns',           // turns, or race (both players answer at once)
+            opponent: 'human',            // human, or computer (takes Player 2's turns)
+            computerSkill: { accuracy: 70, minThink: 2, maxThink: 6 },
+            teamMode: false,
+            rosters: { player1: [], player2: [] }
+        });
     }
 
     /**
-     * Initialize the game
+     * Initialize the game, the question set editor and the handicap controls
      */
     async init() {
-        // Get all DOM elements
-        this._cacheElements();
-
-        // Initialize UI Controller
-        this.uiController = new UIController(this.elements);
-
-        // Initialize Rope Renderer
-        this.ropeRenderer = new RopeRenderer(this.elements.ropeCanvas);
+        await super.init();
+
+        this.handicapPanel = new HandicapPanel(
+            {
+                container: document.getElementById('handicapTable'),
+                startOffsetSelect: document.getElementById('startOffsetSelect'),
+                presetSelect: document.getElementById('presetSelect'),
+                presetNameInput: document.getElementById('presetNameInput'),
+                savePresetBtn: document.getElementById('savePresetBtn'),
+                deletePresetBtn: document.getElementById('deletePresetBtn'),
+                statusDisplay: document.getElementById('presetStatus')
+            },
+            new MatchPresets(),
+            {
+                correctPull: this.gameState.CORRECT_PULL_STRENGTH,
+                wrongPull: this.gameState.WRONG_PULL_STRENGTH
+            },
+            (handicap) => this.setHandicap(handicap)
+        );
+        this.handicapPanel.show(this.gameState.settings);
+
+        this.raceMode.init(this.elements.raceArena);
+        this.teamMode.init({
+            player1Turn: this.elements.player1Turn,
+            player2Turn: this.elements.player2Turn,
+            teacherRoster1: this.elements.teacherRoster1,
+            teacherRoster2: this.elements.teacherRoster2
+        });
 
-        // Preload sounds
-        await this.soundManager.preloadSounds();
+        this.playerSetup = new PlayerSetup(
+            {
+                overlay: document.getElementById('playerSetup'),
+                cardsContainer: document.getElementById('playerSetupCards'),
+                errorDisplay: document.getElementById('playerSetupError'),
+                saveBtn: document.getElementById('savePlayerSetupBtn'),
+                startBtn: document.getElementById('startPlayerSetupBtn'),
+                cancelBtn: document.getElementById('cancelPlayerSetupBtn')
+            },
+            { avatars: AVATARS, colors: TEAM_COLORS },
+            (players, start) => this.setPlayers(players, start)
+        );
+        this._applyPlayerProfiles();
+
+        this.tournamentMode.init(
+            {
+                openBtn: this.elements.tournamentBtn,
+                nextBtn: this.elements.tournamentNextBtn,
+                playAgainBtn: this.elements.playAgainBtn,
+                summaryDisplay: this.elements.tournamentSummary
+            },
+            {
+                overlay: document.getElementById('tournamentPanel'),
+                setupSection: document.getElementById('tournamentSetup'),
+                namesInput: document.getElementById('tournamentNames'),
+                formatSelect: document.getElementById('tournamentFormat'),
+                shuffleToggle: document.getElementById('tournamentShuffle'),
+                createBtn: document.getElementById('createTournamentBtn'),
+                bracketSection: document.getElementById('tournamentBracket'),
+                statusDisplay: document.getElementById('tournamentStatus'),
+                bracketView: document.getElementById('bracketView'),
+                errorDisplay: document.getElementById('tournamentError'),
+                playBtn: document.getElementById('playTournamentMatchBtn'),
+                endBtn: document.getElementById('endTournamentBtn'),
+                closeBtn: document.getElementById('closeTournamentBtn')
+            }
+        );
 
-        // Setup event listeners
-        this._setupEventListeners();
+        this.answerReview = new AnswerReview(
+            {
+                overlay: document.getElementById('answerReview'),
+                summaryDisplay: document.getElementById('reviewSummary'),
+                wrongOnlyToggle: document.getElementById('reviewWrongOnly'),
+                slowOnlyToggle: document.getElementById('reviewSlowOnly'),
+                slowSecondsInput: document.getElementById('reviewSlowSeconds'),
+                list: document.getElementById('reviewList'),
+                emptyDisplay: document.getElementById('reviewEmpty'),
+                retryBtn: document.getElementById('retryMissedBtn'),
+                closeBtn: document.getElementById('closeReviewBtn')
+            },
+            (questions) => this.retryMissed(questions)
+        );
 
-        // Initialize UI
-        this._initializeUI();
+        this.studentProgress.init({
+            matchCsvBtn: document.getElementById('exportMatchCsvBtn'),
+            matchJsonBtn: document.getElementById('exportMatchJsonBtn'),
+            matchReportBtn: document.getElementById('exportMatchReportBtn'),
+            classCountDisplay: document.getElementById('classResultsCount'),
+            classCsvBtn: document.getElementById('exportClassCsvBtn'),
+            classJsonBtn: document.getElementById('exportClassJsonBtn'),
+            classReportBtn: document.getElementById('exportClassReportBtn'),
+            clearClassBtn: document.getElementById('clearClassResultsBtn'),
+            statusDisplay: document.getElementById('classResultsStatus')
+        });
 
-        console.log('🎮 Math Tug-of-War initialized!');
+        this.questionSetEditor = new QuestionSetEditor(
+            {
+                overlay: document.getElementById('questionSetEditor'),
+                nameInput: document.getElementById('questionSetName'),
+                rowsContainer: document.getElementById('questionSetRows'),
+                countDisplay: document.getElementById('questionSetCount'),
+                errorDisplay: document.getElementById('questionSetError'),
+                addRowBtn: document.getElementById('addQuestionBtn'),
+                importInput: document.getElementById('importQuestionSet'),
+                exportCsvBtn: document.getElementById('exportCsvBtn'),
+                exportJsonBtn: document.getElementById('exportJsonBtn'),
+                saveBtn: document.getElementById('saveQuestionSetBtn'),
+                cancelBtn: document.getElementById('cancelQuestionSetBtn')
+            },
+            (questionSet) => this.setQuestionSet(questionSet)
+        );
     }
 
     /**
-     * Cache all DOM elements
+     * Cache DOM elements, including math-only settings
      * @private
      */
     _cacheElements() {
-        this.elements = {
-            // Game elements
-            ropeCanvas: document.getElementById('ropeCanvas'),
-            questionDisplay: document.getElementById('questionDisplay'),
-            answerInput: document.getElementById('answerInput'),
-            submitBtn: document.getElementById('submitBtn'),
-            feedbackDisplay: document.getElementById('feedbackDisplay'),
-
-            // Player indicators
-            player1Indicator: document.getElementById('player1'),
-            player2Indicator: document.getElementById('player2'),
-
-            // Score displays
-            score1Display: document.getElementById('score1'),
-            score2Display: document.getElementById('score2'),
-
-            // Timer
-            timerDisplay: document.getElementById('timerDisplay'),
-
-            // Controls
-            startBtn: document.getElementById('startBtn'),
-            pauseBtn: document.getElementById('pauseBtn'),
-            resetBtn: document.getElementById('resetBtn'),
-            soundToggle: document.getElementById('soundToggle'),
-            teacherModeToggle: document.getElementById('teacherModeToggle'),
-
-            // Settings toggle
-            settingsToggle: document.getElementById('settingsToggle'),
-            settingsPanel: document.getElementById('settingsPanel'),
-            closeSettings: document.getElementById('closeSettings'),
-
-            // Settings
-            difficultySelect: document.getElementById('difficultySelect'),
-            operationSelect: document.getElementById('operationSelect'),
-            timerToggle: document.getElementById('timerToggle'),
-            timerValueInput: document.getElementById('timerValue'),
-            questionLimitToggle: document.getElementById('questionLimitToggle'),
-            questionLimitInput: document.getElementById('questionLimit'),
-
-            // Overlays
-            winOverlay: document.getElementById('winOverlay'),
-            playAgainBtn: document.getElementById('playAgainBtn'),
-
-            // Views
-            gameContent: document.getElementById('gameContent'),
-            teacherView: document.getElementById('teacherView')
-        };
+        super._cacheElements();
+        this.elements.operationSelect = document.getElementById('operationSelect');
+        this.elements.requireSimplifiedToggle = document.getElementById('requireSimplifiedToggle');
+        this.elements.adaptiveToggle = document.getElementById('adaptiveToggle');
+        this.elements.matchModeSelect = document.getElementById('matchModeSelect');
+        this.elements.opponentSelect = document.getElementById('opponentSelect');
+        this.elements.computerSkill = document.getElementById('computerSkill');
+        this.elements.computerAccuracy = document.getElementById('computerAccuracy');
+        this.elements.computerAccuracyValue = document.getElementById('computerAccuracyValue');
+        this.elements.computerThinkMin = document.getElementById('computerThinkMin');
+        this.elements.computerThinkMax = document.getElementById('computerThinkMax');
+        this.elements.playerSetupBtn = document.getElementById('playerSetupBtn');
+        this.elements.tournamentBtn = document.getElementById('tournamentBtn');
+        this.elements.tournamentSummary = document.getElementById('tournamentSummary');
+        this.elements.tournamentNextBtn = document.getElementById('tournamentNextBtn');
+        this.elements.reviewAnswersBtn = document.getElementById('reviewAnswersBtn');
+        this.elements.teamModeToggle = document.getElementById('teamModeToggle');
+        this.elements.teamRosters = document.getElementById('teamRosters');
+        this.elements.team1Roster = document.getElementById('team1Roster');
+        this.elements.team2Roster = document.getElementById('team2Roster');
+        this.elements.player1Turn = document.getElementById('player1Turn');
+        this.elements.player2Turn = document.getElementById('player2Turn');
+        this.elements.teacherRoster1 = document.getElementById('teacherRoster1');
+        this.elements.teacherRoster2 = document.getElementById('teacherRoster2');
+        this.elements.raceArena = document.getElementById('raceArena');
+        this.elements.questionModeSelect = document.getElementById('questionModeSelect');
+        this.elements.questionOrderSelect = document.getElementById('questionOrderSelect');
+        this.elements.editQuestionSetBtn = document.getElementById('editQuestionSetBtn');
+        this.elements.questionSetSummary = document.getElementById('questionSetSummary');
+        this.elements.workedSolution = document.getElementById('workedSolution');
     }
 
     /**
-     * Setup all event listeners
+     * Setup settings listeners, including operation choice
      * @private
      */
-    _setupEventListeners() {
-        // Game controls
-        if (this.elements.submitBtn) {
-            this.elements.submitBtn.addEventListener('click', this.handleSubmit);
-            this.elements.submitBtn.addEventListener('touchend', (e) => {
-                e.preventDefault();
-                this.handleSubmit();
+    _setupSettingsListeners() {
+        super._setupSettingsListeners();
+
+        if (this.elements.operationSelect) {
+            this.elements.operationSelect.addEventListener('change', (e) => {
+                this.gameState.updateSettings({ operation: e.target.value });
+                this._useQuestionSource();
             });
         }
 
-        if (this.elements.answerInput) {
-            this.elements.answerInput.addEventListener('keypress', this.handleKeyPress);
+        if (this.elements.requireSimplifiedToggle) {
+            this.elements.requireSimplifiedToggle.addEventListener('change', (e) => {
+                this.gameState.updateSettings({ requireSimplified: e.target.checked });
+            });
         }
 
-        // Control buttons
-        if (this.elements.startBtn) {
-            this.elements.startBtn.addEventListener('click', () => this.startGame());
+        if (this.elements.matchModeSelect) {
+            this.elements.matchModeSelect.addEventListener('change', (e) => {
+                this.gameState.updateSettings({ matchMode: e.target.value });
+                this._applyMatchMode();
+            });
         }
 
-        if (this.elements.pauseBtn) {
-            this.elements.pauseBtn.addEventListener('click', () => this.togglePause());
+        if (this.elements.opponentSelect) {
+            this.elements.opponentSelect.addEventListener('change', (e) => {
+                this.gameState.updateSettings({ opponent: e.target.value });
+                this._applyOpponent();
+            });
         }
 
-        if (this.elements.resetBtn) {
-            this.elements.resetBtn.addEventListener('click', () => this.resetGame());
-        }
+        [
+            this.elements.computerAccuracy,
+            this.elements.computerThinkMin,
+            this.elements.computerThinkMax
+        ].forEach(input => {
+            if (input) {
+                input.addEventListener('change', () => this._readComputerSkill());
+            }
+        });
 
-        if (this.elements.soundToggle) {
-            this.elements.soundToggle.addEventListener('click', () => this.toggleSound());
+        if (this.elements.computerAccuracy) {
+            this.elements.computerAccuracy.addEventListener('input', () => this._readComputerSkill());
         }
 
-        if (this.elements.teacherModeToggle) {
-            this.elements.teacherModeToggle.addEventListener('click', () => this.toggleTeacherMode());
+        if (this.elements.reviewAnswersBtn) {
+            this.elements.reviewAnswersBtn.addEventListener('click', () => {
+                this.answerReview.open(this.gameState.attempts, this._getSlowSeconds());
+            });
         }
 
-        // Play again from win overlay
-        if (this.elements.playAgainBtn) {
-            this.elements.playAgainBtn.addEventListener('click', () => {
-                this.uiController.hideWinOverlay();
-                this.resetGame();
-                this.startGame();
+        if (this.elements.playerSetupBtn) {
+            this.elements.playerSetupBtn.addEventListener('click', () => {
+                const players = {};
+                const labels = [];
+                for (let player = 1; player <= 2; player++) {
+                    players[`player${player}`] = this.gameState.getPlayerProfile(player);
+                    labels.push(this._getDefaultLabel(player));
+                }
+                this.playerSetup.open(players, labels);
             });
         }
 
-        // Settings changes
-        if (this.elements.difficultySelect) {
-            this.elements.difficultySelect.addEventListener('change', (e) => {
-                this.gameState.updateSettings({ difficulty: e.target.value });
+        if (this.elements.teamModeToggle) {
+            this.elements.teamModeToggle.addEventListener('change', (e) => {
+                this.gameState.updateSettings({ teamMode: e.target.checked });
+                this._applyTeamMode();
             });
         }
 
-        if (this.elements.operationSelect) {
-            this.elements.operationSelect.addEventListener('change', (e) => {
-                this.gameState.updateSettings({ operation: e.target.value });
+        [this.elements.team1Roster, this.elements.team2Roster].forEach(textarea => {
+            if (textarea) {
+                textarea.addEventListener('input', () => this._readRosters());
+            }
+        });
+
+        if (this.elements.adaptiveToggle) {
+            this.elements.adaptiveToggle.addEventListener('change', (e) => {
+                this.gameState.updateSettings({ adaptive: e.target.checked });
             });
         }
 
-        if (this.elements.timerToggle) {
-            this.elements.timerToggle.addEventListener('change', (e) => {
-                this.gameState.updateSettings({ timerEnabled: e.target.checked });
+        if (this.elements.questionModeSelect) {
+            this.elements.questionModeSelect.addEventListener('change', (e) => {
+                this.gameState.updateSettings({ questionMode: e.target.value });
+                this._useQuestionSource();
             });
         }
 
-        if (this.elements.timerValueInput) {
-            this.elements.timerValueInput.addEventListener('change', (e) => {
-                const value = parseInt(e.target.value);
-                if (value >= 5 && value <= 60) {
-                    this.gameState.updateSettings({ timerValue: value });
-                }
+        if (this.elements.questionOrderSelect) {
+            this.elements.questionOrderSelect.addEventListener('change', (e) => {
+                this.gameState.updateSettings({ questionOrder: e.target.value });
             });
         }
 
-        if (this.elements.questionLimitToggle) {
-            this.elements.questionLimitToggle.addEventListener('change', (e) => {
-                this.gameState.updateSettings({ questionLimitEnabled: e.target.checked });
+        if (this.elements.editQuestionSetBtn) {
+            this.elements.editQuestionSetBtn.addEventListener('click', () => {
+                this.questionSetEditor.open(this.gameState.settings.questionSet);
             });
         }
+    }
 
-        if (this.elements.questionLimitInput) {
-            this.elements.questionLimitInput.addEventListener('change', (e) => {
-                const value = parseInt(e.target.value);
-                if (value >= 5 && value <= 100) {
-                    this.gameState.updateSettings({ questionLimit: value });
-                }
-            });
+    /**
+     * Show the math settings in their controls and switch the game to match them
+     * @private
+     */
+    _showSettings() {
+        super._showSettings();
+
+        const { settings } = this.gameState;
+        const values = [
+            [this.elements.operationSelect, settings.operation],
+            [this.elements.matchModeSelect, settings.matchMode],
+            [this.elements.opponentSelect, settings.opponent],
+            [this.elements.computerAccuracy, settings.computerSkill.accuracy],
+            [this.elements.computerThinkMin, settings.computerSkill.minThink],
+            [this.elements.computerThinkMax, settings.computerSkill.maxThink],
+            [this.elements.team1Roster, settings.rosters.player1.join('\n')],
+            [this.elements.team2Roster, settings.rosters.player2.join('\n')],
+            [this.elements.questionModeSelect, settings.questionMode],
+            [this.elements.questionOrderSelect, settings.questionOrder]
+        ];
+        values.forEach(([control, value]) => {
+            if (control) control.value = value;
+        });
+
+        const checks = [
+            [this.elements.requireSimplifiedToggle, settings.requireSimplified],
+            [this.elements.adaptiveToggle, settings.adaptive],
+            [this.elements.teamModeToggle, settings.teamMode]
+        ];
+        checks.forEach(([control, checked]) => {
+            if (control) control.checked = checked;
+        });
+
+        this.teamMode.setRosters(settings.rosters);
+        this.questionSources.setQuestions(settings.questionSet.questions);
+        if (this.handicapPanel) {
+            this.handicapPanel.show(settings);
+        }
+        if (this.gameState.gameStatus === 'idle') {
+            this.gameState.ropePosition = this.gameState.getStartPosition();
+            this.resetBoard();
         }
 
-        // Settings panel toggle
-        if (this.elements.settingsToggle) {
-            this.elements.settingsToggle.addEventListener('click', () => this.toggleSettings());
+        this._useQuestionSource();
+        this._applyMatchMode();
+        this._applyOpponent();
+        this._applyTeamMode();
+    }
+
+    /**
+     * Settings remembered between visits, including the math ones
+     * @private
+     */
+    _getSavedSettingKeys() {
+        return [...super._getSavedSettingKeys(), ...SAVED_SETTINGS];
+    }
+
+    /**
+     * Saved rosters must be lists of names, and a saved question set's questions must
+     * each have a question, an answer and tags
+     * @private
+     */
+    _isSavedSettingValue(key, value) {
+        if (!super._isSavedSettingValue(key, value)) {
+            return false;
+        }
+        if (key === 'rosters') {
+            return [value.player1, value.player2].every(names => names.every(name => typeof name === 'string'));
         }
+        if (key === 'questionSet') {
+            return value.questions.every(item =>
+                item !== null && typeof item === 'object' &&
+                typeof item.question === 'string' && typeof item.answer === 'string' &&
+                Array.isArray(item.tags)
+            );
+        }
+        return true;
+    }
 
-        if (this.elements.closeSettings) {
-            this.elements.closeSettings.addEventListener('click', () => this.toggleSettings());
+    /**
+     * The match setup selects are checked against their options as well
+     * @private
+     */
+    _getSavedSettingControls() {
+        return {
+            ...super._getSavedSettingControls(),
+            matchMode: this.elements.matchModeSelect,
+            opponent: this.elements.opponentSelect,
+            questionMode: this.elements.questionModeSelect,
+            questionOrder: this.elements.questionOrderSelect
+        };
+    }
+
+    /**
+     * The teacher console can change the operation mid-match as well
+     * @private
+     */
+    _getLiveSettingControls() {
+        return {
+            ...super._getLiveSettingControls(),
+            operation: this.elements.operationSelect
+        };
+    }
+
+    /**
+     * In race mode the console shows the question in each lane
+     * @private
+     */
+    _getConsoleState() {
+        const state = super._getConsoleState();
+        if (this._isRace() && ['playing', 'paused'].includes(state.status)) {
+            state.questions = this.raceMode.getShownQuestions();
         }
+        return state;
     }
 
     /**
-     * Initialize UI with default values
+     * Settings controls locked while a match is running
      * @private
      */
-    _initializeUI() {
-        this.uiController.displayScore(this.scoreManager.getScores());
-        this.uiController.updateCurrentPlayer(1);
-        this.uiController.setInputEnabled(false);
-        this.uiController.updateSoundToggle(this.soundManager.isEnabled());
+    _getSettingsControls() {
+        return [
+            ...super._getSettingsControls(),
+            this.elements.operationSelect,
+            this.elements.requireSimplifiedToggle,
+            this.elements.adaptiveToggle,
+            this.elements.matchModeSelect,
+            this.elements.opponentSelect,
+            this.elements.computerAccuracy,
+            this.elements.computerThinkMin,
+            this.elements.computerThinkMax,
+            this.elements.playerSetupBtn,
+            this.elements.tournamentBtn,
+            this.elements.teamModeToggle,
+            this.elements.team1Roster,
+            this.elements.team2Roster,
+            this.elements.questionModeSelect,
+            this.elements.questionOrderSelect,
+            this.elements.editQuestionSetBtn,
+            ...(this.handicapPanel ? this.handicapPanel.getControls() : [])
+        ];
+    }
+
+    /**
+     * Use a teacher's question set for custom mode
+     * @param {{name: string, questions: object[]}} questionSet - Question set
+     */
+    setQuestionSet(questionSet) {
+        this.gameState.updateSettings({ questionSet });
+        this.questionSources.setQuestions(questionSet.questions);
+        this._useQuestionSource();
+        this._saveSettings();
     }
 
     /**
-     * Toggle settings panel visibility
+     * Use the names, avatars and colours chosen on the setup screen
+     * @param {object} players - Profiles {player1: {name, avatar, color}, ...}
+     * @param {boolean} start - Whether to start the match straight away
      */
-    toggleSettings() {
-        if (this.elements.settingsPanel) {
-            this.elements.settingsPanel.classList.toggle('open');
+    setPlayers(players, start = false) {
+        this.gameState.updateSettings({ players });
+        this._applyPlayerProfiles();
+        this._saveSettings();
+
+        if (start && this.gameState.gameStatus === 'idle') {
+            this.startGame();
         }
     }
 
     /**
-     * Hide settings panel
+     * Start a new match that asks only the questions missed in the last one
+     * @param {object[]} questions - Missed questions, from the answer review
      */
-    hideSettings() {
-        if (this.elements.settingsPanel) {
-            this.elements.settingsPanel.classList.remove('open');
+    retryMissed(questions) {
+        const source = this.questionSource;
+        this.resetGame();
+
+        this.questionSources.startRetry(source, questions);
+        this._useQuestionSource();
+        this.startGame();
+
+        // A start check failed (e.g. empty team rosters), so the next match asks the usual questions
+        if (this.gameState.gameStatus !== 'playing') {
+            this.questionSources.stopRetry();
+            this._useQuestionSource();
         }
     }
 
     /**
-     * Start the game
+     * Start a class tournament with the current match settings
+     * @param {string[]} names - Participants, in draw order
+     * @param {string} format - 'single' or 'double' elimination
+     * @throws {Error} When the bracket cannot be made (too few or repeated names)
      */
-    startGame() {
-        // Disable settings during game
-        this._setSettingsEnabled(false);
+    createTournament(names, format) {
+        this.tournamentMode.create(names, format);
+    }
 
-        // Hide settings panel to focus on game
-        this.hideSettings();
+    /**
+     * Play the next match in the bracket, with the two participants as the players
+     */
+    playTournamentMatch() {
+        const match = this.tournamentMode.takeNextMatch();
+        if (!match) return;
 
-        // Start game state
-        this.gameState.start();
+        this.resetGame();
+        this.tournamentMode.begin(match);
+        this.startGame();
+    }
 
-        // Generate first question
-        this.nextQuestion();
+    /**
+     * Abandon (or, once decided, clear away) the tournament
+     */
+    endTournament() {
+        this.tournamentMode.end();
+    }
 
-        // Enable input
-        this.uiController.setInputEnabled(true);
+    /**
+     * Apply handicaps; before a match the rope moves to show the head start
+     * @param {{startOffset: number, handicaps: object}} handicap - Handicap settings
+     */
+    setHandicap({ startOffset, handicaps }) {
+        this.gameState.updateSettings({ startOffset, handicaps });
+        this._saveSettings();
 
-        // Update button states
-        if (this.elements.startBtn) this.elements.startBtn.disabled = true;
-        if (this.elements.pauseBtn) this.elements.pauseBtn.disabled = false;
+        if (this.gameState.gameStatus === 'idle') {
+            this.gameState.ropePosition = this.gameState.getStartPosition();
+            this.resetBoard();
+        }
     }
 
     /**
-     * Generate and display next question
+     * Start the game, unless custom mode has no questions yet
      */
-    nextQuestion() {
-        // Generate question
-        const question = this.questionGenerator.generateQuestion(
-            this.gameState.settings.operation,
-            this.gameState.settings.difficulty
-        );
+    startGame() {
+        if (this.gameState.settings.questionMode === 'custom' && !this.questionSources.hasCustomQuestions()) {
+            this.uiController.updateQuestion('📝 Add some questions to your set first!');
+            this.questionSetEditor.open(this.gameState.settings.questionSet);
+            return;
+        }
 
-        // Store in state
-        this.gameState.setCurrentQuestion(question);
+        // The computer needs no roster
+        const teamsToFill = this._isComputer(2) ? 1 : 2;
+        if (!this.teamMode.isReady(teamsToFill)) {
+            this.uiController.updateQuestion(teamsToFill === 1
+                ? '👥 Add at least one name to your team first!'
+                : '👥 Add at least one name to each team first!');
+            if (this.elements.settingsPanel) {
+                this.elements.settingsPanel.classList.add('open');
+            }
+            return;
+        }
 
-        // Update UI
-        this.uiController.updateQuestion(`${question.text} = ?`);
-        this.uiController.clearInput();
-        this.uiController.updateCurrentPlayer(this.gameState.currentPlayer);
+        if (this._isReview() && !this._hasStudents()) {
+            this.uiController.updateQuestion('🔁 Name the players (or use team rosters) so their reviews can be saved!');
+            return;
+        }
 
-        // Start timer if enabled
-        if (this.gameState.settings.timerEnabled) {
-            this.startTimer();
+        // Every team starts with its first student
+        this.teamMode.reset();
+
+        // Each player starts on the level matching their (handicapped) difficulty
+        this.adaptiveDifficulty.reset();
+        for (let player = 1; player <= this.gameState.settings.playerCount; player++) {
+            const { difficulty } = this.gameState.getHandicap(player);
+            this.adaptiveDifficulty.setLevel(player, STARTING_LEVELS[difficulty] ?? STARTING_LEVELS.medium);
         }
+
+        super.startGame();
     }
 
     /**
-     * Handle answer submission
+     * Display next question, then let the computer take its turn
+     * In race mode both lanes get their own question instead
      */
-    handleSubmit() {
-        if (this.gameState.gameStatus !== 'playing') return;
-
-        // Stop timer
-        this.stopTimer();
+    nextQuestion() {
+        if (this._isRace()) {
+            this.raceMode.start();
+            return;
+        }
 
-        // Get user answer
-        const userAnswer = this.elements.answerInput.value;
+        super.nextQuestion();
+        this._playComputerTurn();
+    }
 
-        // Validate answer
-        const isCorrect = this.questionGenerator.validateAnswer(
-            userAnswer,
-            this.gameState.currentQuestion.answer
-        );
+    /**
+     * Display a question and clear the last worked solution
+     * @private
+     */
+    _showQuestion(question) {
+        super._showQuestion(question);
+        this._setWorkedSolution(null);
 
-        // Process answer
-        this.processAnswer(isCorrect, userAnswer);
+        // Stories need a smaller font than sums
+        if (this.elements.questionDisplay) {
+            this.elements.questionDisplay.classList.toggle('word-problem', question.operation === 'word-problems');
+        }
     }
 
     /**
-     * Process the answer (correct or wrong)
+     * Process the answer, then show the worked solution for multi-step questions
      * @param {boolean} isCorrect - Whether answer was correct
      * @param {string} userAnswer - User's answer
      */
     processAnswer(isCorrect, userAnswer = '') {
-        // Update stats
-        this.gameState.updateStats(isCorrect);
-
-        // Update score if correct
-        if (isCorrect) {
-            this.scoreManager.updateScore(this.gameState.currentPlayer);
-            this.soundManager.playCorrect();
-        } else {
-            this.soundManager.playWrong();
-        }
-
-        // Show feedback
-        this.uiController.showFeedback(
-            isCorrect,
-            this.gameState.currentQuestion.answer,
-            userAnswer
-        );
+        // The turn may have timed out while the computer was still typing
+        this.computerOpponent.cancel();
+        this._setWorkedSolution(this.gameState.currentQuestion.steps);
+
+        this._recordAdaptive(this.gameState.currentPlayer, isCorrect, this.getResponseTime());
+        this._recordReview(this.gameState.currentPlayer, this.gameState.currentQuestion, isCorrect);
 
-        // Update score display
-        this.uiController.displayScore(this.scoreManager.getScores());
+        super.processAnswer(isCorrect, userAnswer);
+    }
+
+    /**
+     * Score an answer, crediting the student who gave it in team mode
+     * @private
+     */
+    _scoreAnswer(isCorrect, isTimeout = false) {
+        this.teamMode.record(this.gameState.currentPlayer, isCorrect);
+        super._scoreAnswer(isCorrect, isTimeout);
+    }
 
-        // Update rope position
-        const newPosition = this.gameState.updateRopePosition(isCorrect);
-        this.ropeRenderer.animateTo(newPosition);
+    /**
+     * Skip the question being answered; in race mode both lanes get a new one
+     */
+    skipQuestion() {
+        if (this.gameState.gameStatus !== 'playing') return;
 
-        // Check win condition (rope position)
-        const winner = this.gameState.checkWinCondition();
-        if (winner) {
-            this.handleWin(winner);
+        this.computerOpponent.cancel();
+        if (!this._isRace()) {
+            super.skipQuestion();
             return;
         }
 
-        // Check question limit
-        if (this.gameState.settings.questionLimitEnabled) {
-            if (this.gameState.stats.totalQuestions >= this.gameState.settings.questionLimit) {
-                // Game ends - determine winner by score
-                const scoreWinner = this.scoreManager.determineWinner();
-                if (scoreWinner === 'tie') {
-                    // In case of tie, continue playing
-                    console.log('Tie game - continuing...');
-                } else {
-                    this.handleWin(scoreWinner);
-                    return;
-                }
+        this.raceMode.skip();
+    }
+
+    /**
+     * Change settings from the teacher console, including the operation and the race lane timers
+     * @param {object} changes - Settings to change
+     */
+    changeSettings(changes) {
+        super.changeSettings(changes);
+        this._useQuestionSource();
+
+        // The race lanes run their own countdowns
+        if (!this.gameState.settings.timerEnabled) {
+            this.raceMode.stopTimers();
+        }
+    }
+
+    /**
+     * Pause or resume, including the race lanes
+     */
+    togglePause() {
+        super.togglePause();
+
+        // The computer starts thinking again after a pause
+        const paused = this.gameState.gameStatus === 'paused';
+        if (paused) {
+            this.computerOpponent.cancel();
+        }
+
+        if (this._isRace()) {
+            if (paused) {
+                this.raceMode.pause();
+            } else {
+                this.raceMode.resume();
             }
+        } else if (!paused) {
+            this._playComputerTurn();
         }
+    }
 
-        // Switch player and continue
-        this.gameState.switchPlayer();
+    /**
+     * Handle win, adding each team's students, the level each player reached in adaptive mode
+     * and each student's review progress in spaced review
+     * @param {string} winner - 'player1' or 'player2'
+     */
+    handleWin(winner) {
+        super.handleWin(winner);
+        this.computerOpponent.cancel();
+        this.raceMode.close();
+
+        const winningPlayer = parseInt(winner.replace('player', ''), 10);
+        const labels = [];
+        for (let player = 1; player <= this.gameState.settings.playerCount; player++) {
+            labels.push(this._getPlayerLabel(player));
+        }
+        this.studentProgress.saveMatch({
+            winner: this._getPlayerLabel(winningPlayer),
+            labels,
+            scores: this.scoreManager.getScores(),
+            settings: this.gameState.settings,
+            attempts: this.gameState.attempts
+        });
 
-        // Delay next question to show feedback
-        setTimeout(() => {
-            if (this.gameState.gameStatus === 'playing') {
-                this.nextQuestion();
+        const lines = this.tournamentMode.recordResult(winningPlayer);
+        for (let player = 1; player <= this.gameState.settings.playerCount; player++) {
+            if (this._isTeamMode() && !this._isComputer(player)) {
+                const { avatar } = this.gameState.getPlayerProfile(player);
+                lines.push(this.teamMode.getSummaryLine(player, `${avatar} ${this._getPlayerLabel(player)}`));
+            }
+            if (this._isAdaptive()) {
+                const level = this.adaptiveDifficulty.getLevel(player);
+                lines.push(`📈 ${this._getPlayerLabel(player)}: Level ${level.number} – ${level.label}`);
             }
-        }, 2000);
+        }
+        if (this._isReview()) {
+            lines.push(...this.studentProgress.getReviewLines(this.gameState.attempts));
+        }
+        this.uiController.showWinDetails(lines);
     }
 
     /**
-     * Handle keypress in answer input (Enter to submit)
-     * @param {KeyboardEvent} e - Keyboard event
+     * Reset game and start the question set from the top
      */
-    handleKeyPress(e) {
-        if (e.key === 'Enter') {
-            this.handleSubmit();
+    resetGame() {
+        super.resetGame();
+        this.computerOpponent.cancel();
+        this.tournamentMode.finish();
+        this.questionSources.reset();
+        this._useQuestionSource();
+        this._setWorkedSolution(null);
+        this.raceMode.reset('Get ready!');
+        this.teamMode.reset();
+
+        if (this.elements.questionDisplay) {
+            this.elements.questionDisplay.classList.remove('word-problem');
         }
     }
 
     /**
-     * Start countdown timer
+     * Score an answer from a race lane: the engine scores and pulls for the current player,
+     * so point it at that lane
+     * @private
+     * @returns {boolean} True when the match has ended
      */
-    startTimer() {
-        this.stopTimer(); // Clear any existing timer
+    _scoreRaceAnswer(player, question, isCorrect, userAnswer, responseTime) {
+        if (this._isComputer(player)) {
+            this.computerOpponent.cancel();
+        }
 
-        this.timeRemaining = this.gameState.settings.timerValue;
-        this.uiController.updateTimer(this.timeRemaining);
+        this.gameState.currentPlayer = player;
+        this.gameState.setCurrentQuestion(question);
 
-        this.timerInterval = setInterval(() => {
-            this.timeRemaining--;
-            this.uiController.updateTimer(this.timeRemaining);
+        this._recordAdaptive(player, isCorrect, responseTime);
+        this._recordReview(player, question, isCorrect);
+        this._recordAttempt(question, userAnswer, isCorrect, responseTime);
+        this._scoreAnswer(isCorrect, userAnswer === TIMEOUT_ANSWER);
+        return this._applyMove(isCorrect);
+    }
 
-            if (this.timeRemaining <= 0) {
-                this.handleTimeout();
-            }
-        }, 1000);
+    /**
+     * Add the race lanes, adaptive levels, team rotation, tournament match and how far
+     * the custom set or missed questions have got to the checkpoint
+     * (the custom question set itself is saved with the settings)
+     * @private
+     */
+    _getCheckpoint() {
+        const checkpoint = super._getCheckpoint();
+        checkpoint.raceQuestions = this.raceMode.getQuestions();
+        checkpoint.adaptive = this.adaptiveDifficulty.toJSON();
+        checkpoint.team = this.teamMode.toJSON();
+        checkpoint.tournamentMatch = this.tournamentMode.toJSON();
+        checkpoint.questionSources = this.questionSources.toJSON();
+        return checkpoint;
     }
 
     /**
-     * Stop countdown timer
+     * Restore the math game's own match state, then the engine's
+     * @private
      */
-    stopTimer() {
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
+    _restoreCheckpoint(checkpoint) {
+        this.questionSources.restore(checkpoint.questionSources, this.gameState.settings.questionMode);
+        this._useQuestionSource();
+        this.adaptiveDifficulty.restore(checkpoint.adaptive);
+        this.teamMode.restore(checkpoint.team);
+
+        this.tournamentMode.restore(checkpoint.tournamentMatch);
+        this._applyPlayerProfiles();
+
+        super._restoreCheckpoint(checkpoint);
+    }
+
+    /**
+     * In race mode each lane gets back the question it was showing
+     * @private
+     */
+    _resumeQuestion(checkpoint) {
+        if (!this._isRace()) {
+            super._resumeQuestion(checkpoint);
+            return;
         }
+
+        this.raceMode.restore(checkpoint.raceQuestions);
     }
 
     /**
-     * Handle timer timeout
+     * Feed an answer to adaptive difficulty (quick means within half of the player's own timer)
+     * @private
      */
-    handleTimeout() {
-        this.stopTimer();
-        this.gameState.updateStats(false, true);
-        this.processAnswer(false, '(timeout)');
+    _recordAdaptive(player, isCorrect, responseTime) {
+        if (!this._isAdaptive()) return;
+
+        const fastSeconds = this.gameState.settings.timerEnabled
+            ? this.gameState.getHandicap(player).timerValue / 2
+            : this.adaptiveDifficulty.fastSeconds;
+        this.adaptiveDifficulty.record(player, isCorrect, responseTime, fastSeconds);
     }
 
     /**
-     * Toggle pause/resume
+     * Move the fact just answered between review boxes for the student who answered.
+     * Every match but a custom one counts, so facts missed in a normal match come back in spaced review
+     * @private
      */
-    togglePause() {
-        if (this.gameState.gameStatus === 'playing') {
-            this.gameState.pause();
-            this.stopTimer();
-            this.uiController.setInputEnabled(false);
-            if (this.elements.pauseBtn) {
-                this.elements.pauseBtn.textContent = 'Resume';
-            }
-        } else if (this.gameState.gameStatus === 'paused') {
-            this.gameState.resume();
-            this.uiController.setInputEnabled(true);
-            if (this.gameState.settings.timerEnabled) {
-                this.startTimer();
-            }
-            if (this.elements.pauseBtn) {
-                this.elements.pauseBtn.textContent = 'Pause';
-            }
+    _recordReview(player, question, isCorrect) {
+        if (this.gameState.settings.questionMode === 'custom') return;
+
+        this.studentProgress.recordReview(this._getStudentName(player), question, isCorrect);
+    }
+
+    /**
+     * Answers slower than this are flagged in the review: half the timer, as for adaptive difficulty
+     * @private
+     */
+    _getSlowSeconds() {
+        return this.gameState.settings.timerEnabled
+            ? Math.ceil(this.gameState.settings.timerValue / 2)
+            : this.adaptiveDifficulty.fastSeconds;
+    }
+
+    /**
+     * Let the computer answer if it is Player 2's turn; otherwise hand the answer box back
+     * @private
+     */
+    _playComputerTurn() {
+        if (this.gameState.gameStatus !== 'playing') return;
+
+        const isComputerTurn = this._isComputer(this.gameState.currentPlayer);
+        this.uiController.setInputEnabled(!isComputerTurn);
+
+        if (isComputerTurn) {
+            // The computer answers through the same submit path as a player
+            this.computerOpponent.play(
+                this.gameState.currentQuestion,
+                this.elements.answerInput,
+                () => this.handleSubmit()
+            );
         }
     }
 
     /**
-     * Reset game to initial state
+     * Let the computer answer the question in its race lane
+     * @private
      */
-    resetGame() {
-        // Stop timer
-        this.stopTimer();
+    _playComputerLane(lane) {
+        if (!this._isComputer(lane.player) || !lane.question) return;
 
-        // Reset all modules
-        this.gameState.reset();
-        this.scoreManager.reset();
+        const input = lane.elements.answerInput;
+        lane.setEnabled(false);
+        this.computerOpponent.play(lane.question, input, () => {
+            this.raceMode.submit(lane.player, input.value.trim());
+        });
+    }
 
-        // Reset rope position
-        this.ropeRenderer.animateTo(0);
+    /**
+     * Whether a player's turns are taken by the computer
+     * @private
+     */
+    _isComputer(player) {
+        return this.gameState.settings.opponent === 'computer' && player === 2;
+    }
 
-        // Reset UI
-        this.uiController.displayScore(this.scoreManager.getScores());
-        this.uiController.updateCurrentPlayer(1);
-        this.uiController.clearInput();
-        this.uiController.setInputEnabled(false);
-        this.uiController.hideWinOverlay();
+    /**
+     * Show the computer's skill settings when it is playing, and name Player 2 after it
+     * @private
+     */
+    _applyOpponent() {
+        if (this.elements.computerSkill) {
+            this.elements.computerSkill.hidden = !this._isComputer(2);
+        }
+        this._readComputerSkill();
+        this._applyPlayerProfiles();
+    }
 
-        if (this.elements.questionDisplay) {
-            this.elements.questionDisplay.textContent = 'Press Start to Begin!';
+    /**
+     * Read the computer's accuracy and thinking time from the settings panel
+     * @private
+     */
+    _readComputerSkill() {
+        const current = this.gameState.settings.computerSkill;
+        const read = (input, fallback) => {
+            const value = input ? parseInt(input.value, 10) : NaN;
+            return isNaN(value) ? fallback : value;
+        };
+
+        const skill = {
+            accuracy: read(this.elements.computerAccuracy, current.accuracy),
+            minThink: read(this.elements.computerThinkMin, current.minThink),
+            maxThink: read(this.elements.computerThinkMax, current.maxThink)
+        };
+
+        this.gameState.updateSettings({ computerSkill: skill });
+        this.computerOpponent.setSkill(skill);
+
+        if (this.elements.computerAccuracyValue) {
+            this.elements.computerAccuracyValue.textContent = `${this.computerOpponent.accuracy}%`;
+        }
+    }
+
+    /**
+     * Whether students take turns for two teams
+     * @private
+     */
+    _isTeamMode() {
+        return this.gameState.settings.teamMode;
+    }
+
+    /**
+     * Players are announced by their chosen name, or "Team N" / "Player N"
+     * @private
+     */
+    _getPlayerLabel(player) {
+        return this.tournamentMode.getPlayerName(player)
+            || this.gameState.getPlayerProfile(player).name
+            || this._getDefaultLabel(player);
+    }
+
+    /**
+     * In team mode the answer log names the student as well as the team
+     * @private
+     */
+    _getAnswererLabel(player) {
+        const label = this._getPlayerLabel(player);
+        const student = this.teamMode.getCurrentStudent(player);
+        return student ? `${student} (${label})` : label;
+    }
+
+    /**
+     * Progress is kept under the student answering in team mode, otherwise under the
+     * player's name; unnamed players and the computer are not tracked
+     * @private
+     */
+    _getStudentName(player) {
+        if (this._isComputer(player)) {
+            return null;
+        }
+        if (this._isTeamMode()) {
+            return this.teamMode.getCurrentStudent(player);
         }
+        return this.tournamentMode.getPlayerName(player)
+            || this.gameState.getPlayerProfile(player).name
+            || null;
+    }
 
-        // Enable settings
-        this._setSettingsEnabled(true);
+    /**
+     * Name for a player who has not chosen one
+     * @private
+     */
+    _getDefaultLabel(player) {
+        if (this._isComputer(player)) {
+            return 'Computer';
+        }
+        return this._isTeamMode() ? `Team ${player}` : `Player ${player}`;
+    }
 
-        // Reset buttons
-        if (this.elements.startBtn) this.elements.startBtn.disabled = false;
-        if (this.elements.pauseBtn) {
-            this.elements.pauseBtn.disabled = true;
-            this.elements.pauseBtn.textContent = 'Pause';
+    /**
+     * Read both roster boxes into the settings
+     * @private
+     */
+    _readRosters() {
+        const rosters = {
+            player1: TeamRoster.parseNames(this.elements.team1Roster ? this.elements.team1Roster.value : ''),
+            player2: TeamRoster.parseNames(this.elements.team2Roster ? this.elements.team2Roster.value : '')
+        };
+
+        this.gameState.updateSettings({ rosters });
+        this.teamMode.setRosters(rosters);
+    }
+
+    /**
+     * Show or hide the rosters and switch the indicators between players and teams
+     * @private
+     */
+    _applyTeamMode() {
+        if (this.elements.teamRosters) {
+            this.elements.teamRosters.hidden = !this._isTeamMode();
         }
+        this.teamMode.setEnabled(this._isTeamMode());
+
+        this._applyPlayerProfiles();
     }
 
     /**
-     * Handle win condition
-     * @param {string} winner - 'player1' or 'player2'
+     * Show each player's name, avatar and colour on the indicators, teacher view, race lanes and rope
+     * @private
      */
-    handleWin(winner) {
-        this.gameState.end();
-        this.stopTimer();
-        this.uiController.setInputEnabled(false);
+    _applyPlayerProfiles() {
+        const ropePlayers = [];
 
-        // Play win sound
-        this.soundManager.playWin();
+        for (let player = 1; player <= 2; player++) {
+            const { name, avatar, color } = this.gameState.getPlayerProfile(player);
+            this.uiController.updatePlayerProfile(player, { label: this._getPlayerLabel(player), avatar, color });
 
-        // Show win overlay
-        this.uiController.showWinOverlay(winner, this.scoreManager.getScores());
+            const lane = this.raceMode.getLane(player);
+            if (lane) {
+                lane.setColor(color);
+            }
+            ropePlayers.push({ name: this.tournamentMode.getPlayerName(player) || name, avatar, color });
+        }
 
-        console.log(`🏆 ${winner} wins!`, this.gameState.getState());
+        if (this.renderer && this.renderer.setPlayers) {
+            this.renderer.setPlayers(ropePlayers);
+        }
+        this.teamMode.render();
     }
 
     /**
-     * Toggle sound on/off
+     * Name each race lane's player, and the student answering in it in team mode
+     * @private
      */
-    toggleSound() {
-        const enabled = this.soundManager.toggleSound();
-        this.uiController.updateSoundToggle(enabled);
-        this.gameState.updateSettings({ soundEnabled: enabled });
+    _labelRaceLanes() {
+        for (let player = 1; player <= 2; player++) {
+            const lane = this.raceMode.getLane(player);
+            if (!lane) continue;
+
+            const label = `${this.gameState.getPlayerProfile(player).avatar} ${this._getPlayerLabel(player)}`;
+            const student = this.teamMode.getCurrentStudent(player);
+            lane.setLabel(student ? `${label} · 🙋 ${student}` : label);
+        }
     }
 
     /**
-     * Toggle teacher mode
+     * Whether both players answer at once
+     * @private
      */
-    toggleTeacherMode() {
-        const teacherMode = this.gameState.settings.teacherMode || false;
-        const newMode = !teacherMode;
-        this.gameState.updateSettings({ teacherMode: newMode });
-        this.uiController.toggleTeacherMode(newMode);
+    _isRace() {
+        return this.gameState.settings.matchMode === 'race';
     }
 
     /**
-     * Enable/disable settings controls
+     * Swap between the single question area and the split-screen race lanes
      * @private
      */
-    _setSettingsEnabled(enabled) {
-        const settingsElements = [
-            this.elements.difficultySelect,
-            this.elements.operationSelect,
-            this.elements.timerToggle,
-            this.elements.timerValueInput
-        ];
+    _applyMatchMode() {
+        const isRace = this._isRace();
+
+        if (this.elements.raceArena) {
+            this.elements.raceArena.hidden = !isRace;
+        }
+        if (this.elements.gameContent) {
+            this.elements.gameContent.classList.toggle('race-mode', isRace);
+        }
+    }
+
+    /**
+     * Show or clear the worked solution, one step per line
+     * @private
+     */
+    _setWorkedSolution(steps) {
+        const container = this.elements.workedSolution;
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (!steps || steps.length < 2) {
+            container.style.display = 'none';
+            return;
+        }
 
-        settingsElements.forEach(el => {
-            if (el) el.disabled = !enabled;
+        const title = document.createElement('div');
+        title.className = 'worked-solution-title';
+        title.textContent = '🧮 Worked solution';
+        container.appendChild(title);
+
+        steps.forEach((step, index) => {
+            const line = document.createElement('div');
+            line.className = 'worked-solution-step';
+            line.textContent = index === 0 ? step : `= ${step}`;
+            container.appendChild(line);
         });
+
+        container.style.display = 'block';
     }
 
     /**
-     * Cleanup - called when page is unloaded
+     * In adaptive mode each player gets their own number range and operation mix;
+     * in spaced review the student answering is named, so their schedule is used
+     * @private
      */
-    cleanup() {
-        this.stopTimer();
-        if (this.ropeRenderer) {
-            this.ropeRenderer.cleanup();
+    _getQuestionSettings(player = this.gameState.currentPlayer) {
+        const settings = super._getQuestionSettings(player);
+        if (this._isReview()) {
+            settings.student = this._getStudentName(player);
         }
-        if (this.soundManager) {
-            this.soundManager.cleanup();
+        if (!this._isAdaptive()) {
+            return settings;
         }
-        if (this.gameState) {
-            this.gameState.destroy();
+
+        const level = this.adaptiveDifficulty.getLevel(player);
+        const operation = level.operations[Math.floor(Math.random() * level.operations.length)];
+        return { ...settings, difficulty: level.difficulty, operation };
+    }
+
+    /**
+     * Adaptive difficulty applies to generated questions only
+     * @private
+     */
+    _isAdaptive() {
+        return this.gameState.settings.adaptive && this.gameState.settings.questionMode !== 'custom';
+    }
+
+    /**
+     * Whether questions come from each student's spaced-review schedule
+     * @private
+     */
+    _isReview() {
+        return this.gameState.settings.questionMode === 'review';
+    }
+
+    /**
+     * Whether any player answering has a name to keep a schedule under
+     * @private
+     */
+    _hasStudents() {
+        for (let player = 1; player <= this.gameState.settings.playerCount; player++) {
+            if (this._getStudentName(player)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Point the engine at the generated, spaced-review or custom question source, or the missed questions being retried
+     * @private
+     */
+    _useQuestionSource() {
+        const isCustom = this.gameState.settings.questionMode === 'custom';
+        this.questionSource = this.questionSources.select(this.gameState.settings.questionMode);
+
+        // Custom answers may be words and fractions need "/" and "-",
+        // so allow a full keyboard on tablets
+        if (this.elements.answerInput) {
+            const needsFullKeyboard = isCustom ||
+                ['fractions', 'negatives'].includes(this.gameState.settings.operation);
+            this.elements.answerInput.inputMode = needsFullKeyboard ? 'text' : 'decimal';
+        }
+
+        if (this.elements.questionSetSummary) {
+            const { name, questions } = this.gameState.settings.questionSet;
+            const count = questions.length;
+            this.elements.questionSetSummary.textContent = count > 0
+                ? `📋 ${name} (${count} question${count === 1 ? '' : 's'})`
+                : '📋 No questions yet';
         }
     }
 }
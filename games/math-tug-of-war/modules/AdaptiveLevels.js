@@ -0,0 +1,20 @@
+/**
+ * AdaptiveLevels.js
+ * Level ladder for adaptive difficulty: each level sets the number range
+ * (easy, medium, hard) and the mix of operations a player is asked
+ */
+
+const FOUR_OPERATIONS = ['addition', 'subtraction', 'multiplication', 'division'];
+
+export const ADAPTIVE_LEVELS = [
+    { label: 'Adding', difficulty: 'easy', operations: ['addition'] },
+    { label: 'Adding & Subtracting', difficulty: 'easy', operations: ['addition', 'subtraction'] },
+    { label: 'Add, Subtract & Times', difficulty: 'easy', operations: ['addition', 'subtraction', 'multiplication'] },
+    { label: 'All Four Operations', difficulty: 'medium', operations: FOUR_OPERATIONS },
+    { label: 'Missing Numbers', difficulty: 'medium', operations: [...FOUR_OPERATIONS, 'missing'] },
+    { label: 'Bigger Numbers', difficulty: 'hard', operations: [...FOUR_OPERATIONS, 'missing'] },
+    { label: 'Order of Operations', difficulty: 'hard', operations: ['multiplication', 'division', 'missing', 'expressions'] }
+];
+
+// Where players start, from the difficulty chosen in settings (index into ADAPTIVE_LEVELS)
+export const STARTING_LEVELS = { easy: 1, medium: 3, hard: 5 };
@@ -0,0 +1,183 @@
+/**
+ * AnswerReview.js
+ * Post-match review: every answer given in the match, filterable to the wrong or
+ * slow ones, with a button to play the missed questions again
+ */
+
+export class AnswerReview {
+    /**
+     * @param {object} elements - Review screen DOM elements
+     * @param {function} onRetry - Called with the missed questions when "retry" is pressed
+     */
+    constructor(elements, onRetry) {
+        this.elements = elements;
+        this.onRetry = onRetry;
+        this.attempts = [];
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * Questions answered wrongly (or timed out) at least once, each listed once
+     * @param {object[]} attempts - Attempts from GameState
+     * @returns {object[]} Question objects, in the order they were first missed
+     */
+    static getMissed(attempts) {
+        const seen = new Set();
+        const missed = [];
+        attempts.forEach(attempt => {
+            if (attempt.isCorrect || seen.has(attempt.text)) return;
+            seen.add(attempt.text);
+            missed.push(attempt.question);
+        });
+        return missed;
+    }
+
+    /**
+     * Open the review screen
+     * @param {object[]} attempts - Attempts from GameState, in order
+     * @param {number} slowSeconds - Starting threshold for "slow" answers
+     */
+    open(attempts, slowSeconds) {
+        this.attempts = attempts;
+
+        if (this.elements.slowSecondsInput) {
+            this.elements.slowSecondsInput.value = slowSeconds;
+        }
+        if (this.elements.wrongOnlyToggle) {
+            this.elements.wrongOnlyToggle.checked = false;
+        }
+        if (this.elements.slowOnlyToggle) {
+            this.elements.slowOnlyToggle.checked = false;
+        }
+
+        this._renderSummary();
+        this._render();
+
+        const missed = AnswerReview.getMissed(attempts).length;
+        if (this.elements.retryBtn) {
+            this.elements.retryBtn.disabled = missed === 0;
+            this.elements.retryBtn.textContent = `🔁 Retry Missed Questions (${missed})`;
+        }
+
+        if (this.elements.overlay) {
+            this.elements.overlay.style.display = 'flex';
+        }
+    }
+
+    /**
+     * Close the review screen
+     */
+    close() {
+        if (this.elements.overlay) {
+            this.elements.overlay.style.display = 'none';
+        }
+    }
+
+    /**
+     * Setup filter and button listeners
+     * @private
+     */
+    _setupEventListeners() {
+        [
+            this.elements.wrongOnlyToggle,
+            this.elements.slowOnlyToggle,
+            this.elements.slowSecondsInput
+        ].forEach(control => {
+            if (control) {
+                control.addEventListener('change', () => this._render());
+            }
+        });
+
+        if (this.elements.retryBtn) {
+            this.elements.retryBtn.addEventListener('click', () => {
+                const missed = AnswerReview.getMissed(this.attempts);
+                if (missed.length === 0) return;
+
+                this.close();
+                this.onRetry(missed);
+            });
+        }
+
+        if (this.elements.closeBtn) {
+            this.elements.closeBtn.addEventListener('click', () => this.close());
+        }
+    }
+
+    /**
+     * Totals for the whole match
+     * @private
+     */
+    _renderSummary() {
+        if (!this.elements.summaryDisplay) return;
+
+        const total = this.attempts.length;
+        const right = this.attempts.filter(attempt => attempt.isCorrect).length;
+        const timedOut = this.attempts.filter(attempt => attempt.timedOut).length;
+        this.elements.summaryDisplay.textContent =
+            `${total} answer${total === 1 ? '' : 's'} · ✅ ${right} right · ` +
+            `❌ ${total - right - timedOut} wrong · ⏰ ${timedOut} timed out`;
+    }
+
+    /**
+     * List the attempts that pass the filters
+     * @private
+     */
+    _render() {
+        const list = this.elements.list;
+        if (!list) return;
+
+        const wrongOnly = this.elements.wrongOnlyToggle && this.elements.wrongOnlyToggle.checked;
+        const slowOnly = this.elements.slowOnlyToggle && this.elements.slowOnlyToggle.checked;
+        const slowSeconds = this.elements.slowSecondsInput
+            ? parseFloat(this.elements.slowSecondsInput.value) || 0
+            : 0;
+
+        list.innerHTML = '';
+        let shown = 0;
+        this.attempts.forEach((attempt, index) => {
+            if (wrongOnly && attempt.isCorrect) return;
+            if (slowOnly && attempt.responseTime <= slowSeconds) return;
+
+            list.appendChild(this._renderRow(attempt, index + 1, attempt.responseTime > slowSeconds));
+            shown++;
+        });
+
+        if (this.elements.emptyDisplay) {
+            this.elements.emptyDisplay.hidden = shown > 0;
+            this.elements.emptyDisplay.textContent = this.attempts.length === 0
+                ? 'No answers were given in this match.'
+                : 'No answers match these filters.';
+        }
+    }
+
+    /**
+     * One table row: number, who answered, question, their answer, the right answer and time taken
+     * @private
+     */
+    _renderRow(attempt, number, isSlow) {
+        const row = document.createElement('tr');
+        row.className = attempt.isCorrect ? 'review-right' : 'review-wrong';
+        row.classList.toggle('review-slow', isSlow);
+
+        const given = attempt.timedOut
+            ? "⏰ Time's up"
+            : `${attempt.isCorrect ? '✅' : '❌'} ${attempt.answer}`;
+
+        const cells = [
+            number,
+            attempt.name,
+            attempt.text,
+            given,
+            attempt.correctAnswer,
+            `${isSlow ? '🐢 ' : ''}${attempt.responseTime.toFixed(1)} s`
+        ];
+        cells.forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+
+        return row;
+    }
+}
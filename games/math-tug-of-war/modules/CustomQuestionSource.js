@@ -0,0 +1,138 @@
+/**
+ * CustomQuestionSource.js
+ * Question source that serves a teacher's own question set,
+ * in the order it was written or shuffled
+ */
+
+import { Fraction } from '../../shared/modules/Fraction.js';
+
+export class CustomQuestionSource {
+    /**
+     * @param {object[]} questions - Questions {question, answer, tags}
+     */
+    constructor(questions = []) {
+        this.setQuestions(questions);
+    }
+
+    /**
+     * Replace the question set and start from the top
+     * @param {object[]} questions - Questions {question, answer, tags}
+     */
+    setQuestions(questions) {
+        this.questions = questions;
+        this.reset();
+    }
+
+    /**
+     * Start the set again from the first question
+     */
+    reset() {
+        this.queue = [];
+        this.queueOrder = null;
+    }
+
+    /**
+     * Questions still to come in this round, for saving
+     * @returns {{queue: object[], queueOrder: string|null}} Round in progress
+     */
+    toJSON() {
+        return { queue: [...this.queue], queueOrder: this.queueOrder };
+    }
+
+    /**
+     * Carry on with a saved round
+     * @param {object} round - As returned by toJSON()
+     */
+    restore(round) {
+        this.queue = Array.isArray(round && round.queue) ? [...round.queue] : [];
+        this.queueOrder = round ? round.queueOrder || null : null;
+    }
+
+    /**
+     * Whether there is anything to ask
+     * @returns {boolean} True when the set has questions
+     */
+    hasQuestions() {
+        return this.questions.length > 0;
+    }
+
+    /**
+     * Next question from the set, starting over once every question has been asked
+     * @param {object} settings - Game settings (questionOrder: 'sequential' or 'shuffled', requireSimplified)
+     * @returns {object} Question object with text, answer, operation, tags and requireSimplified
+     */
+    next(settings) {
+        const order = settings.questionOrder === 'shuffled' ? 'shuffled' : 'sequential';
+
+        // Deal a fresh round when the set runs out or the order changes
+        if (this.queue.length === 0 || this.queueOrder !== order) {
+            this.queue = order === 'shuffled'
+                ? this._shuffle([...this.questions])
+                : [...this.questions];
+            this.queueOrder = order;
+        }
+
+        const item = this.queue.shift();
+        return {
+            text: item.question,
+            answer: item.answer,
+            operation: 'custom',
+            tags: item.tags,
+            requireSimplified: Boolean(settings.requireSimplified)
+        };
+    }
+
+    /**
+     * Validate user's answer against a question
+     * Numeric answers compare by value (6/8 = 3/4 = 0.75), unless simplest form is required;
+     * anything else ignores case and spacing
+     * @param {string} userAnswer - User's input
+     * @param {object} question - Current question
+     * @returns {boolean} True if correct
+     */
+    validate(userAnswer, question) {
+        if (userAnswer === '' || userAnswer === null || userAnswer === undefined) {
+            return false;
+        }
+
+        const expectedNumber = Fraction.parse(question.answer);
+        if (expectedNumber) {
+            const givenNumber = Fraction.parse(userAnswer);
+            if (!givenNumber || (question.requireSimplified && !givenNumber.simplified)) {
+                return false;
+            }
+            return givenNumber.value.equals(expectedNumber.value);
+        }
+
+        return this._normalize(String(userAnswer).trim()) === this._normalize(String(question.answer).trim());
+    }
+
+    /**
+     * Format question for display - teachers write the full prompt
+     * @param {object} question - Question to display
+     * @returns {string} Display text
+     */
+    format(question) {
+        return question.text;
+    }
+
+    /**
+     * Lowercase and collapse spaces for text answers
+     * @private
+     */
+    _normalize(text) {
+        return text.toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     * @private
+     */
+    _shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+}
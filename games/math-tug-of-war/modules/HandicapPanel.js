@@ -0,0 +1,228 @@
+/**
+ * HandicapPanel.js
+ * Settings-panel controls for per-player handicaps, the rope's starting
+ * offset, and named match presets
+ */
+
+// Handicap fields, with how each input's value is read
+const FIELDS = {
+    correctPull: { min: 0, max: 5 },
+    wrongPull: { min: 0, max: 5 },
+    timerValue: { min: 5, max: 60 },
+    difficulty: null
+};
+
+export class HandicapPanel {
+    /**
+     * @param {object} elements - Panel DOM elements
+     * @param {MatchPresets} presets - Preset store
+     * @param {object} defaults - Values shown when there is no handicap {correctPull, wrongPull}
+     * @param {function} onChange - Called with {startOffset, handicaps} whenever they change
+     */
+    constructor(elements, presets, defaults, onChange) {
+        this.elements = elements;
+        this.presets = presets;
+        this.defaults = defaults;
+        this.onChange = onChange;
+
+        this._setupEventListeners();
+        this._renderPresetOptions();
+    }
+
+    /**
+     * Fill the controls from settings
+     * @param {{startOffset: number, handicaps: object}} settings - Handicap settings
+     */
+    show({ startOffset = 0, handicaps = {} }) {
+        if (this.elements.startOffsetSelect) {
+            this.elements.startOffsetSelect.value = String(startOffset);
+        }
+
+        this._getInputs().forEach(input => {
+            const value = (handicaps[`player${input.dataset.player}`] || {})[input.dataset.field];
+            input.value = value ?? this.defaults[input.dataset.field] ?? '';
+        });
+    }
+
+    /**
+     * Read the handicap settings from the controls
+     * Blank timers and difficulties mean "same as the match"
+     * @returns {{startOffset: number, handicaps: object}} Handicap settings
+     */
+    read() {
+        const handicaps = {};
+
+        this._getInputs().forEach(input => {
+            const { player, field } = input.dataset;
+            const value = this._readValue(field, input.value);
+            if (value === undefined) return;
+
+            const key = `player${player}`;
+            handicaps[key] = { ...handicaps[key], [field]: value };
+        });
+
+        const startOffset = this.elements.startOffsetSelect
+            ? parseInt(this.elements.startOffsetSelect.value, 10) || 0
+            : 0;
+
+        return { startOffset, handicaps };
+    }
+
+    /**
+     * Controls to lock while a match is running
+     * @returns {HTMLElement[]} Panel controls
+     */
+    getControls() {
+        return [
+            ...this._getInputs(),
+            this.elements.startOffsetSelect,
+            this.elements.presetSelect,
+            this.elements.presetNameInput,
+            this.elements.savePresetBtn,
+            this.elements.deletePresetBtn
+        ];
+    }
+
+    /**
+     * Setup control listeners
+     * @private
+     */
+    _setupEventListeners() {
+        const notify = () => {
+            if (this.elements.presetSelect) {
+                this.elements.presetSelect.value = '';
+            }
+            this._updateDeleteButton();
+            this.onChange(this.read());
+        };
+
+        this._getInputs().forEach(input => input.addEventListener('change', notify));
+
+        if (this.elements.startOffsetSelect) {
+            this.elements.startOffsetSelect.addEventListener('change', notify);
+        }
+
+        if (this.elements.presetSelect) {
+            this.elements.presetSelect.addEventListener('change', (e) => this._applyPreset(e.target.value));
+        }
+
+        if (this.elements.savePresetBtn) {
+            this.elements.savePresetBtn.addEventListener('click', () => this._savePreset());
+        }
+
+        if (this.elements.deletePresetBtn) {
+            this.elements.deletePresetBtn.addEventListener('click', () => this._deletePreset());
+        }
+    }
+
+    /**
+     * Handicap inputs, one per player and field
+     * @private
+     */
+    _getInputs() {
+        return this.elements.container
+            ? [...this.elements.container.querySelectorAll('[data-player][data-field]')]
+            : [];
+    }
+
+    /**
+     * Turn an input value into a setting (undefined = no handicap for this field)
+     * @private
+     */
+    _readValue(field, raw) {
+        if (raw === '') return undefined;
+
+        const range = FIELDS[field];
+        if (!range) return raw;
+
+        const value = parseInt(raw, 10);
+        if (isNaN(value)) return undefined;
+        return Math.max(range.min, Math.min(range.max, value));
+    }
+
+    /**
+     * Load a preset into the controls
+     * @private
+     */
+    _applyPreset(name) {
+        const preset = this.presets.get(name);
+        if (preset) {
+            this.show(preset);
+            if (this.elements.presetNameInput && !this.presets.isBuiltIn(name)) {
+                this.elements.presetNameInput.value = name;
+            }
+            this.onChange(this.read());
+            this._showStatus('');
+        }
+        this._updateDeleteButton();
+    }
+
+    /**
+     * Save the current controls as a named preset
+     * @private
+     */
+    _savePreset() {
+        const name = this.elements.presetNameInput ? this.elements.presetNameInput.value.trim() : '';
+
+        try {
+            this.presets.save(name, this.read());
+            this._renderPresetOptions();
+            this.elements.presetSelect.value = name;
+            this._updateDeleteButton();
+            this._showStatus(`💾 Saved "${name}"`);
+        } catch (error) {
+            this._showStatus(`⚠️ ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete the selected preset (teacher presets only)
+     * @private
+     */
+    _deletePreset() {
+        const name = this.elements.presetSelect ? this.elements.presetSelect.value : '';
+        if (!name || this.presets.isBuiltIn(name)) return;
+
+        this.presets.remove(name);
+        this._renderPresetOptions();
+        this._updateDeleteButton();
+        this._showStatus(`🗑️ Deleted "${name}"`);
+    }
+
+    /**
+     * Rebuild the preset dropdown
+     * @private
+     */
+    _renderPresetOptions() {
+        const select = this.elements.presetSelect;
+        if (!select) return;
+
+        select.innerHTML = '';
+        select.appendChild(new Option('Choose a preset…', ''));
+        this.presets.getNames().forEach(name => {
+            const label = this.presets.isBuiltIn(name) ? name : `⭐ ${name}`;
+            select.appendChild(new Option(label, name));
+        });
+    }
+
+    /**
+     * Only the teacher's own presets can be deleted
+     * @private
+     */
+    _updateDeleteButton() {
+        if (this.elements.deletePresetBtn && this.elements.presetSelect) {
+            const name = this.elements.presetSelect.value;
+            this.elements.deletePresetBtn.hidden = !name || this.presets.isBuiltIn(name);
+        }
+    }
+
+    /**
+     * Show or clear the status line
+     * @private
+     */
+    _showStatus(message) {
+        if (this.elements.statusDisplay) {
+            this.elements.statusDisplay.textContent = message;
+        }
+    }
+}
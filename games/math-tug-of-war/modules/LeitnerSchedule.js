@@ -0,0 +1,72 @@
+/**
+ * LeitnerSchedule.js
+ * One student's spaced-repetition schedule, Leitner style: every fact sits in a box.
+ * A right answer moves it up a box, a wrong one sends it back to box 1, and the
+ * higher the box the longer until the fact is asked again.
+ *
+ * Intervals count the student's own answers rather than days, so the schedule
+ * runs at the pace they play, carrying on from one session to the next.
+ */
+
+// Answers before a fact in each box is due again (box 1 holds facts just missed)
+export const BOX_INTERVALS = [2, 5, 12, 30, 75];
+
+export class LeitnerSchedule {
+    /**
+     * @param {object} [data] - Saved schedule from toJSON()
+     * @param {number} data.clock - Answers recorded so far
+     * @param {object} data.cards - Cards by fact {question, box, due}
+     */
+    constructor({ clock = 0, cards = {} } = {}) {
+        this.clock = clock;
+        this.cards = { ...cards };
+    }
+
+    /**
+     * The fact most in need of review: lowest box first, then the longest overdue
+     * @returns {object|null} Question to ask, or null when nothing is due
+     */
+    getDue() {
+        const due = Object.values(this.cards)
+            .filter(card => card.due <= this.clock)
+            .sort((a, b) => a.box - b.box || a.due - b.due);
+
+        return due.length > 0 ? { ...due[0].question } : null;
+    }
+
+    /**
+     * Record an answer to a fact and schedule it again
+     * @param {string} fact - Fact key, e.g. "7 × 8"
+     * @param {object} question - Question asked (kept so it can be asked again)
+     * @param {boolean} isCorrect - Whether the answer was correct
+     * @returns {number} Box the fact is now in
+     */
+    record(fact, question, isCorrect) {
+        this.clock++;
+
+        const card = this.cards[fact];
+        const box = isCorrect ? Math.min((card ? card.box : 1) + 1, BOX_INTERVALS.length) : 1;
+        this.cards[fact] = { question, box, due: this.clock + BOX_INTERVALS[box - 1] };
+        return box;
+    }
+
+    /**
+     * How many facts are still being learned (boxes 1-2) and how many are well known (top two boxes)
+     * @returns {{learning: number, known: number}} Counts
+     */
+    getCounts() {
+        const boxes = Object.values(this.cards).map(card => card.box);
+        return {
+            learning: boxes.filter(box => box <= 2).length,
+            known: boxes.filter(box => box >= BOX_INTERVALS.length - 1).length
+        };
+    }
+
+    /**
+     * Schedule as plain data, for saving
+     * @returns {{clock: number, cards: object}} Saved schedule
+     */
+    toJSON() {
+        return { clock: this.clock, cards: this.cards };
+    }
+}
@@ -0,0 +1,45 @@
+/**
+ * Mastery.js
+ * Mastery badges for the progress dashboard, earned per operation from a student's
+ * accuracy, speed and how many questions they have answered
+ */
+
+// Highest badge first; a student earns the first one whose bar they clear
+export const MASTERY_LEVELS = [
+    { badge: '🥇', label: 'Mastered', minAnswers: 30, minAccuracy: 0.9, maxSeconds: 5 },
+    { badge: '🥈', label: 'Confident', minAnswers: 20, minAccuracy: 0.8, maxSeconds: 8 },
+    { badge: '🥉', label: 'Getting There', minAnswers: 10, minAccuracy: 0.6, maxSeconds: Infinity }
+];
+
+// Before any badge is earned
+export const STARTING_LEVEL = { badge: '🌱', label: 'Just Started' };
+
+/**
+ * Accuracy and average time for a tally
+ * @param {{answered: number, correct: number, totalTime: number}} tally - Tally from ProgressStore
+ * @returns {{accuracy: number, averageTime: number}} Accuracy (0-1) and average seconds per answer
+ */
+export function getRates(tally) {
+    if (!tally || tally.answered === 0) {
+        return { accuracy: 0, averageTime: 0 };
+    }
+    return {
+        accuracy: tally.correct / tally.answered,
+        averageTime: tally.totalTime / tally.answered
+    };
+}
+
+/**
+ * The badge a tally has earned
+ * @param {{answered: number, correct: number, totalTime: number}} tally - Tally from ProgressStore
+ * @returns {{badge: string, label: string}} Badge
+ */
+export function getMastery(tally) {
+    const { accuracy, averageTime } = getRates(tally);
+    const level = MASTERY_LEVELS.find(candidate =>
+        tally.answered >= candidate.minAnswers &&
+        accuracy >= candidate.minAccuracy &&
+        averageTime <= candidate.maxSeconds);
+
+    return level ? { badge: level.badge, label: level.label } : { ...STARTING_LEVEL };
+}
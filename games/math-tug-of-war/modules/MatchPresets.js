@@ -0,0 +1,123 @@
+/**
+ * MatchPresets.js
+ * Named handicap presets: a few built in, plus the teacher's own saved in localStorage
+ * A preset is {startOffset, handicaps} in the same shape as the game settings
+ */
+
+const STORAGE_KEY = 'mathTugOfWar.matchPresets';
+
+export const BUILT_IN_PRESETS = {
+    'Even Match': {
+        startOffset: 0,
+        handicaps: {}
+    },
+    'Head Start for Player 1': {
+        startOffset: -3,
+        handicaps: {}
+    },
+    'Extra Help for Player 1': {
+        startOffset: 0,
+        handicaps: {
+            player1: { correctPull: 3, wrongPull: 0, timerValue: 30, difficulty: 'easy' },
+            player2: { correctPull: 2, wrongPull: 1, timerValue: 15, difficulty: 'hard' }
+        }
+    }
+};
+
+export class MatchPresets {
+    /**
+     * @param {Storage} [storage] - Where saved presets live (default: localStorage)
+     */
+    constructor(storage = null) {
+        this.storage = storage;
+    }
+
+    /**
+     * All preset names, built-in first
+     * @returns {string[]} Preset names
+     */
+    getNames() {
+        return [...Object.keys(BUILT_IN_PRESETS), ...Object.keys(this._loadSaved())];
+    }
+
+    /**
+     * Look up a preset
+     * @param {string} name - Preset name
+     * @returns {object|null} Preset {startOffset, handicaps}, or null if unknown
+     */
+    get(name) {
+        return BUILT_IN_PRESETS[name] || this._loadSaved()[name] || null;
+    }
+
+    /**
+     * Whether a preset ships with the game (and so cannot be overwritten or deleted)
+     * @param {string} name - Preset name
+     * @returns {boolean} True for built-in presets
+     */
+    isBuiltIn(name) {
+        return Object.prototype.hasOwnProperty.call(BUILT_IN_PRESETS, name);
+    }
+
+    /**
+     * Save (or overwrite) one of the teacher's presets
+     * @param {string} name - Preset name
+     * @param {object} preset - Preset {startOffset, handicaps}
+     * @throws {Error} When the name is empty, built in, or storage is unavailable
+     */
+    save(name, preset) {
+        const trimmed = name.trim();
+        if (!trimmed) {
+            throw new Error('Give the preset a name first.');
+        }
+        if (this.isBuiltIn(trimmed)) {
+            throw new Error(`"${trimmed}" is a built-in preset - please choose another name.`);
+        }
+
+        const saved = this._loadSaved();
+        saved[trimmed] = preset;
+        this._writeSaved(saved);
+    }
+
+    /**
+     * Delete one of the teacher's presets
+     * @param {string} name - Preset name
+     */
+    remove(name) {
+        const saved = this._loadSaved();
+        delete saved[name];
+        this._writeSaved(saved);
+    }
+
+    /**
+     * Storage to use (reading localStorage can throw when it is blocked, so callers catch)
+     * @private
+     */
+    _getStorage() {
+        return this.storage || window.localStorage;
+    }
+
+    /**
+     * Read saved presets (empty when storage is unavailable or corrupt)
+     * @private
+     */
+    _loadSaved() {
+        try {
+            const data = JSON.parse(this._getStorage().getItem(STORAGE_KEY) || '{}');
+            return data && typeof data === 'object' ? data : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Write saved presets
+     * @private
+     */
+    _writeSaved(saved) {
+        try {
+            this._getStorage().setItem(STORAGE_KEY, JSON.stringify(saved));
+        } catch (error) {
+            throw new Error('Presets could not be saved in this browser.');
+        }
+    }
+}
@@ -0,0 +1,250 @@
+/**
+ * MatchReport.js
+ * Match results for teachers' records: a summary of each finished match, and
+ * exports of one or many matches as CSV (every attempt), JSON or a printable
+ * HTML report with the scoreline, accuracy per player and missed questions
+ */
+
+import { escapeCsvCell } from './QuestionSetFormat.js';
+
+const CSV_HEADER = [
+    'played_at', 'player', 'answered_by', 'question', 'answer',
+    'correct_answer', 'correct', 'seconds', 'timed_out', 'operation'
+];
+
+const REPORT_STYLES = `
+    body { font-family: system-ui, sans-serif; color: #1F2937; margin: 2rem auto; max-width: 900px; padding: 0 1rem; }
+    h1 { margin-bottom: 0.25rem; }
+    h2 { margin: 0 0 0.25rem; font-size: 1.25rem; }
+    h3 { font-size: 1rem; margin: 1rem 0 0.5rem; }
+    .meta { color: #6B7280; margin: 0 0 1rem; }
+    section { border-top: 2px solid #E5E7EB; padding-top: 1rem; margin-top: 1.5rem; page-break-inside: avoid; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+    th, td { border: 1px solid #D1D5DB; padding: 0.35rem 0.5rem; text-align: left; }
+    th { background: #F3F4F6; }
+    .wrong { color: #B91C1C; }
+    button { font-size: 1rem; padding: 0.5rem 1rem; cursor: pointer; }
+    @media print {
+        body { margin: 0; max-width: none; }
+        .no-print { display: none; }
+    }
+`;
+
+/**
+ * Summarize a finished match for the records
+ * @param {object} match - Match details
+ * @param {string} match.winner - Winner's name
+ * @param {string[]} match.labels - Each player's name, Player 1 first
+ * @param {object} match.scores - Scores {player1, player2}
+ * @param {object} match.settings - Game settings
+ * @param {object[]} match.attempts - Attempts from GameState
+ * @param {Date} [match.date] - When the match finished
+ * @returns {object} Summary {playedAt, winner, operation, difficulty, matchMode, players, attempts}
+ */
+export function summarizeMatch({ winner, labels, scores, settings, attempts, date = new Date() }) {
+    return {
+        playedAt: date.toISOString(),
+        winner,
+        operation: settings.questionMode === 'custom' ? 'custom' : settings.operation,
+        difficulty: settings.difficulty,
+        matchMode: settings.matchMode || 'turns',
+        players: labels.map((name, index) => {
+            const player = index + 1;
+            return {
+                player,
+                name,
+                score: scores[`player${player}`] || 0,
+                ..._getTotals(attempts.filter(attempt => attempt.player === player))
+            };
+        }),
+        // The generated question object is left out; the text says what was asked
+        attempts: attempts.map(({ question, ...attempt }) => attempt)
+    };
+}
+
+/**
+ * Every attempt in the given matches as CSV
+ * Cells that a spreadsheet would run as a formula (a name like "=SUM(...)", or a
+ * question like "-4 + 9") start with ' so they open as plain text
+ * @param {object[]} matches - Match summaries
+ * @returns {string} CSV text with a header row
+ */
+export function toAttemptsCsv(matches) {
+    const lines = [];
+    matches.forEach(match => {
+        match.attempts.forEach(attempt => {
+            lines.push([
+                match.playedAt,
+                _getPlayerName(match, attempt.player),
+                attempt.name,
+                attempt.text,
+                attempt.answer,
+                attempt.correctAnswer,
+                attempt.isCorrect ? 'yes' : 'no',
+                attempt.responseTime,
+                attempt.timedOut ? 'yes' : 'no',
+                attempt.operation
+            ].map(_toCsvCell).join(','));
+        });
+    });
+
+    return [CSV_HEADER.join(','), ...lines].join('\n') + '\n';
+}
+
+/**
+ * The given matches as JSON
+ * @param {object[]} matches - Match summaries
+ * @returns {string} Pretty-printed JSON {exportedAt, matches}
+ */
+export function toMatchesJson(matches) {
+    return JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        matches
+    }, null, 2);
+}
+
+/**
+ * A print-ready HTML report, with a class summary when there is more than one match
+ * @param {object[]} matches - Match summaries
+ * @param {string} title - Report title
+ * @returns {string} HTML document
+ */
+export function toReportHtml(matches, title) {
+    const count = `${matches.length} ${matches.length === 1 ? 'match' : 'matches'}`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${_escapeHtml(title)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<h1>${_escapeHtml(title)}</h1>
+<p class="meta">${_escapeHtml(new Date().toLocaleString())} · ${count}</p>
+<button class="no-print" onclick="window.print()">🖨️ Print or Save as PDF</button>
+${matches.length > 1 ? _renderClassSummary(matches) : ''}
+${matches.map(_renderMatch).join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Answered, correct, accuracy (%) and average seconds for some attempts
+ * @private
+ */
+function _getTotals(attempts) {
+    const answered = attempts.length;
+    const correct = attempts.filter(attempt => attempt.isCorrect).length;
+    const totalTime = attempts.reduce((sum, attempt) => sum + attempt.responseTime, 0);
+
+    return {
+        answered,
+        correct,
+        accuracy: answered > 0 ? Math.round((correct / answered) * 100) : 0,
+        averageTime: answered > 0 ? Math.round((totalTime / answered) * 10) / 10 : 0
+    };
+}
+
+/**
+ * Name of the player (or team) on a side of the match
+ * @private
+ */
+function _getPlayerName(match, player) {
+    const entry = match.players.find(candidate => candidate.player === player);
+    return entry ? entry.name : `Player ${player}`;
+}
+
+/**
+ * Totals per student (or per player where no student was named) across every match
+ * @private
+ */
+function _renderClassSummary(matches) {
+    const byStudent = new Map();
+    matches.forEach(match => {
+        match.attempts.forEach(attempt => {
+            const name = attempt.student || attempt.name;
+            if (!byStudent.has(name)) {
+                byStudent.set(name, { matches: new Set(), attempts: [] });
+            }
+            byStudent.get(name).matches.add(match.playedAt);
+            byStudent.get(name).attempts.push(attempt);
+        });
+    });
+
+    const rows = [...byStudent.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, entry]) => {
+            const totals = _getTotals(entry.attempts);
+            return `<tr><td>${_escapeHtml(name)}</td><td>${entry.matches.size}</td><td>${totals.answered}</td><td>${totals.correct}</td><td>${totals.accuracy}%</td><td>${totals.averageTime} s</td></tr>`;
+        });
+
+    return `<section>
+<h2>Class Summary</h2>
+<table>
+<thead><tr><th>Student</th><th>Matches</th><th>Answered</th><th>Correct</th><th>Accuracy</th><th>Average Time</th></tr></thead>
+<tbody>${rows.join('\n')}</tbody>
+</table>
+</section>`;
+}
+
+/**
+ * One match: scoreline, accuracy per player and the questions missed
+ * @private
+ */
+function _renderMatch(match) {
+    const scoreline = match.players.map(player => `${player.name} ${player.score}`).join(' – ');
+    const details = [new Date(match.playedAt).toLocaleString(), match.operation, match.difficulty]
+        .filter(Boolean)
+        .join(' · ');
+
+    const players = match.players.map(player =>
+        `<tr><td>${_escapeHtml(player.name)}</td><td>${player.score}</td><td>${player.answered}</td><td>${player.correct}</td><td>${player.accuracy}%</td><td>${player.averageTime} s</td></tr>`
+    );
+
+    const missed = match.attempts.filter(attempt => !attempt.isCorrect).map(attempt =>
+        `<tr><td>${_escapeHtml(attempt.name)}</td><td>${_escapeHtml(attempt.text)}</td><td class="wrong">${attempt.timedOut ? '⏰ Time ran out' : _escapeHtml(attempt.answer)}</td><td>${_escapeHtml(attempt.correctAnswer)}</td></tr>`
+    );
+
+    const missedTable = missed.length > 0
+        ? `<table>
+<thead><tr><th>Answered By</th><th>Question</th><th>Their Answer</th><th>Correct Answer</th></tr></thead>
+<tbody>${missed.join('\n')}</tbody>
+</table>`
+        : '<p>None – every question was answered correctly 🎉</p>';
+
+    return `<section>
+<h2>${_escapeHtml(scoreline)}</h2>
+<p class="meta">🏆 ${_escapeHtml(match.winner)} · ${_escapeHtml(details)}</p>
+<table>
+<thead><tr><th>Player</th><th>Score</th><th>Answered</th><th>Correct</th><th>Accuracy</th><th>Average Time</th></tr></thead>
+<tbody>${players.join('\n')}</tbody>
+</table>
+<h3>Missed Questions</h3>
+${missedTable}
+</section>`;
+}
+
+/**
+ * CSV cell that a spreadsheet shows as text rather than running as a formula
+ * (plain numbers such as -12 are left as numbers)
+ * @private
+ */
+function _toCsvCell(value) {
+    const text = String(value ?? '');
+    const isFormula = /^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text);
+    return escapeCsvCell(isFormula ? `'${text}` : text);
+}
+
+/**
+ * Escape text for HTML
+ * @private
+ */
+function _escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
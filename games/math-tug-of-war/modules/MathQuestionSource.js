@@ -0,0 +1,46 @@
+/**
+ * MathQuestionSource.js
+ * Question source that plugs QuestionGenerator into the versus engine
+ */
+
+import { QuestionGenerator } from '../../shared/modules/QuestionGenerator.js';
+
+export class MathQuestionSource {
+    constructor(generator = new QuestionGenerator()) {
+        this.generator = generator;
+    }
+
+    /**
+     * Generate the next question for the current settings
+     * @param {object} settings - Game settings (operation, difficulty, requireSimplified)
+     * @returns {object} Question object with text, answer, operation and requireSimplified
+     */
+    next(settings) {
+        return {
+            ...this.generator.generateQuestion(settings.operation, settings.difficulty),
+            requireSimplified: Boolean(settings.requireSimplified)
+        };
+    }
+
+    /**
+     * Validate user's answer against a question
+     * @param {string} userAnswer - User's input
+     * @param {object} question - Current question
+     * @returns {boolean} True if correct
+     */
+    validate(userAnswer, question) {
+        return this.generator.validateAnswer(userAnswer, question.answer, {
+            requireSimplified: question.requireSimplified
+        });
+    }
+
+    /**
+     * Format question for display
+     * Missing-number and word problems bring their own template; sums end in "= ?"
+     * @param {object} question - Question to display
+     * @returns {string} Display text ({?} marks the answer blank)
+     */
+    format(question) {
+        return question.template || `${question.text} = {?}`;
+    }
+}
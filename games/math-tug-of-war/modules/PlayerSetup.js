@@ -0,0 +1,197 @@
+/**
+ * PlayerSetup.js
+ * Pre-game setup screen where players enter their names and pick an avatar and team colour
+ */
+
+const MAX_NAME_LENGTH = 20;
+
+export class PlayerSetup {
+    /**
+     * @param {object} elements - Setup screen DOM elements
+     * @param {{avatars: object[], colors: object[]}} choices - Bundled avatars {emoji, label} and colours {name, value}
+     * @param {function} onSave - Called with (players, start): players is {player1: {name, avatar, color}, ...},
+     *                            start is true when the match should begin straight away
+     */
+    constructor(elements, { avatars, colors }, onSave) {
+        this.elements = elements;
+        this.avatars = avatars;
+        this.colors = colors;
+        this.onSave = onSave;
+        this.draft = {};
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * Open the setup screen
+     * @param {object} players - Current profiles {player1: {name, avatar, color}, ...}
+     * @param {string[]} labels - Default name per player, e.g. ['Player 1', 'Player 2'] or ['Team 1', 'Team 2']
+     */
+    open(players, labels) {
+        this.draft = {};
+        for (const [key, profile] of Object.entries(players)) {
+            this.draft[key] = { ...profile };
+        }
+
+        this._renderCards(labels);
+        this._showError('');
+
+        if (this.elements.overlay) {
+            this.elements.overlay.style.display = 'flex';
+        }
+    }
+
+    /**
+     * Close the setup screen without saving
+     */
+    close() {
+        if (this.elements.overlay) {
+            this.elements.overlay.style.display = 'none';
+        }
+    }
+
+    /**
+     * Setup button listeners
+     * @private
+     */
+    _setupEventListeners() {
+        if (this.elements.saveBtn) {
+            this.elements.saveBtn.addEventListener('click', () => this._save(false));
+        }
+
+        if (this.elements.startBtn) {
+            this.elements.startBtn.addEventListener('click', () => this._save(true));
+        }
+
+        if (this.elements.cancelBtn) {
+            this.elements.cancelBtn.addEventListener('click', () => this.close());
+        }
+    }
+
+    /**
+     * Build one card per player with a name box, avatar grid and colour swatches
+     * @private
+     */
+    _renderCards(labels) {
+        const container = this.elements.cardsContainer;
+        if (!container) return;
+
+        container.innerHTML = '';
+        labels.forEach((label, index) => {
+            const key = `player${index + 1}`;
+            const profile = this.draft[key];
+
+            const card = document.createElement('fieldset');
+            card.className = 'player-setup-card';
+            card.style.setProperty('--player-color', profile.color);
+
+            const legend = document.createElement('legend');
+            legend.textContent = `${profile.avatar} ${label}`;
+            card.appendChild(legend);
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'setup-name';
+            nameInput.maxLength = MAX_NAME_LENGTH;
+            nameInput.placeholder = label;
+            nameInput.value = profile.name;
+            nameInput.setAttribute('aria-label', `${label} name`);
+            nameInput.addEventListener('input', () => {
+                profile.name = nameInput.value;
+            });
+            card.appendChild(nameInput);
+
+            card.appendChild(this._renderChoices(
+                'avatar-grid',
+                `${label} avatar`,
+                this.avatars.map(avatar => ({ value: avatar.emoji, text: avatar.emoji, title: avatar.label })),
+                profile.avatar,
+                (value) => {
+                    profile.avatar = value;
+                    legend.textContent = `${value} ${label}`;
+                }
+            ));
+
+            card.appendChild(this._renderChoices(
+                'color-swatches',
+                `${label} colour`,
+                this.colors.map(color => ({ value: color.value, text: '', title: color.name, swatch: color.value })),
+                profile.color,
+                (value) => {
+                    profile.color = value;
+                    card.style.setProperty('--player-color', value);
+                }
+            ));
+
+            container.appendChild(card);
+        });
+    }
+
+    /**
+     * A row of toggle buttons where exactly one can be chosen
+     * @private
+     */
+    _renderChoices(className, label, options, selected, onPick) {
+        const group = document.createElement('div');
+        group.className = className;
+        group.setAttribute('role', 'group');
+        group.setAttribute('aria-label', label);
+
+        const buttons = options.map(option => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'setup-choice';
+            button.textContent = option.text;
+            button.title = option.title;
+            button.setAttribute('aria-label', option.title);
+            button.setAttribute('aria-pressed', String(option.value === selected));
+            if (option.swatch) {
+                button.style.background = option.swatch;
+            }
+
+            button.addEventListener('click', () => {
+                buttons.forEach(other => other.setAttribute('aria-pressed', String(other === button)));
+                onPick(option.value);
+            });
+
+            group.appendChild(button);
+            return button;
+        });
+
+        return group;
+    }
+
+    /**
+     * Check the choices and hand them back
+     * @private
+     */
+    _save(start) {
+        const colors = Object.values(this.draft).map(profile => profile.color);
+        if (new Set(colors).size < colors.length) {
+            this._showError('Pick a different colour for each side so everyone can tell them apart.');
+            return;
+        }
+
+        const players = {};
+        for (const [key, profile] of Object.entries(this.draft)) {
+            players[key] = {
+                name: profile.name.trim().slice(0, MAX_NAME_LENGTH),
+                avatar: profile.avatar,
+                color: profile.color
+            };
+        }
+
+        this.close();
+        this.onSave(players, start);
+    }
+
+    /**
+     * Show or clear the error line
+     * @private
+     */
+    _showError(message) {
+        if (this.elements.errorDisplay) {
+            this.elements.errorDisplay.textContent = message;
+        }
+    }
+}
@@ -0,0 +1,242 @@
+/**
+ * ProgressStore.js
+ * Student progress kept in IndexedDB, one record per student name. Every finished
+ * match adds to each student's accuracy and response times per operation and per
+ * fact (e.g. "7 × 8"), and to their match history for the dashboard's trend chart.
+ * The match summaries themselves are kept too, for the class results export.
+ */
+
+const DB_NAME = 'mathTugOfWar';
+const DB_VERSION = 2;
+const STUDENT_STORE = 'students';
+const MATCH_STORE = 'matches';
+
+// Most recent matches kept per student for the trend chart
+const MAX_MATCHES = 60;
+
+// Operations whose questions are single facts worth tracking one by one
+const FACT_OPERATIONS = ['addition', 'subtraction', 'multiplication', 'division'];
+
+// A single fact on whole numbers, e.g. "7 × 8" (not "7 × ? = 56")
+const FACT_PATTERN = /^\d+ [+\-×÷] \d+$/;
+
+export class ProgressStore {
+    /**
+     * @param {IDBFactory} [indexedDB] - Database factory (default: window.indexedDB)
+     */
+    constructor(indexedDB = null) {
+        this.indexedDB = indexedDB;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Key a question is tracked under as a fact, e.g. "7 × 8"
+     * @param {object} question - Question from the question source
+     * @returns {string|null} Fact key, or null for questions that are not single facts
+     */
+    static getFactKey(question) {
+        if (!question || !FACT_OPERATIONS.includes(question.operation) || !FACT_PATTERN.test(question.text)) {
+            return null;
+        }
+        return question.text;
+    }
+
+    /**
+     * Add one match's answers to a student's profile
+     * @param {object|null} profile - Existing profile, or null for a new student
+     * @param {string} name - Student name
+     * @param {object[]} attempts - The student's attempts from the match
+     * @param {Date} date - When the match was played
+     * @returns {object} Updated profile {name, operations, facts, matches, updatedAt}
+     */
+    static addMatch(profile, name, attempts, date) {
+        const updated = profile || { name, operations: {}, facts: {}, matches: [] };
+
+        attempts.forEach(attempt => {
+            ProgressStore._tally(updated.operations, attempt.operation || 'other', attempt);
+
+            const fact = ProgressStore.getFactKey(attempt.question);
+            if (fact) {
+                ProgressStore._tally(updated.facts, fact, attempt);
+            }
+        });
+
+        // One entry per match for the trend chart
+        const match = {};
+        attempts.forEach(attempt => ProgressStore._tally(match, 'all', attempt));
+        updated.matches.push({ date: date.toISOString(), ...match.all });
+        if (updated.matches.length > MAX_MATCHES) {
+            updated.matches = updated.matches.slice(-MAX_MATCHES);
+        }
+
+        updated.updatedAt = date.toISOString();
+        return updated;
+    }
+
+    /**
+     * Add a finished match to the profile of everyone who answered in it
+     * @param {object[]} attempts - Attempts from GameState; those without a student are skipped
+     * @param {Date} [date] - When the match was played
+     * @returns {Promise<string[]>} Names of the students updated
+     * @throws {Error} When progress cannot be saved in this browser
+     */
+    async recordMatch(attempts, date = new Date()) {
+        const byStudent = new Map();
+        attempts.forEach(attempt => {
+            if (!attempt.student) return;
+            if (!byStudent.has(attempt.student)) {
+                byStudent.set(attempt.student, []);
+            }
+            byStudent.get(attempt.student).push(attempt);
+        });
+
+        for (const [name, studentAttempts] of byStudent) {
+            const profile = await this.getStudent(name);
+            const updated = ProgressStore.addMatch(profile, name, studentAttempts, date);
+            await this._run(STUDENT_STORE, 'readwrite', store => store.put(updated));
+        }
+
+        return [...byStudent.keys()];
+    }
+
+    /**
+     * Look up one student
+     * @param {string} name - Student name
+     * @returns {Promise<object|null>} Profile, or null if the student has no history
+     */
+    async getStudent(name) {
+        const profile = await this._run(STUDENT_STORE, 'readonly', store => store.get(name));
+        return profile || null;
+    }
+
+    /**
+     * Every student with a history, in name order
+     * @returns {Promise<object[]>} Profiles
+     */
+    async getAllStudents() {
+        const profiles = await this._run(STUDENT_STORE, 'readonly', store => store.getAll());
+        return profiles.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Forget a student's history
+     * @param {string} name - Student name
+     * @returns {Promise<void>}
+     */
+    async deleteStudent(name) {
+        await this._run(STUDENT_STORE, 'readwrite', store => store.delete(name));
+    }
+
+    /**
+     * Keep a finished match's summary for the class results
+     * @param {object} summary - Match summary from MatchReport.summarizeMatch
+     * @returns {Promise<void>}
+     */
+    async saveMatch(summary) {
+        await this._run(MATCH_STORE, 'readwrite', store => store.add(summary));
+    }
+
+    /**
+     * Every saved match, oldest first
+     * @returns {Promise<object[]>} Match summaries
+     */
+    async getMatches() {
+        const matches = await this._run(MATCH_STORE, 'readonly', store => store.getAll());
+        return matches.sort((a, b) => a.playedAt.localeCompare(b.playedAt));
+    }
+
+    /**
+     * Forget every saved match (student progress is kept)
+     * @returns {Promise<void>}
+     */
+    async clearMatches() {
+        await this._run(MATCH_STORE, 'readwrite', store => store.clear());
+    }
+
+    /**
+     * Run one request against a store
+     * @private
+     */
+    async _run(storeName, mode, makeRequest) {
+        const db = await this._open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error('Progress could not be read or saved in this browser.'));
+        });
+    }
+
+    /**
+     * Open (and on first use, create) the database
+     * @private
+     */
+    _open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const factory = this.indexedDB || window.indexedDB;
+                if (!factory) {
+                    reject(new Error('Progress cannot be saved in this browser.'));
+                    return;
+                }
+
+                let blocked = false;
+                const request = factory.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STUDENT_STORE)) {
+                        db.createObjectStore(STUDENT_STORE, { keyPath: 'name' });
+                    }
+                    if (!db.objectStoreNames.contains(MATCH_STORE)) {
+                        db.createObjectStore(MATCH_STORE, { keyPath: 'id', autoIncrement: true });
+                    }
+                };
+                request.onsuccess = () => {
+                    const db = request.result;
+                    if (blocked) {
+                        // Gave up waiting; the next call opens it afresh
+                        db.close();
+                        return;
+                    }
+
+                    // Step aside when another tab needs to upgrade the database
+                    db.onversionchange = () => {
+                        db.close();
+                        this.dbPromise = null;
+                    };
+                    resolve(db);
+                };
+                request.onerror = () => reject(new Error('Progress cannot be saved in this browser.'));
+
+                // Another tab still has the old version open and will not close it
+                request.onblocked = () => {
+                    blocked = true;
+                    reject(new Error('Progress is being used by this game in another tab. Close it and try again.'));
+                };
+            });
+
+            // Let a later call try again
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Count one answer into a tally {answered, correct, timedOut, totalTime}
+     * @private
+     */
+    static _tally(tallies, key, attempt) {
+        if (!tallies[key]) {
+            tallies[key] = { answered: 0, correct: 0, timedOut: 0, totalTime: 0 };
+        }
+
+        const tally = tallies[key];
+        tally.answered++;
+        if (attempt.isCorrect) tally.correct++;
+        if (attempt.timedOut) tally.timedOut++;
+        tally.totalTime = Math.round((tally.totalTime + attempt.responseTime) * 10) / 10;
+    }
+}
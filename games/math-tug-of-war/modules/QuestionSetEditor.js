@@ -0,0 +1,244 @@
+/**
+ * QuestionSetEditor.js
+ * In-browser editor for teacher question sets, with CSV/JSON import and export
+ */
+
+import { normalizeQuestions, parseQuestionSet, toCsv, toJson } from './QuestionSetFormat.js';
+
+export class QuestionSetEditor {
+    /**
+     * @param {object} elements - Editor DOM elements
+     * @param {function} onSave - Called with the saved question set {name, questions}
+     */
+    constructor(elements, onSave) {
+        this.elements = elements;
+        this.onSave = onSave;
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * Open the editor with a question set
+     * @param {{name: string, questions: object[]}} questionSet - Set to edit
+     */
+    open(questionSet) {
+        this._showSet(questionSet);
+        this._showError('');
+
+        // Start with one blank row so there is somewhere to type
+        if (questionSet.questions.length === 0) {
+            this._addRow();
+        }
+
+        if (this.elements.overlay) {
+            this.elements.overlay.style.display = 'flex';
+        }
+    }
+
+    /**
+     * Close the editor without saving
+     */
+    close() {
+        if (this.elements.overlay) {
+            this.elements.overlay.style.display = 'none';
+        }
+    }
+
+    /**
+     * Setup editor button listeners
+     * @private
+     */
+    _setupEventListeners() {
+        if (this.elements.addRowBtn) {
+            this.elements.addRowBtn.addEventListener('click', () => this._addRow());
+        }
+
+        if (this.elements.importInput) {
+            this.elements.importInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this._importFile(file);
+                }
+                e.target.value = '';
+            });
+        }
+
+        if (this.elements.exportCsvBtn) {
+            this.elements.exportCsvBtn.addEventListener('click', () => this._export('csv'));
+        }
+
+        if (this.elements.exportJsonBtn) {
+            this.elements.exportJsonBtn.addEventListener('click', () => this._export('json'));
+        }
+
+        if (this.elements.saveBtn) {
+            this.elements.saveBtn.addEventListener('click', () => this._save());
+        }
+
+        if (this.elements.cancelBtn) {
+            this.elements.cancelBtn.addEventListener('click', () => this.close());
+        }
+    }
+
+    /**
+     * Fill the editor with a question set
+     * @private
+     */
+    _showSet(questionSet) {
+        if (this.elements.nameInput) {
+            this.elements.nameInput.value = questionSet.name;
+        }
+
+        this.elements.rowsContainer.innerHTML = '';
+        questionSet.questions.forEach(item => this._addRow(item));
+    }
+
+    /**
+     * Add an editable question row
+     * @private
+     */
+    _addRow(item = { question: '', answer: '', tags: [] }) {
+        const row = document.createElement('div');
+        row.className = 'question-row';
+
+        const questionInput = this._createInput('row-question', 'Question, e.g. 12 × 4', item.question);
+        const answerInput = this._createInput('row-answer', 'Answer', item.answer);
+        const tagsInput = this._createInput('row-tags', 'Tags (a; b)', item.tags.join('; '));
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'row-remove';
+        removeBtn.textContent = '✕';
+        removeBtn.setAttribute('aria-label', 'Remove question');
+        removeBtn.addEventListener('click', () => {
+            row.remove();
+            this._updateCount();
+        });
+
+        row.append(questionInput, answerInput, tagsInput, removeBtn);
+        this.elements.rowsContainer.appendChild(row);
+        this._updateCount();
+
+        return row;
+    }
+
+    /**
+     * Create a text input for a row cell
+     * @private
+     */
+    _createInput(className, placeholder, value) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = className;
+        input.placeholder = placeholder;
+        input.value = value;
+        return input;
+    }
+
+    /**
+     * Read the set currently in the editor, ignoring blank rows
+     * @private
+     * @throws {Error} When a row is incomplete or there are no questions
+     */
+    _readSet() {
+        const rows = [...this.elements.rowsContainer.querySelectorAll('.question-row')];
+        const items = rows
+            .map(row => ({
+                question: row.querySelector('.row-question').value,
+                answer: row.querySelector('.row-answer').value,
+                tags: row.querySelector('.row-tags').value
+            }))
+            .filter(item => `${item.question}${item.answer}${item.tags}`.trim() !== '');
+
+        const name = this.elements.nameInput ? this.elements.nameInput.value.trim() : '';
+        return {
+            name: name || 'My Question Set',
+            questions: normalizeQuestions(items)
+        };
+    }
+
+    /**
+     * Save the edited set and close
+     * @private
+     */
+    _save() {
+        try {
+            const questionSet = this._readSet();
+            this.onSave(questionSet);
+            this.close();
+        } catch (error) {
+            this._showError(error.message);
+        }
+    }
+
+    /**
+     * Load a CSV or JSON file into the editor (saved only when the teacher presses Save)
+     * @private
+     */
+    async _importFile(file) {
+        try {
+            const text = await file.text();
+            this._showSet(parseQuestionSet(text, file.name));
+            this._showError('');
+        } catch (error) {
+            this._showError(error.message);
+        }
+    }
+
+    /**
+     * Download the set in the editor as CSV or JSON
+     * @private
+     */
+    _export(format) {
+        try {
+            const questionSet = this._readSet();
+            const fileName = questionSet.name.replace(/[^a-z0-9-_ ]/gi, '').trim() || 'question-set';
+
+            if (format === 'csv') {
+                this._download(`${fileName}.csv`, toCsv(questionSet), 'text/csv');
+            } else {
+                this._download(`${fileName}.json`, toJson(questionSet), 'application/json');
+            }
+            this._showError('');
+        } catch (error) {
+            this._showError(error.message);
+        }
+    }
+
+    /**
+     * Trigger a file download
+     * @private
+     */
+    _download(fileName, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Update the question count label
+     * @private
+     */
+    _updateCount() {
+        if (this.elements.countDisplay) {
+            const count = this.elements.rowsContainer.querySelectorAll('.question-row').length;
+            this.elements.countDisplay.textContent = `${count} question${count === 1 ? '' : 's'}`;
+        }
+    }
+
+    /**
+     * Show or clear the error line
+     * @private
+     */
+    _showError(message) {
+        if (this.elements.errorDisplay) {
+            this.elements.errorDisplay.textContent = message ? `⚠️ ${message}` : '';
+            this.elements.errorDisplay.style.display = message ? 'block' : 'none';
+        }
+    }
+}
@@ -0,0 +1,192 @@
+/**
+ * QuestionSetFormat.js
+ * Reads and writes teacher question sets as CSV or JSON
+ *
+ * CSV:  question,answer,tags   (tags separated by ";", header row optional)
+ * JSON: {"name": "...", "questions": [{"question": "...", "answer": "...", "tags": []}]}
+ *       or just the array of questions
+ */
+
+const CSV_HEADER = ['question', 'answer', 'tags'];
+
+/**
+ * Parse a question set file, picking the format from the file name
+ * @param {string} text - File contents
+ * @param {string} fileName - File name (.csv or .json)
+ * @returns {{name: string, questions: object[]}} Question set
+ * @throws {Error} When the file is not a valid question set
+ */
+export function parseQuestionSet(text, fileName = '') {
+    const name = fileName.replace(/\.[^.]+$/, '') || 'Imported Set';
+
+    if (/\.json$/i.test(fileName)) {
+        return parseJson(text, name);
+    }
+    if (/\.csv$/i.test(fileName)) {
+        return parseCsv(text, name);
+    }
+    throw new Error('Please choose a .csv or .json file.');
+}
+
+/**
+ * Parse a JSON question set
+ * @param {string} text - JSON text
+ * @param {string} name - Fallback set name
+ * @returns {{name: string, questions: object[]}} Question set
+ * @throws {Error} When the JSON is invalid or has no questions
+ */
+export function parseJson(text, name = 'Imported Set') {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The JSON file could not be read.');
+    }
+
+    const items = Array.isArray(data) ? data : data.questions;
+    if (!Array.isArray(items)) {
+        throw new Error('The JSON file needs a "questions" list.');
+    }
+
+    return {
+        name: (!Array.isArray(data) && data.name) || name,
+        questions: normalizeQuestions(items)
+    };
+}
+
+/**
+ * Parse a CSV question set
+ * @param {string} text - CSV text
+ * @param {string} name - Set name
+ * @returns {{name: string, questions: object[]}} Question set
+ * @throws {Error} When a row is missing its question or answer
+ */
+export function parseCsv(text, name = 'Imported Set') {
+    const rows = _parseCsvRows(text).filter(row => row.some(cell => cell.trim() !== ''));
+
+    // Skip the header row if there is one
+    if (rows.length > 0 && rows[0][0].trim().toLowerCase() === CSV_HEADER[0]) {
+        rows.shift();
+    }
+
+    const items = rows.map(([question = '', answer = '', tags = '']) => ({
+        question,
+        answer,
+        tags: tags.split(';')
+    }));
+
+    return { name, questions: normalizeQuestions(items) };
+}
+
+/**
+ * Check and tidy question entries
+ * @param {object[]} items - Raw entries {question, answer, tags}
+ * @returns {object[]} Questions {question, answer, tags}
+ * @throws {Error} When an entry is missing its question or answer, or there are none
+ */
+export function normalizeQuestions(items) {
+    const questions = items.map((item, index) => {
+        const question = String(item.question ?? '').trim();
+        const answer = String(item.answer ?? '').trim();
+
+        if (!question || !answer) {
+            throw new Error(`Question ${index + 1} needs both a question and an answer.`);
+        }
+
+        const tags = (Array.isArray(item.tags) ? item.tags : String(item.tags ?? '').split(';'))
+            .map(tag => String(tag).trim())
+            .filter(tag => tag !== '');
+
+        return { question, answer, tags };
+    });
+
+    if (questions.length === 0) {
+        throw new Error('The question set has no questions.');
+    }
+
+    return questions;
+}
+
+/**
+ * Write a question set as CSV
+ * @param {{questions: object[]}} questionSet - Question set
+ * @returns {string} CSV text with a header row
+ */
+export function toCsv(questionSet) {
+    const lines = questionSet.questions.map(item => [
+        item.question,
+        item.answer,
+        item.tags.join(';')
+    ].map(escapeCsvCell).join(','));
+
+    return [CSV_HEADER.join(','), ...lines].join('\n') + '\n';
+}
+
+/**
+ * Write a question set as JSON
+ * @param {{name: string, questions: object[]}} questionSet - Question set
+ * @returns {string} Pretty-printed JSON
+ */
+export function toJson(questionSet) {
+    return JSON.stringify({
+        name: questionSet.name,
+        questions: questionSet.questions
+    }, null, 2);
+}
+
+/**
+ * Split CSV text into rows of cells (handles quotes, "" escapes and CRLF)
+ * @private
+ */
+function _parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            // Quotes only open at the start of a cell
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Quote a CSV cell when it contains commas, quotes or line breaks
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+export function escapeCsvCell(value) {
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,113 @@
+/**
+ * QuestionSources.js
+ * Where the math game's questions come from: generated arithmetic, each student's
+ * spaced-review schedule, the teacher's own question set, or the questions missed in
+ * the last match being asked again
+ */
+
+import { CustomQuestionSource } from './CustomQuestionSource.js';
+import { MathQuestionSource } from './MathQuestionSource.js';
+import { RetryQuestionSource } from './RetryQuestionSource.js';
+import { SpacedReviewSource } from './SpacedReviewSource.js';
+
+export class QuestionSources {
+    constructor() {
+        // Random arithmetic or the teacher's own question set
+        this.generated = new MathQuestionSource();
+        this.custom = new CustomQuestionSource();
+
+        // Spaced review: each student's due facts first, new generated questions otherwise
+        this.review = new SpacedReviewSource(this.generated);
+
+        // Missed questions being asked again (replaces the usual source until the next reset)
+        this.retry = null;
+    }
+
+    /**
+     * Source for a question mode
+     * @param {string} questionMode - 'generated', 'review' or 'custom'
+     * @returns {object} Question source (the missed questions while they are being retried)
+     */
+    select(questionMode) {
+        if (this.retry) {
+            return this.retry;
+        }
+        if (questionMode === 'custom') {
+            return this.custom;
+        }
+        return questionMode === 'review' ? this.review : this.generated;
+    }
+
+    /**
+     * Use the teacher's question set in custom mode (its round starts over when it changes)
+     * @param {object[]} questions - Questions in the set
+     */
+    setQuestions(questions) {
+        if (this.custom.questions !== questions) {
+            this.custom.setQuestions(questions);
+        }
+    }
+
+    /**
+     * Whether custom mode has any questions to ask
+     * @returns {boolean} True when the question set is not empty
+     */
+    hasCustomQuestions() {
+        return this.custom.hasQuestions();
+    }
+
+    /**
+     * Ask missed questions again until the next reset
+     * @param {object} source - Source the questions came from (validates and formats them)
+     * @param {object[]} questions - Questions to ask again
+     */
+    startRetry(source, questions) {
+        this.retry = new RetryQuestionSource(source, questions);
+    }
+
+    /**
+     * Go back to the usual source
+     */
+    stopRetry() {
+        this.retry = null;
+    }
+
+    /**
+     * Start the question set from the top and drop any missed questions being retried
+     */
+    reset() {
+        this.retry = null;
+        this.custom.reset();
+        this.review.reset();
+    }
+
+    /**
+     * How far the question set and any missed questions have got, for saving
+     * (the question set itself is saved with the settings)
+     * @returns {{custom: object, retry: object|null}} Positions
+     */
+    toJSON() {
+        return {
+            custom: this.custom.toJSON(),
+            retry: this.retry
+                ? { questions: this.retry.questions, index: this.retry.toJSON() }
+                : null
+        };
+    }
+
+    /**
+     * Carry on from saved positions
+     * @param {object} [saved] - As returned by toJSON()
+     * @param {string} questionMode - Mode the missed questions were retried in
+     */
+    restore(saved, questionMode) {
+        const { custom, retry } = saved || {};
+        this.custom.restore(custom);
+
+        this.retry = null;
+        if (retry) {
+            this.startRetry(this.select(questionMode), retry.questions);
+            this.retry.restore(retry.index);
+        }
+    }
+}
@@ -0,0 +1,265 @@
+/**
+ * RaceLane.js
+ * One player's half of the split screen in race mode: their own question,
+ * answer input, touch keypad, feedback and countdown
+ */
+
+import { TouchKeypad } from '../../shared/modules/TouchKeypad.js';
+import { UIController } from '../../shared/modules/UIController.js';
+
+export class RaceLane {
+    /**
+     * @param {HTMLElement} root - The lane's section element
+     * @param {number} player - Player number
+     * @param {function} onSubmit - Called with (player, answer) when an answer is entered
+     */
+    constructor(root, player, onSubmit) {
+        this.root = root;
+        this.player = player;
+        this.onSubmit = onSubmit;
+
+        this.elements = {
+            nameDisplay: root.querySelector('.race-lane-name'),
+            questionDisplay: root.querySelector('.race-question'),
+            answerInput: root.querySelector('.race-input'),
+            submitBtn: root.querySelector('.race-submit'),
+            feedbackDisplay: root.querySelector('.race-feedback'),
+            timerDisplay: root.querySelector('.race-timer')
+        };
+
+        // The lane reuses the shared UI helpers for its own question, input and feedback
+        this.ui = new UIController(this.elements);
+        this.keypad = new TouchKeypad(root.querySelector('.race-keypad'), this.elements.answerInput, {
+            onEnter: () => this.submit()
+        });
+
+        this.defaultLabel = this.elements.nameDisplay ? this.elements.nameDisplay.textContent : '';
+        this.question = null;
+        this.startedAt = null;
+        this.timerInterval = null;
+        this.timeRemaining = 0;
+        this.onTimeout = null;
+        this.nextTimeout = null;
+        this.pausedAt = null;
+        this.timerWasRunning = false;
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * Show a new question and open the lane for answers
+     * @param {object} question - Question from the question source
+     * @param {string} text - Display text ({?} marks the blank)
+     */
+    show(question, text) {
+        this.question = question;
+        this.ui.updateQuestion(text);
+        this.elements.answerInput.value = '';
+        this.setEnabled(true);
+        this.startedAt = Date.now();
+    }
+
+    /**
+     * Take the lane's question away once it has been answered
+     * @returns {object} The answered question
+     */
+    close() {
+        const question = this.question;
+        this.question = null;
+        this.stopTimer();
+        this.setEnabled(false);
+        return question;
+    }
+
+    /**
+     * Send the typed answer (blank answers are ignored)
+     */
+    submit() {
+        if (!this.question || this.elements.answerInput.disabled) return;
+
+        const answer = this.elements.answerInput.value.trim();
+        if (answer === '') return;
+
+        this.onSubmit(this.player, answer);
+    }
+
+    /**
+     * Change the name in the lane header (e.g. the student whose turn it is)
+     * @param {string|null} label - Name to show, or null for the lane's own name
+     */
+    setLabel(label) {
+        if (this.elements.nameDisplay) {
+            this.elements.nameDisplay.textContent = label || this.defaultLabel;
+        }
+    }
+
+    /**
+     * Colour the lane in the player's chosen colour
+     * @param {string} color - CSS colour
+     */
+    setColor(color) {
+        this.root.style.setProperty('--player-color', color);
+    }
+
+    /**
+     * Enable or disable the input, submit button and keypad
+     * @param {boolean} enabled - Whether the player can answer
+     */
+    setEnabled(enabled) {
+        this.ui.setInputEnabled(enabled);
+        this.keypad.setEnabled(enabled);
+    }
+
+    /**
+     * Show correct/wrong feedback in the lane
+     * @param {boolean} isCorrect - Whether answer was correct
+     * @param {*} correctAnswer - The correct answer
+     * @param {string} userAnswer - Player's answer
+     */
+    showFeedback(isCorrect, correctAnswer, userAnswer) {
+        this.ui.showFeedback(isCorrect, correctAnswer, userAnswer);
+    }
+
+    /**
+     * Seconds since the question appeared
+     * @returns {number} Response time in seconds
+     */
+    getResponseTime() {
+        return this.startedAt === null ? 0 : (Date.now() - this.startedAt) / 1000;
+    }
+
+    /**
+     * Count down for this lane's question
+     * @param {number} seconds - Time allowed
+     * @param {function} onTimeout - Called when time runs out
+     */
+    startTimer(seconds, onTimeout) {
+        this.timeRemaining = seconds;
+        this.onTimeout = onTimeout;
+        this._runTimer();
+    }
+
+    /**
+     * Stop the countdown
+     */
+    stopTimer() {
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+    }
+
+    /**
+     * Drop the countdown altogether (the timer was switched off), so a resume does not restart it
+     */
+    cancelTimer() {
+        this.stopTimer();
+        this.timerWasRunning = false;
+        this.onTimeout = null;
+    }
+
+    /**
+     * Freeze the lane while the match is paused
+     */
+    pause() {
+        this.timerWasRunning = this.timerInterval !== null;
+        this.stopTimer();
+        this.setEnabled(false);
+        this.pausedAt = Date.now();
+    }
+
+    /**
+     * Carry on after a pause, with the time that was left
+     */
+    resume() {
+        if (this.startedAt !== null && this.pausedAt) {
+            this.startedAt += Date.now() - this.pausedAt;
+        }
+        this.pausedAt = null;
+
+        if (this.question) {
+            this.setEnabled(true);
+            if (this.timerWasRunning) {
+                this._runTimer();
+            }
+        }
+    }
+
+    /**
+     * Run a callback after a delay (e.g. the lane's next question), replacing any pending one
+     * @param {function} callback - Callback
+     * @param {number} delay - Milliseconds
+     */
+    schedule(callback, delay) {
+        clearTimeout(this.nextTimeout);
+        this.nextTimeout = setTimeout(() => {
+            this.nextTimeout = null;
+            callback();
+        }, delay);
+    }
+
+    /**
+     * Whether the lane is waiting for its next question
+     * @returns {boolean} True while a scheduled callback is pending
+     */
+    isWaiting() {
+        return this.nextTimeout !== null;
+    }
+
+    /**
+     * Clear the lane back to its pre-match state
+     * @param {string} message - Text to show in the question area
+     */
+    reset(message) {
+        this.stopTimer();
+        clearTimeout(this.nextTimeout);
+        this.nextTimeout = null;
+        this.question = null;
+        this.startedAt = null;
+        this.pausedAt = null;
+        this.timerWasRunning = false;
+
+        this.setEnabled(false);
+        this.elements.answerInput.value = '';
+        this.ui.updateQuestion(message);
+        this.ui.updateTimer('–');
+        if (this.elements.feedbackDisplay) {
+            this.elements.feedbackDisplay.style.display = 'none';
+        }
+    }
+
+    /**
+     * Setup the lane's own submit button and Enter key
+     * @private
+     */
+    _setupEventListeners() {
+        if (this.elements.submitBtn) {
+            this.elements.submitBtn.addEventListener('click', () => this.submit());
+        }
+
+        if (this.elements.answerInput) {
+            this.elements.answerInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') this.submit();
+            });
+        }
+    }
+
+    /**
+     * Tick the countdown once a second
+     * @private
+     */
+    _runTimer() {
+        this.stopTimer();
+        this.ui.updateTimer(this.timeRemaining);
+
+        this.timerInterval = setInterval(() => {
+            this.timeRemaining--;
+            this.ui.updateTimer(this.timeRemaining);
+
+            if (this.timeRemaining <= 0) {
+                this.stopTimer();
+                if (this.onTimeout) this.onTimeout();
+            }
+        }, 1000);
+    }
+}
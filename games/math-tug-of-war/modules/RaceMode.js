@@ -0,0 +1,201 @@
+/**
+ * RaceMode.js
+ * Race mode: both players answer at once, each in their own split-screen lane, and
+ * every answer pulls the rope straight away. Deals each lane its questions, runs its
+ * countdown and checks its answers; the game scores them.
+ */
+
+import { TIMEOUT_ANSWER } from '../../shared/VersusEngine.js';
+import { RaceLane } from './RaceLane.js';
+
+// Pause before a lane's next question, so the feedback can be read
+const NEXT_DELAY = { correct: 600, wrong: 1500 };
+
+export class RaceMode {
+    /**
+     * @param {object} callbacks - What the race needs from the game
+     * @param {function} callbacks.isPlaying - () => whether the match is being played
+     * @param {function} callbacks.getQuestion - (player) => next question for a lane
+     * @param {function} callbacks.formatQuestion - (question) => display text
+     * @param {function} callbacks.validate - (userAnswer, question) => whether it is right
+     * @param {function} callbacks.getTimerValue - (player) => seconds per question, or null when the timer is off
+     * @param {function} callbacks.onAnswer - (player, question, isCorrect, userAnswer, responseTime) => scores it
+     *                                        and returns true when the match is over
+     * @param {function} callbacks.onChange - () => called when a lane moves on (to save and report the match)
+     * @param {function} callbacks.onQuestion - (lane) => called when a lane is waiting for an answer
+     *                                          (e.g. so the computer can give one)
+     */
+    constructor(callbacks) {
+        this.callbacks = callbacks;
+        this.lanes = [];
+    }
+
+    /**
+     * Make a lane for each .race-lane in the arena
+     * @param {HTMLElement} arena - Race arena element
+     */
+    init(arena) {
+        const roots = arena ? [...arena.querySelectorAll('.race-lane')] : [];
+        this.lanes = roots.map(
+            (root, index) => new RaceLane(root, index + 1, (player, answer) => this.submit(player, answer))
+        );
+    }
+
+    /**
+     * A player's lane
+     * @param {number} player - Player number
+     * @returns {RaceLane|undefined} Lane
+     */
+    getLane(player) {
+        return this.lanes[player - 1];
+    }
+
+    /**
+     * Give every lane its first question
+     */
+    start() {
+        this.lanes.forEach(lane => this.deal(lane.player));
+    }
+
+    /**
+     * Give a lane its next question (or the one it had before a reload) and start its countdown
+     * @param {number} player - Player number
+     * @param {object} [savedQuestion] - Question to show again
+     */
+    deal(player, savedQuestion = null) {
+        if (!this.callbacks.isPlaying()) return;
+
+        const lane = this.getLane(player);
+        const question = savedQuestion || this.callbacks.getQuestion(player);
+        lane.show(question, this.callbacks.formatQuestion(question));
+
+        if (lane.elements.questionDisplay) {
+            lane.elements.questionDisplay.classList.toggle('word-problem', question.operation === 'word-problems');
+        }
+
+        const seconds = this.callbacks.getTimerValue(player);
+        if (seconds) {
+            lane.startTimer(seconds, () => this._answer(player, false, TIMEOUT_ANSWER));
+        }
+
+        this.callbacks.onChange();
+        this.callbacks.onQuestion(lane);
+    }
+
+    /**
+     * Check an answer typed in a lane
+     * @param {number} player - Player number
+     * @param {string} userAnswer - Answer given
+     */
+    submit(player, userAnswer) {
+        const lane = this.getLane(player);
+        if (!this.callbacks.isPlaying() || !lane.question) return;
+
+        this._answer(player, this.callbacks.validate(userAnswer, lane.question), userAnswer);
+    }
+
+    /**
+     * Replace the question in every lane, without scoring it
+     */
+    skip() {
+        // Replaces any next question a lane was waiting to show
+        this.lanes.forEach(lane => {
+            lane.close();
+            lane.schedule(() => this.deal(lane.player), 0);
+        });
+    }
+
+    /**
+     * Freeze every lane while the match is paused
+     */
+    pause() {
+        this.lanes.forEach(lane => lane.pause());
+    }
+
+    /**
+     * Carry on after a pause
+     */
+    resume() {
+        this.lanes.forEach(lane => {
+            lane.resume();
+            if (!lane.question && !lane.isWaiting()) {
+                // Its next question came due during the pause
+                this.deal(lane.player);
+            } else {
+                this.callbacks.onQuestion(lane);
+            }
+        });
+    }
+
+    /**
+     * Drop every lane's countdown (the timer was switched off)
+     */
+    stopTimers() {
+        this.lanes.forEach(lane => lane.cancelTimer());
+    }
+
+    /**
+     * Close every lane once the match is over
+     */
+    close() {
+        this.lanes.forEach(lane => lane.close());
+    }
+
+    /**
+     * Clear every lane for a new match
+     * @param {string} message - Text shown in the lanes until it starts
+     */
+    reset(message) {
+        this.lanes.forEach(lane => lane.reset(message));
+    }
+
+    /**
+     * The question showing in each lane, for saving
+     * @returns {Array<object|null>} Questions by lane
+     */
+    getQuestions() {
+        return this.lanes.map(lane => lane.question);
+    }
+
+    /**
+     * Deal each lane the question it was showing before a reload (a new one if it had none)
+     * @param {Array<object|null>} [questions] - As returned by getQuestions()
+     */
+    restore(questions = []) {
+        this.lanes.forEach((lane, index) => this.deal(lane.player, questions[index]));
+    }
+
+    /**
+     * The question each lane is answering, with its answer (for the teacher console)
+     * @returns {object[]} Questions {player, text, answer}
+     */
+    getShownQuestions() {
+        return this.lanes
+            .filter(lane => lane.question)
+            .map(lane => ({
+                player: lane.player,
+                text: this.callbacks.formatQuestion(lane.question).split('{?}').join('?'),
+                answer: lane.question.answer
+            }));
+    }
+
+    /**
+     * Score a lane's answer and pull straight away, without waiting for the other player
+     * @private
+     */
+    _answer(player, isCorrect, userAnswer) {
+        const lane = this.getLane(player);
+        const responseTime = lane.getResponseTime();
+        const question = lane.close();
+        if (!question) return;
+
+        lane.showFeedback(isCorrect, question.answer, userAnswer);
+        if (this.callbacks.onAnswer(player, question, isCorrect, userAnswer, responseTime)) return;
+
+        this.callbacks.onChange();
+        lane.schedule(
+            () => this.deal(player),
+            isCorrect ? NEXT_DELAY.correct : NEXT_DELAY.wrong
+        );
+    }
+}
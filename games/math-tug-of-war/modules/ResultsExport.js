@@ -0,0 +1,160 @@
+/**
+ * ResultsExport.js
+ * Export buttons for the match just finished (win overlay) and for every saved
+ * match (teacher view), as CSV, JSON or a printable HTML report
+ */
+
+import { toAttemptsCsv, toMatchesJson, toReportHtml } from './MatchReport.js';
+
+export class ResultsExport {
+    /**
+     * @param {object} elements - DOM elements
+     * @param {HTMLElement} elements.matchCsvBtn - Export this match as CSV
+     * @param {HTMLElement} elements.matchJsonBtn - Export this match as JSON
+     * @param {HTMLElement} elements.matchReportBtn - Export this match as a report
+     * @param {HTMLElement} elements.classCountDisplay - How many matches are saved
+     * @param {HTMLElement} elements.classCsvBtn - Export every saved match as CSV
+     * @param {HTMLElement} elements.classJsonBtn - Export every saved match as JSON
+     * @param {HTMLElement} elements.classReportBtn - Export every saved match as a report
+     * @param {HTMLElement} elements.clearClassBtn - Forget every saved match
+     * @param {HTMLElement} elements.statusDisplay - Messages for the teacher
+     * @param {ProgressStore} store - Where finished matches are saved
+     * @param {Function} getMatch - Returns the summary of the match just finished (or null)
+     */
+    constructor(elements, store, getMatch) {
+        this.elements = elements;
+        this.store = store;
+        this.getMatch = getMatch;
+
+        this._setupListeners();
+    }
+
+    /**
+     * Export the match just finished
+     * @param {string} format - 'csv', 'json' or 'report'
+     */
+    exportMatch(format) {
+        const match = this.getMatch();
+        if (!match) return;
+
+        this._export([match], format, `match-${this._getStamp(new Date(match.playedAt))}`, '🏆 Match Results');
+    }
+
+    /**
+     * Export every saved match
+     * @param {string} format - 'csv', 'json' or 'report'
+     */
+    async exportClass(format) {
+        try {
+            const matches = await this.store.getMatches();
+            if (matches.length === 0) {
+                this._showStatus('No finished matches to export yet.');
+                return;
+            }
+            this._export(matches, format, `class-results-${this._getStamp(new Date())}`, '📚 Class Results');
+            this._showStatus('');
+        } catch (error) {
+            this._showStatus(`⚠️ ${error.message}`);
+        }
+    }
+
+    /**
+     * Forget every saved match, after checking with the teacher
+     */
+    async clearClass() {
+        if (!confirm('Delete every saved match? Student progress on the dashboard is kept.')) return;
+
+        try {
+            await this.store.clearMatches();
+            this._showStatus('');
+        } catch (error) {
+            this._showStatus(`⚠️ ${error.message}`);
+        }
+        await this.refresh();
+    }
+
+    /**
+     * Show how many matches are saved
+     */
+    async refresh() {
+        if (!this.elements.classCountDisplay) return;
+
+        try {
+            const { length } = await this.store.getMatches();
+            this.elements.classCountDisplay.textContent = `📚 ${length} ${length === 1 ? 'match' : 'matches'} saved`;
+        } catch (error) {
+            this.elements.classCountDisplay.textContent = `⚠️ ${error.message}`;
+        }
+    }
+
+    /**
+     * Setup button listeners
+     * @private
+     */
+    _setupListeners() {
+        const buttons = [
+            [this.elements.matchCsvBtn, () => this.exportMatch('csv')],
+            [this.elements.matchJsonBtn, () => this.exportMatch('json')],
+            [this.elements.matchReportBtn, () => this.exportMatch('report')],
+            [this.elements.classCsvBtn, () => this.exportClass('csv')],
+            [this.elements.classJsonBtn, () => this.exportClass('json')],
+            [this.elements.classReportBtn, () => this.exportClass('report')],
+            [this.elements.clearClassBtn, () => this.clearClass()]
+        ];
+
+        buttons.forEach(([button, handler]) => {
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+    }
+
+    /**
+     * Write matches in a format and download the file
+     * @private
+     */
+    _export(matches, format, fileName, title) {
+        if (format === 'csv') {
+            this._download(`${fileName}.csv`, toAttemptsCsv(matches), 'text/csv');
+        } else if (format === 'json') {
+            this._download(`${fileName}.json`, toMatchesJson(matches), 'application/json');
+        } else {
+            this._download(`${fileName}.html`, toReportHtml(matches, title), 'text/html');
+        }
+    }
+
+    /**
+     * Date and time for a file name, e.g. 2024-03-05-1430
+     * @private
+     */
+    _getStamp(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * Trigger a file download
+     * @private
+     */
+    _download(fileName, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Show a message (empty hides it)
+     * @private
+     */
+    _showStatus(message) {
+        if (this.elements.statusDisplay) {
+            this.elements.statusDisplay.textContent = message;
+            this.elements.statusDisplay.hidden = message === '';
+        }
+    }
+}
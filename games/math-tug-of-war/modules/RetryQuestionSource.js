@@ -0,0 +1,65 @@
+/**
+ * RetryQuestionSource.js
+ * Question source for a "retry missed questions" match: asks the questions a class
+ * got wrong again, in turn, and checks them the same way the original source did
+ */
+
+export class RetryQuestionSource {
+    /**
+     * @param {object} source - Question source the questions came from (validates and formats them)
+     * @param {object[]} questions - Questions to ask again
+     */
+    constructor(source, questions) {
+        this.source = source;
+        this.questions = questions;
+        this.index = 0;
+    }
+
+    /**
+     * Next missed question, starting over once every one has been asked
+     * @returns {object} Question object
+     */
+    next() {
+        const question = this.questions[this.index % this.questions.length];
+        this.index++;
+        return { ...question };
+    }
+
+    /**
+     * How far through the missed questions the match has got, for saving
+     * @returns {number} Questions asked so far
+     */
+    toJSON() {
+        return this.index;
+    }
+
+    /**
+     * Carry on from a saved position
+     * @param {number} index - As returned by toJSON()
+     */
+    restore(index) {
+        this.index = Number.isInteger(index) && index >= 0 ? index : 0;
+    }
+
+    /**
+     * Validate user's answer as the original source would
+     * @param {string} userAnswer - User's input
+     * @param {object} question - Current question
+     * @returns {boolean} True if correct
+     */
+    validate(userAnswer, question) {
+        return this.source.validate(userAnswer, question);
+    }
+
+    /**
+     * Format question for display as the original source would
+     * @param {object} question - Question to display
+     * @returns {string} Display text ({?} marks the answer blank)
+     */
+    format(question) {
+        if (this.source.format) {
+            return this.source.format(question);
+        }
+        return question.template || question.text;
+    }
+}
@@ -0,0 +1,82 @@
+/**
+ * ReviewStore.js
+ * Keeps each student's spaced-review schedule in localStorage, so it carries on
+ * from one session to the next
+ */
+
+import { LeitnerSchedule } from './LeitnerSchedule.js';
+
+const STORAGE_KEY = 'mathTugOfWar.review';
+
+export class ReviewStore {
+    /**
+     * @param {Storage} [storage] - Where schedules live (default: localStorage)
+     */
+    constructor(storage = null) {
+        this.storage = storage;
+    }
+
+    /**
+     * Load a student's schedule
+     * @param {string} name - Student name
+     * @returns {LeitnerSchedule} Schedule (empty for a new student, or when storage is unreadable)
+     */
+    load(name) {
+        const data = this._readAll()[name];
+        return new LeitnerSchedule(data || {});
+    }
+
+    /**
+     * Save a student's schedule
+     * @param {string} name - Student name
+     * @param {LeitnerSchedule} schedule - Schedule to save
+     * @throws {Error} When storage is unavailable or full
+     */
+    save(name, schedule) {
+        const schedules = this._readAll();
+        schedules[name] = schedule.toJSON();
+
+        try {
+            this._getStorage().setItem(STORAGE_KEY, JSON.stringify(schedules));
+        } catch (error) {
+            throw new Error(`${name}'s review schedule could not be saved in this browser.`);
+        }
+    }
+
+    /**
+     * Forget a student's schedule
+     * @param {string} name - Student name
+     */
+    remove(name) {
+        const schedules = this._readAll();
+        if (!(name in schedules)) return;
+
+        delete schedules[name];
+        try {
+            this._getStorage().setItem(STORAGE_KEY, JSON.stringify(schedules));
+        } catch (error) {
+            // Storage is read-only; the schedule stays until it can be written
+        }
+    }
+
+    /**
+     * Every saved schedule by student name
+     * @private
+     */
+    _readAll() {
+        try {
+            const data = JSON.parse(this._getStorage().getItem(STORAGE_KEY) || '{}');
+            return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Storage to use (reading localStorage can throw when it is blocked, so callers catch)
+     * @private
+     */
+    _getStorage() {
+        return this.storage || window.localStorage;
+    }
+}
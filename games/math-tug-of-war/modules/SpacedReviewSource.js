@@ -0,0 +1,85 @@
+/**
+ * SpacedReviewSource.js
+ * Question source for spaced review: each student gets the facts their schedule
+ * says are due, and a new question from the usual source when nothing is
+ */
+
+import { ProgressStore } from './ProgressStore.js';
+import { ReviewStore } from './ReviewStore.js';
+
+export class SpacedReviewSource {
+    /**
+     * @param {object} source - Source of new questions (validates and formats them too)
+     * @param {ReviewStore} [store] - Where schedules are saved
+     */
+    constructor(source, store = new ReviewStore()) {
+        this.source = source;
+        this.store = store;
+        this.schedules = new Map();
+    }
+
+    /**
+     * Next question for the student answering: a due fact, or a new question
+     * @param {object} settings - Game settings, plus the student answering (null when unnamed)
+     * @returns {object} Question object
+     */
+    next(settings) {
+        const due = settings.student ? this.getSchedule(settings.student).getDue() : null;
+        return due || this.source.next(settings);
+    }
+
+    /**
+     * Record a student's answer in their schedule and save it
+     * Questions that are not single facts (e.g. fractions) are not scheduled
+     * @param {string|null} student - Student who answered
+     * @param {object} question - Question answered
+     * @param {boolean} isCorrect - Whether the answer was correct
+     * @throws {Error} When the schedule cannot be saved
+     */
+    record(student, question, isCorrect) {
+        const fact = ProgressStore.getFactKey(question);
+        if (!student || !fact) return;
+
+        const schedule = this.getSchedule(student);
+        schedule.record(fact, question, isCorrect);
+        this.store.save(student, schedule);
+    }
+
+    /**
+     * A student's schedule, loaded from storage the first time it is needed
+     * @param {string} student - Student name
+     * @returns {LeitnerSchedule} Schedule
+     */
+    getSchedule(student) {
+        if (!this.schedules.has(student)) {
+            this.schedules.set(student, this.store.load(student));
+        }
+        return this.schedules.get(student);
+    }
+
+    /**
+     * Drop the loaded schedules so the next match reads the saved ones afresh
+     */
+    reset() {
+        this.schedules.clear();
+    }
+
+    /**
+     * Validate user's answer as the usual source would
+     * @param {string} userAnswer - User's input
+     * @param {object} question - Current question
+     * @returns {boolean} True if correct
+     */
+    validate(userAnswer, question) {
+        return this.source.validate(userAnswer, question);
+    }
+
+    /**
+     * Format question for display as the usual source would
+     * @param {object} question - Question to display
+     * @returns {string} Display text ({?} marks the answer blank)
+     */
+    format(question) {
+        return this.source.format(question);
+    }
+}
@@ -0,0 +1,82 @@
+/**
+ * StudentProgress.js
+ * What the math game keeps once a match is over: each named student's progress for
+ * the dashboard, every finished match for the class results export, and each
+ * student's spaced-review schedule
+ */
+
+import { summarizeMatch } from './MatchReport.js';
+import { ProgressStore } from './ProgressStore.js';
+import { ResultsExport } from './ResultsExport.js';
+
+export class StudentProgress {
+    /**
+     * @param {SpacedReviewSource} reviewSource - Keeps each student's review schedule
+     */
+    constructor(reviewSource) {
+        this.store = new ProgressStore();
+        this.reviewSource = reviewSource;
+        this.resultsExport = null;
+        this.lastMatch = null;
+    }
+
+    /**
+     * Set up the results export buttons
+     * @param {object} exportElements - Results export DOM elements (see ResultsExport)
+     */
+    init(exportElements) {
+        this.resultsExport = new ResultsExport(exportElements, this.store, () => this.lastMatch);
+        this.resultsExport.refresh();
+    }
+
+    /**
+     * Keep a finished match for the class results and add it to each named student's progress
+     * @param {object} match - What summarizeMatch() needs: {winner, labels, scores, settings, attempts}
+     * @returns {Promise<void>} Resolves once both are saved (or have failed)
+     */
+    async saveMatch(match) {
+        this.lastMatch = summarizeMatch(match);
+
+        // Separate stores, so one failing does not lose the other
+        try {
+            await this.store.saveMatch(this.lastMatch);
+        } catch (error) {
+            console.warn(error.message);
+        }
+        try {
+            await this.store.recordMatch(match.attempts);
+        } catch (error) {
+            console.warn(error.message);
+        }
+        if (this.resultsExport) {
+            this.resultsExport.refresh();
+        }
+    }
+
+    /**
+     * Move the fact just answered between review boxes for the student who answered
+     * @param {string|null} student - Student who answered (null when unnamed)
+     * @param {object} question - Question answered
+     * @param {boolean} isCorrect - Whether the answer was right
+     */
+    recordReview(student, question, isCorrect) {
+        try {
+            this.reviewSource.record(student, question, isCorrect);
+        } catch (error) {
+            console.warn(error.message);
+        }
+    }
+
+    /**
+     * Where the review schedule of each student who answered stands, for the results screen
+     * @param {object[]} attempts - The match's answers
+     * @returns {string[]} One line per student
+     */
+    getReviewLines(attempts) {
+        const students = new Set(attempts.map(attempt => attempt.student).filter(Boolean));
+        return [...students].map(student => {
+            const { learning, known } = this.reviewSource.getSchedule(student).getCounts();
+            return `🔁 ${student}: ${learning} facts still to learn, ${known} well known`;
+        });
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * TeamMode.js
+ * Team mode: the students on each team take turns to answer for it. Rotates who
+ * answers, credits each student with their answers, and shows whose turn it is and
+ * every student's score in the teacher view
+ */
+
+import { TeamRoster } from '../../shared/modules/TeamRoster.js';
+
+export class TeamMode {
+    /**
+     * @param {function} onTurnChange - Called after the student up next may have changed
+     *                                  (e.g. so the race lanes can name them)
+     */
+    constructor(onTurnChange) {
+        this.roster = new TeamRoster();
+        this.enabled = false;
+        this.elements = {};
+        this.onTurnChange = onTurnChange;
+    }
+
+    /**
+     * Show turns and scores in these elements
+     * @param {object} elements - {player1Turn, player2Turn, teacherRoster1, teacherRoster2}
+     */
+    init(elements) {
+        this.elements = elements;
+        this.render();
+    }
+
+    /**
+     * Switch team mode on or off
+     * @param {boolean} enabled - Whether students take turns for two teams
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.render();
+    }
+
+    /**
+     * Use new rosters (the rotation starts again)
+     * @param {{player1: string[], player2: string[]}} rosters - Student names by team
+     */
+    setRosters(rosters) {
+        this.roster.setRosters(rosters);
+        this.render();
+    }
+
+    /**
+     * Whether a match can start: team mode is off, or the teams that need students have them
+     * @param {number} teamCount - Teams played by students
+     * @returns {boolean} True when ready
+     */
+    isReady(teamCount) {
+        return !this.enabled || this.roster.isComplete(teamCount);
+    }
+
+    /**
+     * Every team starts again with its first student and no scores
+     */
+    reset() {
+        this.roster.reset();
+        this.render();
+    }
+
+    /**
+     * Credit the student who answered and pass the turn to the next one on their team
+     * @param {number} player - Team (player number)
+     * @param {boolean} isCorrect - Whether the answer was right
+     */
+    record(player, isCorrect) {
+        if (!this.enabled) return;
+
+        this.roster.record(player, isCorrect);
+        this.render();
+    }
+
+    /**
+     * Student answering for a team
+     * @param {number} player - Team (player number)
+     * @returns {string|null} Name, or null outside team mode or with an empty roster
+     */
+    getCurrentStudent(player) {
+        return this.enabled ? this.roster.getCurrentStudent(player) || null : null;
+    }
+
+    /**
+     * A team's total and each student's part in it, for the results screen
+     * @param {number} player - Team (player number)
+     * @param {string} heading - How the team is named, e.g. "🔴 Team 1"
+     * @returns {string} Summary line
+     */
+    getSummaryLine(player, heading) {
+        const { total, students } = this.roster.getSummary(player);
+        const contributions = students
+            .map(student => `${student.name} ${student.correct}/${student.answered}`)
+            .join(', ');
+        return `${heading}: ${total} – ${contributions}`;
+    }
+
+    /**
+     * Rotation and per-student scores, for saving
+     * @returns {object} Roster state
+     */
+    toJSON() {
+        return this.roster.toJSON();
+    }
+
+    /**
+     * Carry on from a saved rotation
+     * @param {object} [saved] - As returned by toJSON()
+     */
+    restore(saved) {
+        this.roster.restore(saved || {});
+        this.render();
+    }
+
+    /**
+     * Show whose turn it is on each team, and each student's score in the teacher view
+     */
+    render() {
+        for (let player = 1; player <= 2; player++) {
+            const student = this.getCurrentStudent(player);
+
+            const turn = this.elements[`player${player}Turn`];
+            if (turn) {
+                turn.textContent = student ? `🙋 ${student}'s turn` : '';
+                turn.hidden = !student;
+            }
+
+            const list = this.elements[`teacherRoster${player}`];
+            if (list) {
+                list.innerHTML = '';
+                list.hidden = !this.enabled || this.roster.getNames(player).length === 0;
+                if (this.enabled) {
+                    this.roster.getSummary(player).students.forEach(({ name, correct, answered }) => {
+                        const item = document.createElement('li');
+                        item.classList.toggle('up-next', name === student);
+                        item.textContent = name;
+
+                        const score = document.createElement('span');
+                        score.textContent = `${correct}/${answered}`;
+                        item.appendChild(score);
+                        list.appendChild(item);
+                    });
+                }
+            }
+        }
+
+        this.onTurnChange();
+    }
+}
@@ -0,0 +1,191 @@
+/**
+ * TournamentMode.js
+ * Class tournament: keeps the bracket (saved, so it survives a reload), knows which of
+ * its matches is being played and moves each winner on through it
+ */
+
+import { Tournament } from '../../shared/modules/Tournament.js';
+import { TournamentPanel } from './TournamentPanel.js';
+import { TournamentStore } from './TournamentStore.js';
+
+export class TournamentMode {
+    /**
+     * @param {object} callbacks - What the tournament needs from the game
+     * @param {function} callbacks.onPlay - () => play the next match in the bracket
+     * @param {function} callbacks.onNext - () => clear away the match just played, before the bracket opens
+     * @param {function} callbacks.onPlayersChange - () => called when a match's players are set or cleared
+     */
+    constructor(callbacks) {
+        this.callbacks = callbacks;
+        this.store = new TournamentStore();
+        this.tournament = null;
+        this.match = null;
+        this.panel = null;
+        this.elements = {};
+    }
+
+    /**
+     * Make the tournament screen, set up the buttons and pick up a tournament left
+     * running before a reload
+     * @param {object} elements - {openBtn, nextBtn, playAgainBtn, summaryDisplay}
+     * @param {object} panelElements - Tournament screen DOM elements (see TournamentPanel)
+     */
+    init(elements, panelElements) {
+        this.elements = elements;
+        this.panel = new TournamentPanel(panelElements, {
+            onCreate: (names, format) => this.create(names, format),
+            onPlay: () => this.callbacks.onPlay(),
+            onEnd: () => this.end()
+        });
+
+        if (this.elements.openBtn) {
+            this.elements.openBtn.addEventListener('click', () => this.panel.open(this.tournament));
+        }
+
+        if (this.elements.nextBtn) {
+            this.elements.nextBtn.addEventListener('click', () => {
+                this.callbacks.onNext();
+                this.panel.open(this.tournament);
+            });
+        }
+
+        this.tournament = this.store.load();
+        this._updateSummary();
+    }
+
+    /**
+     * Start a tournament
+     * @param {string[]} names - Participants, in draw order
+     * @param {string} format - 'single' or 'double' elimination
+     * @throws {Error} When the bracket cannot be made (too few or repeated names)
+     */
+    create(names, format) {
+        this.tournament = Tournament.create(names, format);
+        this._save();
+        this.panel.show(this.tournament);
+    }
+
+    /**
+     * Abandon (or, once decided, clear away) the tournament
+     */
+    end() {
+        this.tournament = null;
+        this.match = null;
+        this.store.clear();
+        this.panel.show(null);
+        this.callbacks.onPlayersChange();
+        this._updateSummary();
+    }
+
+    /**
+     * Next match waiting to be played, with the tournament screen closed for it
+     * @returns {object|null} Bracket match, or null when there is none
+     */
+    takeNextMatch() {
+        const match = this.tournament ? this.tournament.getNextMatch() : null;
+        if (match) {
+            this.panel.close();
+        }
+        return match;
+    }
+
+    /**
+     * Play a bracket match, with its two participants as the players
+     * @param {object} match - As returned by takeNextMatch()
+     */
+    begin(match) {
+        this.match = { id: match.id, players: [...match.players] };
+        this.callbacks.onPlayersChange();
+    }
+
+    /**
+     * Participant playing as a player in the bracket match
+     * @param {number} player - Player number
+     * @returns {string|null} Name, or null outside a tournament match
+     */
+    getPlayerName(player) {
+        return this.match ? this.match.players[player - 1] : null;
+    }
+
+    /**
+     * Move the winner of the bracket match on through the bracket
+     * @param {number} player - Winning player number
+     * @returns {string[]} Lines for the win overlay (none outside a tournament match)
+     */
+    recordResult(player) {
+        if (!this.match) return [];
+
+        const name = this.getPlayerName(player);
+        this.tournament.recordResult(this.match.id, name);
+        this._save();
+
+        // Back to the bracket rather than a rematch
+        if (this.elements.playAgainBtn) this.elements.playAgainBtn.hidden = true;
+        if (this.elements.nextBtn) this.elements.nextBtn.hidden = false;
+
+        return this.tournament.isComplete()
+            ? [`🏆 ${name} is the tournament champion!`]
+            : [`➡️ ${name} goes through to the next round`];
+    }
+
+    /**
+     * Leave the bracket match (its result, if any, is already in the bracket)
+     */
+    finish() {
+        if (this.elements.playAgainBtn) this.elements.playAgainBtn.hidden = false;
+        if (this.elements.nextBtn) this.elements.nextBtn.hidden = true;
+
+        if (this.match) {
+            this.match = null;
+            this.callbacks.onPlayersChange();
+        }
+    }
+
+    /**
+     * Bracket match being played, for saving
+     * @returns {object|null} Match {id, players}
+     */
+    toJSON() {
+        return this.match;
+    }
+
+    /**
+     * Carry on with a saved bracket match, if the bracket still has it waiting to be played
+     * @param {object|null} saved - As returned by toJSON()
+     */
+    restore(saved) {
+        const match = saved && this.tournament ? this.tournament.getMatch(saved.id) : null;
+        this.match = match && !match.winner ? saved : null;
+    }
+
+    /**
+     * Save the tournament, warning on the tournament screen if that fails
+     * @private
+     */
+    _save() {
+        try {
+            this.store.save(this.tournament);
+        } catch (error) {
+            this.panel.showError(`⚠️ ${error.message}`);
+        }
+        this._updateSummary();
+    }
+
+    /**
+     * Show how far the tournament has got in the settings panel
+     * @private
+     */
+    _updateSummary() {
+        const display = this.elements.summaryDisplay;
+        if (!display) return;
+
+        if (!this.tournament) {
+            display.textContent = '🏆 No tournament running';
+        } else if (this.tournament.isComplete()) {
+            display.textContent = `🏆 Champion: ${this.tournament.champion}`;
+        } else {
+            const left = this.tournament.countRemaining();
+            display.textContent = `🏆 Tournament: ${left} match${left === 1 ? '' : 'es'} left`;
+        }
+    }
+}
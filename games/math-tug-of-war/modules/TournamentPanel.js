@@ -0,0 +1,190 @@
+/**
+ * TournamentPanel.js
+ * Tournament screen: enter participants and choose a format, then follow the bracket
+ * and launch each match from it
+ */
+
+import { TeamRoster } from '../../shared/modules/TeamRoster.js';
+
+export class TournamentPanel {
+    /**
+     * @param {object} elements - Tournament screen DOM elements
+     * @param {object} callbacks - What the buttons do
+     * @param {function} callbacks.onCreate - (names, format) => create the tournament; throws Error when invalid
+     * @param {function} callbacks.onPlay - Start the next match
+     * @param {function} callbacks.onEnd - Abandon or clear the tournament
+     */
+    constructor(elements, { onCreate, onPlay, onEnd }) {
+        this.elements = elements;
+        this.onCreate = onCreate;
+        this.onPlay = onPlay;
+        this.onEnd = onEnd;
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * Open the tournament screen
+     * @param {Tournament|null} tournament - Current tournament, or null to set one up
+     */
+    open(tournament) {
+        this.show(tournament);
+        this.showError('');
+
+        if (this.elements.overlay) {
+            this.elements.overlay.style.display = 'flex';
+        }
+    }
+
+    /**
+     * Close the tournament screen
+     */
+    close() {
+        if (this.elements.overlay) {
+            this.elements.overlay.style.display = 'none';
+        }
+    }
+
+    /**
+     * Show the setup form, or the bracket once a tournament exists
+     * @param {Tournament|null} tournament - Current tournament
+     */
+    show(tournament) {
+        if (this.elements.setupSection) {
+            this.elements.setupSection.hidden = tournament !== null;
+        }
+        if (this.elements.bracketSection) {
+            this.elements.bracketSection.hidden = tournament === null;
+        }
+        if (!tournament) return;
+
+        const next = tournament.getNextMatch();
+        if (this.elements.statusDisplay) {
+            if (tournament.isComplete()) {
+                this.elements.statusDisplay.textContent = `🏆 ${tournament.champion} is the champion!`;
+            } else if (next) {
+                const left = tournament.countRemaining();
+                this.elements.statusDisplay.textContent =
+                    `Next up: ${next.players[0]} vs ${next.players[1]} (${left} match${left === 1 ? '' : 'es'} left)`;
+            }
+        }
+        if (this.elements.playBtn) {
+            this.elements.playBtn.hidden = next === null;
+        }
+        if (this.elements.endBtn) {
+            this.elements.endBtn.textContent = tournament.isComplete() ? '🆕 New Tournament' : '🗑️ End Tournament';
+        }
+
+        this._renderBracket(tournament, next);
+    }
+
+    /**
+     * Show an error (or a warning that the tournament was not saved)
+     * @param {string} message - Message to show; empty clears it
+     */
+    showError(message) {
+        if (this.elements.errorDisplay) {
+            this.elements.errorDisplay.textContent = message;
+        }
+    }
+
+    /**
+     * Setup button listeners
+     * @private
+     */
+    _setupEventListeners() {
+        if (this.elements.createBtn) {
+            this.elements.createBtn.addEventListener('click', () => this._create());
+        }
+
+        if (this.elements.playBtn) {
+            this.elements.playBtn.addEventListener('click', () => this.onPlay());
+        }
+
+        if (this.elements.endBtn) {
+            this.elements.endBtn.addEventListener('click', () => this.onEnd());
+        }
+
+        if (this.elements.closeBtn) {
+            this.elements.closeBtn.addEventListener('click', () => this.close());
+        }
+    }
+
+    /**
+     * Read the form and create the tournament
+     * @private
+     */
+    _create() {
+        const names = TeamRoster.parseNames(this.elements.namesInput ? this.elements.namesInput.value : '');
+        const format = this.elements.formatSelect ? this.elements.formatSelect.value : 'single';
+        const shuffled = this.elements.shuffleToggle && this.elements.shuffleToggle.checked
+            ? this._shuffle(names)
+            : names;
+
+        try {
+            this.onCreate(shuffled, format);
+            this.showError('');
+        } catch (error) {
+            this.showError(`⚠️ ${error.message}`);
+        }
+    }
+
+    /**
+     * Draw one column per round, with results filled in as matches finish
+     * @private
+     */
+    _renderBracket(tournament, next) {
+        const view = this.elements.bracketView;
+        if (!view) return;
+
+        view.innerHTML = '';
+        tournament.getRounds().forEach(round => {
+            const column = document.createElement('div');
+            column.className = `bracket-round bracket-${round.bracket}`;
+
+            const title = document.createElement('h4');
+            title.textContent = round.title;
+            column.appendChild(title);
+
+            round.matches.forEach(match => {
+                const card = document.createElement('div');
+                card.className = 'bracket-match';
+                card.classList.toggle('next-match', next !== null && match.id === next.id);
+                card.classList.toggle('bye-match', match.players.includes(false));
+
+                match.players.forEach(player => {
+                    const line = document.createElement('div');
+                    line.className = 'bracket-player';
+                    if (player === false) {
+                        line.textContent = 'bye';
+                        line.classList.add('bye');
+                    } else if (player === null) {
+                        line.textContent = '…';
+                        line.classList.add('waiting');
+                    } else {
+                        line.textContent = player;
+                        line.classList.toggle('winner', match.winner === player);
+                        line.classList.toggle('loser', match.loser === player);
+                    }
+                    card.appendChild(line);
+                });
+
+                column.appendChild(card);
+            });
+
+            view.appendChild(column);
+        });
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     * @private
+     */
+    _shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+}
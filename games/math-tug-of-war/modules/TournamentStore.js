@@ -0,0 +1,62 @@
+/**
+ * TournamentStore.js
+ * Keeps the class tournament in localStorage so it carries on after a page reload
+ */
+
+import { Tournament } from '../../shared/modules/Tournament.js';
+
+const STORAGE_KEY = 'mathTugOfWar.tournament';
+
+export class TournamentStore {
+    /**
+     * @param {Storage} [storage] - Where the tournament lives (default: localStorage)
+     */
+    constructor(storage = null) {
+        this.storage = storage;
+    }
+
+    /**
+     * Load the saved tournament
+     * @returns {Tournament|null} Tournament, or null when there is none (or it is unreadable)
+     */
+    load() {
+        try {
+            const data = JSON.parse(this._getStorage().getItem(STORAGE_KEY) || 'null');
+            return data && Array.isArray(data.matches) ? new Tournament(data) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Save the tournament
+     * @param {Tournament} tournament - Tournament to save
+     * @throws {Error} When storage is unavailable
+     */
+    save(tournament) {
+        try {
+            this._getStorage().setItem(STORAGE_KEY, JSON.stringify(tournament.toJSON()));
+        } catch (error) {
+            throw new Error('The tournament could not be saved in this browser, so it will be lost on reload.');
+        }
+    }
+
+    /**
+     * Forget the saved tournament
+     */
+    clear() {
+        try {
+            this._getStorage().removeItem(STORAGE_KEY);
+        } catch (error) {
+            // Nothing saved to remove
+        }
+    }
+
+    /**
+     * Storage to use (reading localStorage can throw when it is blocked, so callers catch)
+     * @private
+     */
+    _getStorage() {
+        return this.storage || window.localStorage;
+    }
+}
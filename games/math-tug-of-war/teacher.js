@@ -0,0 +1,318 @@
+/**
+ * teacher.js
+ * Teacher console - runs the game showing in another window (e.g. on the projector):
+ * start, pause, reset, skip, award or deduct pulls, change settings and watch live stats
+ */
+
+import { ConsoleChannel } from '../shared/modules/ConsoleChannel.js';
+
+// Must match the game's consoleChannel (index.js)
+const CHANNEL_NAME = 'mathTugOfWar.console';
+
+const STATUS_LABELS = {
+    idle: '⏹️ Waiting to start',
+    playing: '▶️ Playing',
+    paused: '⏸️ Paused',
+    ended: '🏆 Match over'
+};
+
+class TeacherConsole {
+    constructor() {
+        this.channel = null;
+        this.state = null;
+        this.elements = {};
+    }
+
+    /**
+     * Initialize the console and say hello to the game
+     */
+    init() {
+        this.elements = {
+            connection: document.getElementById('consoleConnection'),
+            hint: document.getElementById('consoleHint'),
+            matchStatus: document.getElementById('consoleMatchStatus'),
+            questions: document.getElementById('consoleQuestions'),
+            startBtn: document.getElementById('consoleStartBtn'),
+            pauseBtn: document.getElementById('consolePauseBtn'),
+            skipBtn: document.getElementById('consoleSkipBtn'),
+            resetBtn: document.getElementById('consoleResetBtn'),
+            ropeMarker: document.getElementById('consoleRopeMarker'),
+            ropeLabel: document.getElementById('consoleRopeLabel'),
+            players: document.getElementById('consolePlayers'),
+            recent: document.getElementById('consoleRecent'),
+            settings: [...document.querySelectorAll('[data-setting]')]
+        };
+
+        this._setupListeners();
+
+        this.channel = new ConsoleChannel(CHANNEL_NAME, (message) => this._handleMessage(message));
+        if (!this.channel.isAvailable()) {
+            this._setConnection('⚠️ This browser cannot link windows', 'Please use an up-to-date browser for the teacher console.');
+            return;
+        }
+
+        // The game replies with its state if it is already open
+        this.channel.send({ type: 'hello' });
+    }
+
+    /**
+     * Send a command to the game
+     * @param {string} command - start, pause, reset, skip, award, deduct or settings
+     * @param {object} [details] - Extra details (player, settings)
+     */
+    send(command, details = {}) {
+        this.channel.send({ type: 'command', command, ...details });
+    }
+
+    /**
+     * Setup button and settings listeners
+     * @private
+     */
+    _setupListeners() {
+        const buttons = [
+            [this.elements.startBtn, 'start'],
+            [this.elements.pauseBtn, 'pause'],
+            [this.elements.skipBtn, 'skip'],
+            [this.elements.resetBtn, 'reset']
+        ];
+        buttons.forEach(([button, command]) => {
+            if (button) {
+                button.addEventListener('click', () => this.send(command));
+            }
+        });
+
+        // Award and deduct buttons are redrawn with each state, so listen on the table
+        if (this.elements.players) {
+            this.elements.players.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-command]');
+                if (button) {
+                    this.send(button.dataset.command, { player: parseInt(button.dataset.player, 10) });
+                }
+            });
+        }
+
+        this.elements.settings.forEach(control => {
+            control.addEventListener('change', () => {
+                const value = control.type === 'checkbox' ? control.checked : control.value;
+                this.send('settings', { settings: { [control.dataset.setting]: value } });
+            });
+        });
+    }
+
+    /**
+     * Handle a message from the game
+     * @private
+     */
+    _handleMessage(message) {
+        if (message.type === 'state') {
+            this.state = message.state;
+            this._setConnection('🟢 Connected to the game', '');
+            this._render();
+        } else if (message.type === 'closed') {
+            this.state = null;
+            this._setConnection('⚪ Waiting for the game…', 'The game was closed. Open it again and it will reconnect.');
+            this._setButtonsEnabled(false);
+        }
+    }
+
+    /**
+     * Show whether the game is connected, with a hint (empty hides it)
+     * @private
+     */
+    _setConnection(label, hint) {
+        if (this.elements.connection) {
+            this.elements.connection.textContent = label;
+        }
+        if (this.elements.hint) {
+            this.elements.hint.textContent = hint;
+            this.elements.hint.hidden = hint === '';
+        }
+    }
+
+    /**
+     * Show the game's state
+     * @private
+     */
+    _render() {
+        const { state } = this;
+        const inMatch = ['playing', 'paused'].includes(state.status);
+
+        if (this.elements.matchStatus) {
+            const turn = state.status === 'playing' && state.questions.length === 1
+                ? ` – ${this._getName(state.questions[0].player)}'s turn`
+                : '';
+            this.elements.matchStatus.textContent =
+                `${STATUS_LABELS[state.status] || state.status}${turn} · ${state.totalQuestions} answered`;
+        }
+
+        if (this.elements.startBtn) this.elements.startBtn.disabled = inMatch;
+        if (this.elements.pauseBtn) {
+            this.elements.pauseBtn.disabled = !inMatch;
+            this.elements.pauseBtn.textContent = state.status === 'paused' ? '▶️ Resume' : '⏸️ Pause';
+        }
+        if (this.elements.skipBtn) this.elements.skipBtn.disabled = state.status !== 'playing';
+        if (this.elements.resetBtn) this.elements.resetBtn.disabled = state.status === 'idle';
+
+        this._renderQuestions();
+        this._renderRope();
+        this._renderPlayers(inMatch);
+        this._renderSettings();
+        this._renderRecent();
+    }
+
+    /**
+     * The question each player is answering, with its answer for the teacher
+     * @private
+     */
+    _renderQuestions() {
+        const list = this.elements.questions;
+        if (!list) return;
+
+        list.innerHTML = '';
+        this.state.questions.forEach(question => {
+            const item = document.createElement('li');
+            const text = document.createElement('span');
+            text.className = 'console-question-text';
+            text.textContent = `${this._getName(question.player)}: ${question.text}`;
+            const answer = document.createElement('span');
+            answer.className = 'console-question-answer';
+            answer.textContent = `Answer: ${question.answer}`;
+            item.append(text, answer);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Rope marker between the two win lines
+     * @private
+     */
+    _renderRope() {
+        const { ropePosition, winThreshold } = this.state;
+
+        if (this.elements.ropeMarker) {
+            const percent = ((ropePosition + winThreshold) / (winThreshold * 2)) * 100;
+            this.elements.ropeMarker.style.left = `${Math.max(0, Math.min(100, percent))}%`;
+        }
+        if (this.elements.ropeLabel) {
+            const leader = ropePosition < 0 ? 1 : 2;
+            this.elements.ropeLabel.textContent = ropePosition === 0
+                ? 'Rope in the middle'
+                : `Rope ${Math.abs(ropePosition)} toward ${this._getName(leader)} (${winThreshold} wins)`;
+        }
+    }
+
+    /**
+     * Score and stats per player, with award and deduct buttons
+     * @private
+     */
+    _renderPlayers(inMatch) {
+        const body = this.elements.players;
+        if (!body) return;
+
+        body.innerHTML = '';
+        this.state.players.forEach(player => {
+            const row = body.insertRow();
+            const accuracy = player.answered > 0 ? Math.round((player.correct / player.answered) * 100) : 0;
+            [
+                player.name,
+                this.state.scores[`player${player.player}`] ?? 0,
+                player.answered,
+                `${player.correct} (${accuracy}%)`,
+                `${player.averageTime} s`
+            ].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+
+            const pull = row.insertCell();
+            pull.append(
+                this._createPullButton('award', player.player, '➕ Award', inMatch),
+                this._createPullButton('deduct', player.player, '➖ Deduct', inMatch)
+            );
+        });
+    }
+
+    /**
+     * Button that pulls the rope for or against a player
+     * @private
+     */
+    _createPullButton(command, player, label, enabled) {
+        const button = document.createElement('button');
+        button.className = `btn btn-secondary console-pull-btn ${command}`;
+        button.textContent = label;
+        button.dataset.command = command;
+        button.dataset.player = player;
+        button.disabled = !enabled;
+        return button;
+    }
+
+    /**
+     * Settings controls, unless the teacher is using one
+     * @private
+     */
+    _renderSettings() {
+        this.elements.settings.forEach(control => {
+            const value = this.state.settings[control.dataset.setting];
+            if (value === undefined || control === document.activeElement) return;
+
+            if (control.type === 'checkbox') {
+                control.checked = Boolean(value);
+            } else {
+                control.value = value;
+            }
+        });
+    }
+
+    /**
+     * The latest answers, newest first
+     * @private
+     */
+    _renderRecent() {
+        const list = this.elements.recent;
+        if (!list) return;
+
+        list.innerHTML = '';
+        this.state.recent.forEach(attempt => {
+            const item = document.createElement('li');
+            item.className = attempt.isCorrect ? 'correct' : 'wrong';
+            const given = attempt.timedOut ? '⏰ time ran out' : attempt.answer;
+            item.textContent = attempt.isCorrect
+                ? `✅ ${attempt.name}: ${attempt.text} ${given}`
+                : `❌ ${attempt.name}: ${attempt.text} ${given} (answer ${attempt.correctAnswer})`;
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Enable or disable every match control
+     * @private
+     */
+    _setButtonsEnabled(enabled) {
+        [this.elements.startBtn, this.elements.pauseBtn, this.elements.skipBtn, this.elements.resetBtn]
+            .forEach(button => {
+                if (button) button.disabled = !enabled;
+            });
+        if (this.elements.players) {
+            this.elements.players.querySelectorAll('button').forEach(button => {
+                button.disabled = !enabled;
+            });
+        }
+    }
+
+    /**
+     * A player's name from the latest state
+     * @private
+     */
+    _getName(player) {
+        const entry = this.state.players.find(candidate => candidate.player === player);
+        return entry ? entry.name : `Player ${player}`;
+    }
+}
+
+// Initialize console when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    const teacherConsole = new TeacherConsole();
+    teacherConsole.init();
+
+    // Expose to window for debugging
+    window.teacherConsole = teacherConsole;
+});
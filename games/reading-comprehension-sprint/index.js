@@ -0,0 +1,168 @@
+/**
+ * index.js
+ * Main game controller - Reading Comprehension Sprint on the shared versus engine
+ */
+
+import { VersusEngine } from '../shared/VersusEngine.js';
+import { ChoicePanel } from '../shared/modules/ChoicePanel.js';
+import { PassageQuestionSource } from './modules/PassageQuestionSource.js';
+import { RaceTrack } from './modules/RaceTrack.js';
+import { RaceTrackRenderer } from './modules/RaceTrackRenderer.js';
+
+const TRACK_LENGTH = 12;
+
+class ReadingComprehensionSprint extends VersusEngine {
+    constructor() {
+        const track = new RaceTrack(2, TRACK_LENGTH);
+
+        super({
+            name: 'Reading Comprehension Sprint',
+            questionSource: new PassageQuestionSource(),
+            createRenderer: (canvas) => new RaceTrackRenderer(canvas, TRACK_LENGTH),
+            canvasId: 'trackCanvas',
+            moveRule: (gameState, isCorrect) => (isCorrect
+                ? track.advance(gameState.currentPlayer)
+                : track.getPositions()),
+            winRule: () => track.getFinishWinner()
+        });
+
+        this.track = track;
+        this.choicePanel = null;
+    }
+
+    /**
+     * Initialize the game and its choice buttons
+     */
+    async init() {
+        await super.init();
+        this.choicePanel = new ChoicePanel(this.elements.choicesDisplay);
+    }
+
+    /**
+     * Cache DOM elements, including choice buttons and the racer count
+     * @private
+     */
+    _cacheElements() {
+        super._cacheElements();
+        this.elements.choicesDisplay = document.getElementById('choicesDisplay');
+        this.elements.playerCountSelect = document.getElementById('playerCountSelect');
+    }
+
+    /**
+     * Setup settings listeners, including the racer count
+     * @private
+     */
+    _setupSettingsListeners() {
+        super._setupSettingsListeners();
+
+        if (this.elements.playerCountSelect) {
+            this.elements.playerCountSelect.addEventListener('change', (e) => {
+                this.setRacerCount(parseInt(e.target.value));
+            });
+        }
+    }
+
+    /**
+     * Settings controls locked while a match is running
+     * @private
+     */
+    _getSettingsControls() {
+        return [
+            ...super._getSettingsControls(),
+            this.elements.playerCountSelect
+        ];
+    }
+
+    /**
+     * Change between a solo sprint and a two-racer race
+     * @param {number} count - Number of racers (1-2)
+     */
+    setRacerCount(count) {
+        if (count < 1 || count > 2) return;
+
+        this.gameState.updateSettings({ playerCount: count });
+        this.scoreManager.setPlayerCount(count);
+        this.track.setRacerCount(count);
+
+        this.uiController.updatePlayerCount(count);
+        this.uiController.displayScore(this.scoreManager.getScores());
+        this.resetBoard();
+    }
+
+    /**
+     * Display next question; choices wait until the passage has been read
+     */
+    nextQuestion() {
+        super.nextQuestion();
+
+        if (this.isReading) {
+            this.choicePanel.clear();
+        } else {
+            this._renderChoices();
+        }
+    }
+
+    /**
+     * End the reading phase and show the first question's choices
+     */
+    finishReading() {
+        const wasReading = this.isReading;
+        super.finishReading();
+
+        if (wasReading && !this.isReading) {
+            this._renderChoices();
+        }
+    }
+
+    /**
+     * Process the answer, then reveal the right choice
+     * @param {boolean} isCorrect - Whether answer was correct
+     * @param {string} userAnswer - Chosen option
+     */
+    processAnswer(isCorrect, userAnswer = '') {
+        this.choicePanel.reveal(this.gameState.currentQuestion.answer, userAnswer);
+        super.processAnswer(isCorrect, userAnswer);
+    }
+
+    /**
+     * Reset game, dropping any half-read passage
+     */
+    resetGame() {
+        super.resetGame();
+        this.questionSource.reset();
+        this.choicePanel.clear();
+    }
+
+    /**
+     * Send every racer back to the start
+     */
+    resetBoard() {
+        this.track.reset();
+        this.renderer.animateTo(this.track.getPositions());
+    }
+
+    /**
+     * Render choice buttons for the current question
+     * @private
+     */
+    _renderChoices() {
+        this.choicePanel.render(
+            this.gameState.currentQuestion.choices,
+            (choice) => this.submitAnswer(choice)
+        );
+    }
+}
+
+// Initialize game when DOM is ready
+document.addEventListener('DOMContentLoaded', async () => {
+    const game = new ReadingComprehensionSprint();
+    await game.init();
+
+    // Cleanup on page unload
+    window.addEventListener('beforeunload', () => {
+        game.cleanup();
+    });
+
+    // Expose to window for debugging
+    window.readingGame = game;
+});
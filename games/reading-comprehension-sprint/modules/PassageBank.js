@@ -0,0 +1,225 @@
+/**
+ * PassageBank.js
+ * Short reading passages with comprehension questions, grouped by difficulty
+ * Easy: Grades 3-4, Medium: Grades 5-6, Hard: Grades 7-8
+ * The first choice listed is the correct one; choices are shuffled on display.
+ */
+
+export const PASSAGES = {
+    easy: [
+        {
+            title: 'The Lost Kite',
+            text: 'Maya got a red kite for her birthday. On Saturday she took it to the park. ' +
+                'The wind was strong, and the kite flew high above the trees. Suddenly the string ' +
+                'snapped! The kite floated away over the pond. Maya felt sad until her brother ' +
+                'found it stuck in a bush on the other side.',
+            questions: [
+                {
+                    question: 'What colour was Maya\'s kite?',
+                    choices: ['Red', 'Blue', 'Yellow', 'Green']
+                },
+                {
+                    question: 'Why did the kite float away?',
+                    choices: ['The string snapped', 'Maya let go', 'A bird pulled it', 'The wind stopped']
+                },
+                {
+                    question: 'Who found the kite?',
+                    choices: ['Her brother', 'Her mother', 'A park ranger', 'Maya']
+                }
+            ]
+        },
+        {
+            title: 'Busy Bees',
+            text: 'Honeybees live together in a hive. The queen bee lays all the eggs. Worker bees ' +
+                'fly from flower to flower collecting nectar. Back at the hive, they turn the nectar ' +
+                'into honey. Bees also help plants grow by carrying pollen from one flower to another.',
+            questions: [
+                {
+                    question: 'Which bee lays all the eggs?',
+                    choices: ['The queen bee', 'The worker bees', 'The oldest bee', 'Every bee']
+                },
+                {
+                    question: 'What do worker bees collect from flowers?',
+                    choices: ['Nectar', 'Seeds', 'Leaves', 'Water']
+                },
+                {
+                    question: 'How do bees help plants grow?',
+                    choices: ['By carrying pollen', 'By eating weeds', 'By digging soil', 'By making shade']
+                }
+            ]
+        },
+        {
+            title: 'Snow Day',
+            text: 'When Leo woke up, everything outside was white. School was closed because of the ' +
+                'snow! Leo put on his boots, hat and warm gloves. He and his friend Sam built a snowman ' +
+                'with a carrot for a nose. Afterwards they drank hot chocolate to warm up.',
+            questions: [
+                {
+                    question: 'Why was school closed?',
+                    choices: ['Because of the snow', 'It was a holiday', 'The teacher was sick', 'It was Sunday']
+                },
+                {
+                    question: 'What did they use for the snowman\'s nose?',
+                    choices: ['A carrot', 'A button', 'A stick', 'A stone']
+                },
+                {
+                    question: 'What did Leo and Sam drink afterwards?',
+                    choices: ['Hot chocolate', 'Orange juice', 'Cold milk', 'Lemonade']
+                }
+            ]
+        }
+    ],
+    medium: [
+        {
+            title: 'The Great Wall',
+            text: 'The Great Wall of China stretches for thousands of kilometres across northern China. ' +
+                'It was built over many centuries to protect against invaders. Soldiers watched for ' +
+                'danger from tall towers and sent smoke signals to warn others. Today, millions of ' +
+                'tourists visit the wall every year, and parts of it are being repaired.',
+            questions: [
+                {
+                    question: 'Why was the Great Wall built?',
+                    choices: ['To protect against invaders', 'To mark a road', 'To hold back floods', 'To attract tourists']
+                },
+                {
+                    question: 'How did soldiers warn each other of danger?',
+                    choices: ['With smoke signals', 'With letters', 'With drums only', 'With flags on boats']
+                },
+                {
+                    question: 'Which statement is true about the wall today?',
+                    choices: ['Parts of it are being repaired', 'It is closed to visitors', 'It was finished last century', 'It is in southern China']
+                }
+            ]
+        },
+        {
+            title: 'A Surprising Inventor',
+            text: 'In 1905, eleven-year-old Frank Epperson left a cup of fruit drink with a stirring stick ' +
+                'on his porch overnight. It was a freezing night, and by morning the drink had frozen ' +
+                'solid around the stick. Frank pulled it out and tasted it. Years later he sold his ' +
+                'frozen treat to the public, and it became known as the ice pop.',
+            questions: [
+                {
+                    question: 'How old was Frank when he made his discovery?',
+                    choices: ['Eleven', 'Five', 'Twenty', 'Fifteen']
+                },
+                {
+                    question: 'What caused the drink to freeze?',
+                    choices: ['A freezing night', 'A new freezer', 'Ice from a shop', 'Snow in the cup']
+                },
+                {
+                    question: 'What is the main idea of the passage?',
+                    choices: [
+                        'An accident led to a popular treat',
+                        'Children should not leave drinks outside',
+                        'Fruit drinks are healthy',
+                        'Winters were colder in 1905'
+                    ]
+                }
+            ]
+        },
+        {
+            title: 'Migrating Monarchs',
+            text: 'Every autumn, millions of monarch butterflies leave Canada and the United States and ' +
+                'fly south to Mexico. Some travel more than 4,000 kilometres. They spend the winter ' +
+                'clustered together on fir trees in the mountains. In spring, they begin the long ' +
+                'journey north, but it takes several generations of butterflies to complete it.',
+            questions: [
+                {
+                    question: 'Where do the monarchs spend the winter?',
+                    choices: ['In Mexico', 'In Canada', 'In the desert', 'By the ocean']
+                },
+                {
+                    question: 'What does "clustered" most likely mean?',
+                    choices: ['Grouped closely together', 'Hidden underground', 'Spread far apart', 'Flying in circles']
+                },
+                {
+                    question: 'Why does the trip north take several generations?',
+                    choices: [
+                        'No single butterfly lives long enough to finish it',
+                        'The butterflies get lost',
+                        'The weather is too cold',
+                        'They stop to build nests'
+                    ]
+                }
+            ]
+        }
+    ],
+    hard: [
+        {
+            title: 'The Printing Press',
+            text: 'Before the 1440s, books in Europe were copied by hand, which made them rare and ' +
+                'expensive. Johannes Gutenberg developed a press that used movable metal type, allowing ' +
+                'pages to be printed quickly and identically. As books became cheaper, literacy spread, ' +
+                'and new ideas travelled faster than ever. Historians often describe the press as one ' +
+                'of the most influential inventions of the millennium.',
+            questions: [
+                {
+                    question: 'Why were books rare before the printing press?',
+                    choices: ['They were copied by hand', 'Paper had not been invented', 'Few people wanted them', 'They were banned']
+                },
+                {
+                    question: 'What was an effect of cheaper books?',
+                    choices: ['Literacy spread', 'Fewer schools opened', 'Libraries closed', 'Handwriting improved']
+                },
+                {
+                    question: 'What is the author\'s view of the printing press?',
+                    choices: ['It was highly influential', 'It was a failure', 'It was overrated', 'It was dangerous']
+                }
+            ]
+        },
+        {
+            title: 'Coral Reefs Under Pressure',
+            text: 'Coral reefs cover less than one percent of the ocean floor, yet they support about a ' +
+                'quarter of all marine species. When ocean water becomes too warm, corals expel the ' +
+                'colourful algae living inside them and turn white, a process called bleaching. ' +
+                'Bleached corals are not dead, but without the algae they struggle to get enough food ' +
+                'and may die if the water stays warm.',
+            questions: [
+                {
+                    question: 'What causes coral bleaching?',
+                    choices: ['Water that is too warm', 'Too many fish', 'Strong waves', 'Too much sunlight on sand']
+                },
+                {
+                    question: 'Which statement about bleached corals is accurate?',
+                    choices: [
+                        'They are weakened but not yet dead',
+                        'They are always dead',
+                        'They grow faster',
+                        'They turn bright red'
+                    ]
+                },
+                {
+                    question: 'Why does the author mention "a quarter of all marine species"?',
+                    choices: [
+                        'To show how important reefs are',
+                        'To explain how reefs form',
+                        'To compare reefs to forests',
+                        'To describe coral colours'
+                    ]
+                }
+            ]
+        },
+        {
+            title: 'The Boy Who Harnessed the Wind',
+            text: 'When drought struck his village in Malawi, fourteen-year-old William Kamkwamba had to ' +
+                'leave school because his family could not pay the fees. Determined to keep learning, ' +
+                'he borrowed science books from a library. Using scrap metal, bicycle parts and blue-gum ' +
+                'trees, he built a windmill that powered lights in his home and later pumped water for ' +
+                'crops. His persistence eventually earned him a scholarship to continue his education.',
+            questions: [
+                {
+                    question: 'Why did William leave school?',
+                    choices: ['His family could not pay the fees', 'He moved away', 'The school closed', 'He was ill']
+                },
+                {
+                    question: 'Which trait best describes William?',
+                    choices: ['Persistent', 'Careless', 'Shy', 'Impatient']
+                },
+                {
+                    question: 'What did the windmill eventually do for crops?',
+                    choices: ['Pumped water', 'Scared away birds', 'Provided shade', 'Harvested grain']
+                }
+            ]
+        }
+    ]
+};
@@ -0,0 +1,102 @@
+/**
+ * PassageQuestionSource.js
+ * Serves comprehension questions one passage at a time
+ * Every question in a group carries its passage, so the engine can run
+ * a reading phase before the first one and keep the turn until the last.
+ */
+
+import { PASSAGES } from './PassageBank.js';
+
+export class PassageQuestionSource {
+    constructor(passageBank = PASSAGES) {
+        this.passageBank = passageBank;
+
+        // Questions left in the passage being answered
+        this.queue = [];
+
+        // Avoid repeating a passage until the level is exhausted
+        this.usedPassages = new Set();
+    }
+
+    /**
+     * Next question from the current passage, opening a new passage when it is done
+     * @param {object} settings - Game settings (difficulty)
+     * @returns {object} Question object with text, answer, choices, operation,
+     *                   passage, passageStep and passageLength
+     */
+    next(settings) {
+        if (this.queue.length === 0) {
+            this.queue = this._buildGroup(this._pickPassage(settings.difficulty));
+        }
+        return this.queue.shift();
+    }
+
+    /**
+     * Validate chosen answer
+     * @param {string} userAnswer - Chosen option
+     * @param {object} question - Current question
+     * @returns {boolean} True if correct
+     */
+    validate(userAnswer, question) {
+        if (userAnswer === '' || userAnswer === null || userAnswer === undefined) {
+            return false;
+        }
+        return userAnswer === question.answer;
+    }
+
+    /**
+     * Drop any half-answered passage (e.g. when the game is reset)
+     */
+    reset() {
+        this.queue = [];
+    }
+
+    /**
+     * Pick an unused passage for the difficulty level
+     * @private
+     */
+    _pickPassage(difficulty) {
+        const pool = this.passageBank[difficulty] || this.passageBank.medium;
+        let available = pool.filter(passage => !this.usedPassages.has(passage));
+
+        // Start over once every passage has been used
+        if (available.length === 0) {
+            pool.forEach(passage => this.usedPassages.delete(passage));
+            available = pool;
+        }
+
+        const passage = available[Math.floor(Math.random() * available.length)];
+        this.usedPassages.add(passage);
+        return passage;
+    }
+
+    /**
+     * Turn a passage into its ordered group of questions
+     * @private
+     */
+    _buildGroup(passage) {
+        const info = { title: passage.title, text: passage.text };
+
+        return passage.questions.map((item, step) => ({
+            text: item.question,
+            answer: item.choices[0],
+            choices: this._shuffle([...item.choices]),
+            operation: 'reading',
+            passage: info,
+            passageStep: step,
+            passageLength: passage.questions.length
+        }));
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     * @private
+     */
+    _shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+}
@@ -0,0 +1,61 @@
+/**
+ * RaceTrack.js
+ * Tracks how far each racer has run along the track
+ */
+
+export const STRIDE = 1; // Correct answer: forward one marker
+
+export class RaceTrack {
+    /**
+     * @param {number} racerCount - Number of racers (1-2)
+     * @param {number} length - Markers between the start and the finish
+     */
+    constructor(racerCount = 2, length = 12) {
+        this.length = length;
+        this.setRacerCount(racerCount);
+    }
+
+    /**
+     * Set number of racers and send everyone back to the start
+     * @param {number} count - Number of racers
+     */
+    setRacerCount(count) {
+        this.racerCount = count;
+        this.reset();
+    }
+
+    /**
+     * Move a racer forward
+     * @param {number} player - Player number
+     * @returns {number[]} Positions of all racers
+     */
+    advance(player) {
+        const index = player - 1;
+        this.positions[index] = Math.min(this.length, this.positions[index] + STRIDE);
+        return this.getPositions();
+    }
+
+    /**
+     * Get positions of all racers
+     * @returns {number[]} Positions (0 = start, length = finish)
+     */
+    getPositions() {
+        return [...this.positions];
+    }
+
+    /**
+     * Check whether anyone has crossed the finish line
+     * @returns {string|null} Winner ('player1', 'player2') or null
+     */
+    getFinishWinner() {
+        const index = this.positions.findIndex(position => position >= this.length);
+        return index === -1 ? null : `player${index + 1}`;
+    }
+
+    /**
+     * Send all racers back to the start
+     */
+    reset() {
+        this.positions = new Array(this.racerCount).fill(0);
+    }
+}
@@ -0,0 +1,247 @@
+/**
+ * RaceTrackRenderer.js
+ * Draws a running track with one lane per racer using Canvas
+ * and animates strides with requestAnimationFrame
+ */
+
+// Lane colours match the player indicators
+const LANE_COLORS = ['#EF4444', '#3B82F6'];
+
+export class RaceTrackRenderer {
+    /**
+     * @param {HTMLCanvasElement} canvasElement - Canvas to draw on
+     * @param {number} length - Markers between the start and the finish
+     */
+    constructor(canvasElement, length = 12) {
+        this.canvas = canvasElement;
+        this.ctx = this.canvas.getContext('2d');
+        this.length = length;
+        this.animationFrameId = null;
+        this.currentPositions = [0, 0];
+
+        // Animation state
+        this.isAnimating = false;
+        this.animationStart = null;
+        this.animationDuration = 700; // ms
+        this.startPositions = [0, 0];
+        this.endPositions = [0, 0];
+
+        // Setup canvas size
+        this.resizeCanvas = this.resizeCanvas.bind(this);
+        this.resizeCanvas();
+        window.addEventListener('resize', this.resizeCanvas);
+    }
+
+    /**
+     * Resize canvas to match display size
+     */
+    resizeCanvas() {
+        const rect = this.canvas.getBoundingClientRect();
+        this.canvas.width = rect.width * window.devicePixelRatio;
+        this.canvas.height = rect.height * window.devicePixelRatio;
+        this.ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+        this.draw(this.currentPositions);
+    }
+
+    /**
+     * Animate racers from current positions to new positions
+     * A change in racer count jumps straight to the new lanes
+     * @param {number[]} newPositions - Target position for each racer
+     */
+    animateTo(newPositions) {
+        // Cancel any ongoing animation
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+        }
+
+        const target = newPositions.map(p => Math.max(0, Math.min(this.length, p)));
+        if (target.length !== this.currentPositions.length) {
+            this.currentPositions = new Array(target.length).fill(0);
+        }
+
+        this.isAnimating = true;
+        this.startPositions = [...this.currentPositions];
+        this.endPositions = target;
+        this.animationStart = performance.now();
+
+        // Start animation loop
+        this._animate(performance.now());
+    }
+
+    /**
+     * Animation loop using requestAnimationFrame
+     * @private
+     */
+    _animate(currentTime) {
+        if (!this.isAnimating) return;
+
+        const elapsed = currentTime - this.animationStart;
+        const progress = Math.min(elapsed / this.animationDuration, 1);
+
+        // Easing function (easeInOutCubic)
+        const eased = this._easeInOutCubic(progress);
+
+        this.currentPositions = this.startPositions.map(
+            (start, i) => start + (this.endPositions[i] - start) * eased
+        );
+        this.draw(this.currentPositions, currentTime);
+
+        // Continue animation or complete
+        if (progress < 1) {
+            this.animationFrameId = requestAnimationFrame((time) => this._animate(time));
+        } else {
+            this.isAnimating = false;
+            this.currentPositions = [...this.endPositions];
+            this.animationFrameId = null;
+            this.draw(this.currentPositions);
+        }
+    }
+
+    /**
+     * Easing function for smooth animation
+     * @private
+     */
+    _easeInOutCubic(t) {
+        return t < 0.5
+            ? 4 * t * t * t
+            : 1 - Math.pow(-2 * t + 2, 3) / 2;
+    }
+
+    /**
+     * Draw track with racers at given positions
+     * @param {number[]} positions - Position of each racer
+     * @param {number} time - Animation timestamp (for running bob)
+     */
+    draw(positions, time = 0) {
+        const rect = this.canvas.getBoundingClientRect();
+        const width = rect.width;
+        const height = rect.height;
+
+        // Clear canvas
+        this.ctx.clearRect(0, 0, width, height);
+
+        const startX = 50;
+        const finishX = width - 50;
+        const laneHeight = height / Math.max(positions.length, 1);
+
+        // Grass behind the track
+        this.ctx.fillStyle = '#86EFAC';
+        this.ctx.fillRect(0, 0, width, height);
+
+        positions.forEach((position, i) => {
+            const laneTop = laneHeight * i;
+            const color = LANE_COLORS[i % LANE_COLORS.length];
+
+            this._drawLane(laneTop, laneHeight, width, startX, finishX, color);
+            this._drawRacer(
+                this._positionToX(position, startX, finishX),
+                laneTop + laneHeight / 2,
+                color,
+                i + 1,
+                time
+            );
+        });
+
+        this._drawFinishLine(finishX, height);
+    }
+
+    /**
+     * Convert a track position to a canvas x coordinate
+     * @private
+     */
+    _positionToX(position, startX, finishX) {
+        return startX + (position / this.length) * (finishX - startX);
+    }
+
+    /**
+     * Draw one lane with a marker for every stride
+     * @private
+     */
+    _drawLane(laneTop, laneHeight, width, startX, finishX, color) {
+        // Running surface
+        this.ctx.fillStyle = '#D97757';
+        this.ctx.fillRect(0, laneTop + 8, width, laneHeight - 16);
+
+        // Lane edges
+        this.ctx.strokeStyle = '#FFFFFF';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(0, laneTop + 8);
+        this.ctx.lineTo(width, laneTop + 8);
+        this.ctx.moveTo(0, laneTop + laneHeight - 8);
+        this.ctx.lineTo(width, laneTop + laneHeight - 8);
+        this.ctx.stroke();
+
+        // Stride markers in the racer's colour
+        this.ctx.fillStyle = color;
+        this.ctx.globalAlpha = 0.35;
+        for (let marker = 1; marker < this.length; marker++) {
+            const x = this._positionToX(marker, startX, finishX);
+            this.ctx.fillRect(x - 1, laneTop + laneHeight - 20, 2, 10);
+        }
+        this.ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Draw the chequered finish line
+     * @private
+     */
+    _drawFinishLine(finishX, height) {
+        const square = 8;
+        for (let y = 0; y < height; y += square) {
+            for (let col = 0; col < 2; col++) {
+                this.ctx.fillStyle = (y / square + col) % 2 === 0 ? '#1F2937' : '#FFFFFF';
+                this.ctx.fillRect(finishX + col * square, y, square, square);
+            }
+        }
+    }
+
+    /**
+     * Draw a racer with their player number
+     * @private
+     */
+    _drawRacer(x, y, color, player, time) {
+        // Bob while running
+        const bob = this.isAnimating ? -Math.abs(Math.sin(time / 80)) * 4 : 0;
+
+        this.ctx.fillStyle = color;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y + bob, 20, 0, Math.PI * 2);
+        this.ctx.fill();
+
+        this.ctx.save();
+        this.ctx.translate(x, y + bob);
+        // Emoji runner faces left, so flip to run right
+        this.ctx.scale(-1, 1);
+        this.ctx.font = '26px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText('🏃', 0, 0);
+        this.ctx.restore();
+
+        this.ctx.fillStyle = '#1F2937';
+        this.ctx.font = 'bold 12px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(`P${player}`, x, y - 28);
+    }
+
+    /**
+     * Get current positions
+     * @returns {number[]} Current racer positions
+     */
+    getCurrentPositions() {
+        return [...this.currentPositions];
+    }
+
+    /**
+     * Cleanup - cancel animations and remove listeners
+     */
+    cleanup() {
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        window.removeEventListener('resize', this.resizeCanvas);
+        this.isAnimating = false;
+    }
+}
@@ -0,0 +1,141 @@
+/**
+ * index.js
+ * Main game controller - Science Balance Challenge on the shared versus engine
+ */
+
+import { VersusEngine } from '../shared/VersusEngine.js';
+import { ChoicePanel } from '../shared/modules/ChoicePanel.js';
+import { BalanceRenderer } from './modules/BalanceRenderer.js';
+import { DEFAULT_TILT_THRESHOLD, tipMoveRule, tiltWinRule } from './modules/BalanceRules.js';
+import { ScienceQuestionSource } from './modules/ScienceQuestionSource.js';
+
+class ScienceBalanceChallenge extends VersusEngine {
+    constructor() {
+        super({
+            name: 'Science Balance Challenge',
+            questionSource: new ScienceQuestionSource(),
+            createRenderer: (canvas) => new BalanceRenderer(canvas),
+            canvasId: 'balanceCanvas',
+            moveRule: tipMoveRule,
+            winRule: tiltWinRule
+        });
+
+        this.gameState.updateSettings({ topic: 'mixed', tiltThreshold: DEFAULT_TILT_THRESHOLD });
+        this.choicePanel = null;
+    }
+
+    /**
+     * Initialize the game and its choice buttons
+     */
+    async init() {
+        await super.init();
+        this.choicePanel = new ChoicePanel(this.elements.choicesDisplay);
+    }
+
+    /**
+     * Cache DOM elements, including choice buttons and science-only settings
+     * @private
+     */
+    _cacheElements() {
+        super._cacheElements();
+        this.elements.choicesDisplay = document.getElementById('choicesDisplay');
+        this.elements.explanationDisplay = document.getElementById('explanationDisplay');
+        this.elements.topicSelect = document.getElementById('topicSelect');
+        this.elements.tiltThresholdInput = document.getElementById('tiltThreshold');
+    }
+
+    /**
+     * Setup settings listeners, including topic and tilt threshold
+     * @private
+     */
+    _setupSettingsListeners() {
+        super._setupSettingsListeners();
+
+        if (this.elements.topicSelect) {
+            this.elements.topicSelect.addEventListener('change', (e) => {
+                this.gameState.updateSettings({ topic: e.target.value });
+            });
+        }
+
+        if (this.elements.tiltThresholdInput) {
+            this.elements.tiltThresholdInput.addEventListener('change', (e) => {
+                const value = parseInt(e.target.value);
+                if (value >= 2 && value <= 10) {
+                    this.gameState.updateSettings({ tiltThreshold: value });
+                    this.renderer.setThreshold(value);
+                }
+            });
+        }
+    }
+
+    /**
+     * Settings controls locked while a match is running
+     * @private
+     */
+    _getSettingsControls() {
+        return [
+            ...super._getSettingsControls(),
+            this.elements.topicSelect,
+            this.elements.tiltThresholdInput
+        ];
+    }
+
+    /**
+     * Display next question along with its answer choices
+     */
+    nextQuestion() {
+        super.nextQuestion();
+        this._setExplanation('');
+        this.choicePanel.render(
+            this.gameState.currentQuestion.choices,
+            (choice) => this.submitAnswer(choice)
+        );
+    }
+
+    /**
+     * Process the answer, then reveal the right choice and explanation
+     * @param {boolean} isCorrect - Whether answer was correct
+     * @param {string} userAnswer - Chosen option
+     */
+    processAnswer(isCorrect, userAnswer = '') {
+        const question = this.gameState.currentQuestion;
+        this.choicePanel.reveal(question.answer, userAnswer);
+        this._setExplanation(question.explanation ? `💡 ${question.explanation}` : '');
+
+        super.processAnswer(isCorrect, userAnswer);
+    }
+
+    /**
+     * Reset game and clear the choice buttons
+     */
+    resetGame() {
+        super.resetGame();
+        this.choicePanel.clear();
+        this._setExplanation('');
+    }
+
+    /**
+     * Show or clear the explanation line
+     * @private
+     */
+    _setExplanation(text) {
+        if (this.elements.explanationDisplay) {
+            this.elements.explanationDisplay.textContent = text;
+            this.elements.explanationDisplay.style.display = text ? 'block' : 'none';
+        }
+    }
+}
+
+// Initialize game when DOM is ready
+document.addEventListener('DOMContentLoaded', async () => {
+    const game = new ScienceBalanceChallenge();
+    await game.init();
+
+    // Cleanup on page unload
+    window.addEventListener('beforeunload', () => {
+        game.cleanup();
+    });
+
+    // Expose to window for debugging
+    window.scienceGame = game;
+});
@@ -0,0 +1,269 @@
+/**
+ * BalanceRenderer.js
+ * Draws a tipping balance scale using Canvas and animates its tilt
+ * with requestAnimationFrame
+ */
+
+export class BalanceRenderer {
+    constructor(canvasElement) {
+        this.canvas = canvasElement;
+        this.ctx = this.canvas.getContext('2d');
+        this.animationFrameId = null;
+        this.currentTilt = 0; // -10 (left pan down) to +10 (right pan down)
+
+        // Tilt at which the match ends, drawn as warning marks
+        this.threshold = 6;
+
+        // Largest beam angle, reached at tilt ±10
+        this.maxAngle = Math.PI / 7;
+
+        // Animation state
+        this.isAnimating = false;
+        this.animationStart = null;
+        this.animationDuration = 800; // ms
+        this.startTilt = 0;
+        this.endTilt = 0;
+
+        // Setup canvas size
+        this.resizeCanvas = this.resizeCanvas.bind(this);
+        this.resizeCanvas();
+        window.addEventListener('resize', this.resizeCanvas);
+    }
+
+    /**
+     * Resize canvas to match display size
+     */
+    resizeCanvas() {
+        const rect = this.canvas.getBoundingClientRect();
+        this.canvas.width = rect.width * window.devicePixelRatio;
+        this.canvas.height = rect.height * window.devicePixelRatio;
+        this.ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+        this.draw(this.currentTilt);
+    }
+
+    /**
+     * Set the tilt threshold shown on the scale
+     * @param {number} threshold - Tilt at which the match ends
+     */
+    setThreshold(threshold) {
+        this.threshold = threshold;
+        this.draw(this.currentTilt);
+    }
+
+    /**
+     * Animate scale from current tilt to new tilt
+     * @param {number} newTilt - Target tilt (-10 to +10)
+     */
+    animateTo(newTilt) {
+        // Cancel any ongoing animation
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+        }
+
+        this.isAnimating = true;
+        this.startTilt = this.currentTilt;
+        this.endTilt = Math.max(-10, Math.min(10, newTilt));
+        this.animationStart = performance.now();
+
+        // Start animation loop
+        this._animate(performance.now());
+    }
+
+    /**
+     * Animation loop using requestAnimationFrame
+     * @private
+     */
+    _animate(currentTime) {
+        if (!this.isAnimating) return;
+
+        const elapsed = currentTime - this.animationStart;
+        const progress = Math.min(elapsed / this.animationDuration, 1);
+
+        // Easing function (easeOutBack) - the beam overshoots and settles
+        const eased = this._easeOutBack(progress);
+
+        this.currentTilt = this.startTilt + (this.endTilt - this.startTilt) * eased;
+        this.draw(this.currentTilt);
+
+        // Continue animation or complete
+        if (progress < 1) {
+            this.animationFrameId = requestAnimationFrame((time) => this._animate(time));
+        } else {
+            this.isAnimating = false;
+            this.currentTilt = this.endTilt;
+            this.animationFrameId = null;
+        }
+    }
+
+    /**
+     * Easing function with a small overshoot
+     * @private
+     */
+    _easeOutBack(t) {
+        const c1 = 1.70158;
+        const c3 = c1 + 1;
+        return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+    }
+
+    /**
+     * Draw scale at given tilt
+     * @param {number} tilt - Current tilt (-10 to +10)
+     */
+    draw(tilt) {
+        const rect = this.canvas.getBoundingClientRect();
+        const width = rect.width;
+        const height = rect.height;
+
+        // Clear canvas
+        this.ctx.clearRect(0, 0, width, height);
+
+        const pivotX = width / 2;
+        const pivotY = height * 0.3;
+        const beamLength = Math.min(width * 0.7, 520);
+        const angle = (tilt / 10) * this.maxAngle;
+
+        // Draw threshold warning marks behind the scale
+        this._drawThresholdMarks(pivotX, pivotY, beamLength);
+
+        // Draw stand
+        this._drawStand(pivotX, pivotY, height);
+
+        // Draw beam and pans
+        this._drawBeam(pivotX, pivotY, beamLength, angle, tilt);
+    }
+
+    /**
+     * Draw the fulcrum stand
+     * @private
+     */
+    _drawStand(pivotX, pivotY, height) {
+        const baseY = height - 12;
+
+        // Post
+        this.ctx.strokeStyle = '#6B7280';
+        this.ctx.lineWidth = 8;
+        this.ctx.lineCap = 'round';
+        this.ctx.beginPath();
+        this.ctx.moveTo(pivotX, pivotY);
+        this.ctx.lineTo(pivotX, baseY);
+        this.ctx.stroke();
+
+        // Base
+        this.ctx.fillStyle = '#4B5563';
+        this.ctx.beginPath();
+        this.ctx.moveTo(pivotX - 50, baseY + 8);
+        this.ctx.lineTo(pivotX + 50, baseY + 8);
+        this.ctx.lineTo(pivotX + 30, baseY - 6);
+        this.ctx.lineTo(pivotX - 30, baseY - 6);
+        this.ctx.closePath();
+        this.ctx.fill();
+
+        // Pivot
+        this.ctx.fillStyle = '#F59E0B';
+        this.ctx.beginPath();
+        this.ctx.arc(pivotX, pivotY, 10, 0, Math.PI * 2);
+        this.ctx.fill();
+    }
+
+    /**
+     * Draw the beam with a pan hanging from each end
+     * @private
+     */
+    _drawBeam(pivotX, pivotY, beamLength, angle, tilt) {
+        const half = beamLength / 2;
+        const dx = Math.cos(angle) * half;
+        const dy = Math.sin(angle) * half;
+
+        // Positive tilt lowers the right end
+        const leftEnd = { x: pivotX - dx, y: pivotY - dy };
+        const rightEnd = { x: pivotX + dx, y: pivotY + dy };
+
+        // Beam turns red once it passes the threshold
+        const tipped = Math.abs(tilt) >= this.threshold;
+        this.ctx.strokeStyle = tipped ? '#EF4444' : '#8B7355';
+        this.ctx.lineWidth = 10;
+        this.ctx.lineCap = 'round';
+        this.ctx.beginPath();
+        this.ctx.moveTo(leftEnd.x, leftEnd.y);
+        this.ctx.lineTo(rightEnd.x, rightEnd.y);
+        this.ctx.stroke();
+
+        // Player 1 pan (left) - Red, Player 2 pan (right) - Blue
+        this._drawPan(leftEnd.x, leftEnd.y, '#EF4444', '🔴');
+        this._drawPan(rightEnd.x, rightEnd.y, '#3B82F6', '🔵');
+    }
+
+    /**
+     * Draw a single pan hanging from a beam end
+     * @private
+     */
+    _drawPan(x, y, color, marker) {
+        const chainLength = 45;
+        const panWidth = 90;
+        const panY = y + chainLength;
+
+        // Chains
+        this.ctx.strokeStyle = '#9CA3AF';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(x, y);
+        this.ctx.lineTo(x - panWidth / 2, panY);
+        this.ctx.moveTo(x, y);
+        this.ctx.lineTo(x + panWidth / 2, panY);
+        this.ctx.stroke();
+
+        // Pan bowl
+        this.ctx.fillStyle = color;
+        this.ctx.beginPath();
+        this.ctx.ellipse(x, panY, panWidth / 2, 12, 0, 0, Math.PI);
+        this.ctx.fill();
+
+        // Player marker
+        this.ctx.font = '28px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.fillText(marker, x, panY);
+    }
+
+    /**
+     * Draw dashed marks where each end of the beam reaches the threshold
+     * @private
+     */
+    _drawThresholdMarks(pivotX, pivotY, beamLength) {
+        const half = beamLength / 2;
+        const angle = (this.threshold / 10) * this.maxAngle;
+        const dx = Math.cos(angle) * half;
+        const dy = Math.sin(angle) * half;
+
+        this.ctx.strokeStyle = 'rgba(239, 68, 68, 0.35)';
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([5, 5]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(pivotX - dx - 20, pivotY + dy);
+        this.ctx.lineTo(pivotX - dx + 20, pivotY + dy);
+        this.ctx.moveTo(pivotX + dx - 20, pivotY + dy);
+        this.ctx.lineTo(pivotX + dx + 20, pivotY + dy);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+    }
+
+    /**
+     * Get current tilt
+     * @returns {number} Current tilt
+     */
+    getCurrentTilt() {
+        return this.currentTilt;
+    }
+
+    /**
+     * Cleanup - cancel animations and remove listeners
+     */
+    cleanup() {
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        window.removeEventListener('resize', this.resizeCanvas);
+        this.isAnimating = false;
+    }
+}
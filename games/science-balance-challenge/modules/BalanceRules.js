@@ -0,0 +1,50 @@
+/**
+ * BalanceRules.js
+ * Move and win rules for the balance scale
+ * The scale's tilt is kept in GameState's board position (ropePosition):
+ * negative tips Player 1's pan down, positive tips Player 2's pan down.
+ */
+
+export const TIP_STRENGTH = 2;       // Wrong answer tips own pan down 2 units
+export const RESTORE_STRENGTH = 1;   // Correct answer levels the scale 1 unit
+export const DEFAULT_TILT_THRESHOLD = 6;
+
+/**
+ * Wrong answers tip the scale toward the answering player,
+ * correct answers bring it back toward level
+ * @param {GameState} gameState - Game state
+ * @param {boolean} isCorrect - Whether the answer was correct
+ * @returns {number} New tilt
+ */
+export function tipMoveRule(gameState, isCorrect) {
+    const direction = gameState.currentPlayer === 1 ? -1 : 1;
+    let tilt = gameState.ropePosition;
+
+    if (isCorrect) {
+        // Move toward level without overshooting
+        const step = Math.min(RESTORE_STRENGTH, Math.abs(tilt));
+        tilt -= Math.sign(tilt) * step;
+    } else {
+        tilt += direction * TIP_STRENGTH;
+    }
+
+    gameState.ropePosition = Math.max(-10, Math.min(10, tilt));
+    return gameState.ropePosition;
+}
+
+/**
+ * The match ends once the scale passes the tilt threshold;
+ * the player whose pan stayed up wins
+ * @param {GameState} gameState - Game state
+ * @returns {string|null} Winner ('player1', 'player2') or null
+ */
+export function tiltWinRule(gameState) {
+    const threshold = gameState.settings.tiltThreshold || DEFAULT_TILT_THRESHOLD;
+
+    if (gameState.ropePosition <= -threshold) {
+        return 'player2';
+    } else if (gameState.ropePosition >= threshold) {
+        return 'player1';
+    }
+    return null;
+}
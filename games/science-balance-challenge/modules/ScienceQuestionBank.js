@@ -0,0 +1,141 @@
+/**
+ * ScienceQuestionBank.js
+ * Multiple-choice science questions grouped by topic (Grades 3-8)
+ * The first choice listed is the correct one; choices are shuffled on display.
+ */
+
+export const SCIENCE_QUESTIONS = {
+    physics: [
+        {
+            question: 'What force pulls objects toward the Earth?',
+            choices: ['Gravity', 'Magnetism', 'Friction', 'Electricity'],
+            explanation: 'Gravity pulls everything with mass toward the centre of the Earth.'
+        },
+        {
+            question: 'Which of these is a good conductor of electricity?',
+            choices: ['Copper', 'Rubber', 'Wood', 'Plastic'],
+            explanation: 'Metals like copper let electric current flow through them easily.'
+        },
+        {
+            question: 'What is the unit used to measure force?',
+            choices: ['Newton', 'Metre', 'Kilogram', 'Litre'],
+            explanation: 'Force is measured in newtons, named after Isaac Newton.'
+        },
+        {
+            question: 'What slows down a sliding box on the floor?',
+            choices: ['Friction', 'Gravity', 'Magnetism', 'Light'],
+            explanation: 'Friction acts between surfaces that rub together and slows motion.'
+        },
+        {
+            question: 'Light travels fastest through which of these?',
+            choices: ['A vacuum', 'Water', 'Glass', 'Air'],
+            explanation: 'Light is fastest in empty space, where nothing slows it down.'
+        },
+        {
+            question: 'What kind of energy does a moving car have?',
+            choices: ['Kinetic energy', 'Chemical energy', 'Nuclear energy', 'Sound energy'],
+            explanation: 'Kinetic energy is the energy of movement.'
+        }
+    ],
+    chemistry: [
+        {
+            question: 'What is the chemical formula for water?',
+            choices: ['H₂O', 'CO₂', 'O₂', 'NaCl'],
+            explanation: 'Each water molecule has two hydrogen atoms and one oxygen atom.'
+        },
+        {
+            question: 'What are the three common states of matter?',
+            choices: ['Solid, liquid, gas', 'Hot, warm, cold', 'Metal, wood, plastic', 'Rock, soil, sand'],
+            explanation: 'Matter is usually found as a solid, a liquid or a gas.'
+        },
+        {
+            question: 'What happens to water at 100 °C at sea level?',
+            choices: ['It boils', 'It freezes', 'It melts', 'Nothing changes'],
+            explanation: 'Water boils and turns into steam at 100 °C at sea level.'
+        },
+        {
+            question: 'Which gas do we need to breathe to stay alive?',
+            choices: ['Oxygen', 'Carbon dioxide', 'Helium', 'Nitrogen'],
+            explanation: 'Our bodies use oxygen to release energy from food.'
+        },
+        {
+            question: 'Rust forms when iron reacts with water and what?',
+            choices: ['Oxygen', 'Salt', 'Sunlight', 'Sand'],
+            explanation: 'Iron, water and oxygen react to make iron oxide, which we call rust.'
+        },
+        {
+            question: 'Lemon juice is an example of what?',
+            choices: ['An acid', 'A base', 'A metal', 'A gas'],
+            explanation: 'Lemon juice contains citric acid, which gives it a sour taste.'
+        }
+    ],
+    biology: [
+        {
+            question: 'What do plants need to make their own food?',
+            choices: ['Sunlight', 'Darkness', 'Sand', 'Salt'],
+            explanation: 'Plants use sunlight, water and carbon dioxide in photosynthesis.'
+        },
+        {
+            question: 'Which organ pumps blood around the body?',
+            choices: ['Heart', 'Lungs', 'Stomach', 'Brain'],
+            explanation: 'The heart is a muscle that pumps blood through blood vessels.'
+        },
+        {
+            question: 'What is the basic unit of all living things?',
+            choices: ['The cell', 'The atom', 'The organ', 'The bone'],
+            explanation: 'All living things are made of one or more cells.'
+        },
+        {
+            question: 'Which animal group has feathers?',
+            choices: ['Birds', 'Reptiles', 'Fish', 'Mammals'],
+            explanation: 'Birds are the only animals with feathers.'
+        },
+        {
+            question: 'What does a caterpillar turn into?',
+            choices: ['A butterfly', 'A spider', 'A beetle', 'A frog'],
+            explanation: 'Caterpillars change into butterflies or moths through metamorphosis.'
+        },
+        {
+            question: 'Which part of the plant takes in water from the soil?',
+            choices: ['Roots', 'Leaves', 'Flowers', 'Seeds'],
+            explanation: 'Roots absorb water and nutrients from the soil.'
+        }
+    ],
+    earth: [
+        {
+            question: 'What is the closest star to the Earth?',
+            choices: ['The Sun', 'The Moon', 'Polaris', 'Sirius'],
+            explanation: 'The Sun is a star, and it is much closer than any other.'
+        },
+        {
+            question: 'What causes day and night?',
+            choices: [
+                'The Earth spinning on its axis',
+                'The Sun moving around the Earth',
+                'The Moon blocking the Sun',
+                'Clouds covering the sky'
+            ],
+            explanation: 'As the Earth spins, each side turns toward and away from the Sun.'
+        },
+        {
+            question: 'What type of rock forms from cooled lava?',
+            choices: ['Igneous', 'Sedimentary', 'Metamorphic', 'Fossil'],
+            explanation: 'Igneous rock forms when melted rock cools and hardens.'
+        },
+        {
+            question: 'Which layer of the Earth do we live on?',
+            choices: ['The crust', 'The mantle', 'The outer core', 'The inner core'],
+            explanation: 'The crust is the thin, rocky outer layer of the Earth.'
+        },
+        {
+            question: 'What is it called when water vapour turns into liquid?',
+            choices: ['Condensation', 'Evaporation', 'Precipitation', 'Erosion'],
+            explanation: 'Condensation is how clouds and dew form.'
+        },
+        {
+            question: 'How long does the Earth take to orbit the Sun?',
+            choices: ['About one year', 'One day', 'One month', 'Ten years'],
+            explanation: 'One trip around the Sun takes about 365 days.'
+        }
+    ]
+};
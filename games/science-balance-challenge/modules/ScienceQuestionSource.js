@@ -0,0 +1,88 @@
+/**
+ * ScienceQuestionSource.js
+ * Serves multiple-choice science questions by topic
+ */
+
+import { SCIENCE_QUESTIONS } from './ScienceQuestionBank.js';
+
+export class ScienceQuestionSource {
+    constructor(questionBank = SCIENCE_QUESTIONS) {
+        this.questionBank = questionBank;
+
+        // Avoid repeating a question until the topic is exhausted
+        this.usedQuestions = new Set();
+    }
+
+    /**
+     * Pick the next question for the chosen topic
+     * @param {object} settings - Game settings (topic)
+     * @returns {object} Question object with text, answer, choices, operation and explanation
+     */
+    next(settings) {
+        const topic = this._resolveTopic(settings.topic);
+        const pool = this.questionBank[topic];
+        let available = pool.filter(item => !this.usedQuestions.has(item));
+
+        // Start over once every question has been used
+        if (available.length === 0) {
+            pool.forEach(item => this.usedQuestions.delete(item));
+            available = pool;
+        }
+
+        const item = available[Math.floor(Math.random() * available.length)];
+        this.usedQuestions.add(item);
+
+        return {
+            text: item.question,
+            answer: item.choices[0],
+            choices: this._shuffle([...item.choices]),
+            operation: topic,
+            explanation: item.explanation
+        };
+    }
+
+    /**
+     * Validate chosen answer
+     * @param {string} userAnswer - Chosen option
+     * @param {object} question - Current question
+     * @returns {boolean} True if correct
+     */
+    validate(userAnswer, question) {
+        if (userAnswer === '' || userAnswer === null || userAnswer === undefined) {
+            return false;
+        }
+        return userAnswer === question.answer;
+    }
+
+    /**
+     * Get topics in the question bank
+     * @returns {string[]} Topic names
+     */
+    getTopics() {
+        return Object.keys(this.questionBank);
+    }
+
+    /**
+     * Resolve 'mixed' or unknown topics to a real one
+     * @private
+     */
+    _resolveTopic(topic) {
+        if (this.questionBank[topic]) {
+            return topic;
+        }
+        const topics = this.getTopics();
+        return topics[Math.floor(Math.random() * topics.length)];
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     * @private
+     */
+    _shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+}
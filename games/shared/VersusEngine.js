@@ -0,0 +1,1438 @@
+/**
+ * VersusEngine.js
+ * Shared two-player versus engine for arena games
+ * Owns turn flow, timers, scoring, win checks and feedback delays.
+ * Each game plugs in a question source, a board renderer and a win rule.
+ * Questions may be grouped under a passage: the group opens with a reading
+ * phase (timer paused) and the player keeps the turn until it is finished.
+ * Games that give a storage key have their settings remembered, and the match in
+ * progress checkpointed after every question so it can be resumed after a reload.
+ * Games that give a console channel can be run from a teacher console in another
+ * window: it sends commands and the engine sends back its state after every change.
+ */
+
+import { ConsoleChannel } from './modules/ConsoleChannel.js';
+import { GameState } from './modules/GameState.js';
+import { GameStorage } from './modules/GameStorage.js';
+import { ScoreManager } from './modules/ScoreManager.js';
+import { SoundManager } from './modules/SoundManager.js';
+import { UIController } from './modules/UIController.js';
+
+/**
+ * Default move rule - correct answers pull toward the current player,
+ * wrong answers pull toward the opponent
+ * @param {GameState} gameState - Game state
+ * @param {boolean} isCorrect - Whether the answer was correct
+ * @returns {number} New board position
+ */
+export function pullMoveRule(gameState, isCorrect) {
+    return gameState.updateRopePosition(isCorrect);
+}
+
+/**
+ * Default win rule - board position reaches GameState.WIN_THRESHOLD
+ * @param {GameState} gameState - Game state
+ * @returns {string|null} Winner ('player1', 'player2') or null
+ */
+export function thresholdWinRule(gameState) {
+    return gameState.checkWinCondition();
+}
+
+// Answer passed on when the timer runs out
+export const TIMEOUT_ANSWER = '(timeout)';
+
+// Settings remembered between visits (games add their own in _getSavedSettingKeys)
+const SAVED_SETTINGS = [
+    'difficulty',
+    'timerEnabled',
+    'timerValue',
+    'questionLimitEnabled',
+    'questionLimit',
+    'soundEnabled',
+    'teacherMode'
+];
+
+export class VersusEngine {
+    /**
+     * @param {object} options - Game plug-ins
+     * @param {string} options.name - Game name (used for logging)
+     * @param {object} options.questionSource - Provides next(settings), validate(userAnswer, question)
+     *                                          and optionally format(question). Questions may carry a
+     *                                          display template with {?} for the blank. Grouped questions
+     *                                          carry passage {title, text}, passageStep and passageLength
+     * @param {function} options.createRenderer - (canvas) => board renderer with animateTo(position) and cleanup()
+     * @param {string} [options.canvasId] - Id of the board canvas element
+     * @param {function} [options.moveRule] - (gameState, isCorrect) => new board position
+     * @param {function} [options.winRule] - (gameState, scoreManager) => winner or null
+     * @param {number} [options.feedbackDelay] - Milliseconds to show feedback before the next question
+     * @param {string} [options.storageKey] - localStorage prefix for saved settings and match checkpoints
+     *                                        (none: nothing is saved)
+     * @param {string} [options.consoleChannel] - BroadcastChannel name for the teacher console
+     *                                            (none: no console)
+     */
+    constructor({
+        name,
+        questionSource,
+        createRenderer,
+        canvasId = 'boardCanvas',
+        moveRule = pullMoveRule,
+        winRule = thresholdWinRule,
+        feedbackDelay = 2000,
+        storageKey = null,
+        consoleChannel = null
+    }) {
+        this.name = name;
+        this.questionSource = questionSource;
+        this.createRenderer = createRenderer;
+        this.canvasId = canvasId;
+        this.moveRule = moveRule;
+        this.winRule = winRule;
+        this.feedbackDelay = feedbackDelay;
+
+        // Initialize shared modules
+        this.gameState = new GameState();
+        this.scoreManager = new ScoreManager();
+        this.soundManager = new SoundManager();
+        this.storage = storageKey ? new GameStorage(storageKey) : null;
+
+        // Teacher console link (opened in init)
+        this.consoleChannelName = consoleChannel;
+        this.consoleChannel = null;
+
+        // Timer state
+        this.timerInterval = null;
+        this.timeRemaining = 0;
+
+        // Pending move to the next question after feedback
+        this.nextQuestionTimeout = null;
+
+        // Reading phase (timer waits while a passage is read)
+        this.isReading = false;
+
+        // When the current question appeared (for response times), and when play was paused
+        this.questionStartedAt = null;
+        this.pausedAt = null;
+
+        // DOM elements (will be set in init)
+        this.elements = {};
+        this.uiController = null;
+        this.renderer = null;
+
+        // Bind methods
+        this.handleSubmit = this.handleSubmit.bind(this);
+        this.handleKeyPress = this.handleKeyPress.bind(this);
+    }
+
+    /**
+     * Initialize the game
+     */
+    async init() {
+        // Get all DOM elements
+        this._cacheElements();
+
+        // Initialize UI Controller
+        this.uiController = new UIController(this.elements);
+
+        // Initialize board renderer
+        this.renderer = this.createRenderer(this.elements.boardCanvas);
+
+        // Preload sounds
+        await this.soundManager.preloadSounds();
+
+        // Setup event listeners
+        this._setupEventListeners();
+
+        // Bring back the settings from last time
+        this._restoreSettings();
+
+        // Initialize UI
+        this._initializeUI();
+
+        // Offer to carry on with a match cut short by a reload
+        this._offerResume();
+
+        // Let a teacher console in another window run the match
+        if (this.consoleChannelName) {
+            this.consoleChannel = new ConsoleChannel(
+                this.consoleChannelName,
+                (message) => this._handleConsoleMessage(message)
+            );
+            this._notifyConsole();
+        }
+
+        console.log(`🎮 ${this.name} initialized!`);
+    }
+
+    /**
+     * Cache all DOM elements shared by versus games
+     * Games with extra controls extend this and add their own
+     * @private
+     */
+    _cacheElements() {
+        this.elements = {
+            // Game elements
+            boardCanvas: document.getElementById(this.canvasId),
+            questionDisplay: document.getElementById('questionDisplay'),
+            answerInput: document.getElementById('answerInput'),
+            submitBtn: document.getElementById('submitBtn'),
+            feedbackDisplay: document.getElementById('feedbackDisplay'),
+
+            // Passage (grouped questions)
+            passageDisplay: document.getElementById('passageDisplay'),
+            passageTitle: document.getElementById('passageTitle'),
+            passageText: document.getElementById('passageText'),
+            readyBtn: document.getElementById('readyBtn'),
+
+            // Player indicators
+            player1Indicator: document.getElementById('player1'),
+            player2Indicator: document.getElementById('player2'),
+
+            // Score displays
+            score1Display: document.getElementById('score1'),
+            score2Display: document.getElementById('score2'),
+            teacherScore1Display: document.getElementById('teacherScore1'),
+            teacherScore2Display: document.getElementById('teacherScore2'),
+
+            // Timer
+            timerDisplay: document.getElementById('timerDisplay'),
+
+            // Controls
+            startBtn: document.getElementById('startBtn'),
+            pauseBtn: document.getElementById('pauseBtn'),
+            resetBtn: document.getElementById('resetBtn'),
+            soundToggle: document.getElementById('soundToggle'),
+            teacherModeToggle: document.getElementById('teacherModeToggle'),
+
+            // Settings toggle
+            settingsToggle: document.getElementById('settingsToggle'),
+            settingsPanel: document.getElementById('settingsPanel'),
+            closeSettings: document.getElementById('closeSettings'),
+
+            // Settings
+            difficultySelect: document.getElementById('difficultySelect'),
+            timerToggle: document.getElementById('timerToggle'),
+            timerValueInput: document.getElementById('timerValue'),
+            questionLimitToggle: document.getElementById('questionLimitToggle'),
+            questionLimitInput: document.getElementById('questionLimit'),
+
+            // Overlays
+            winOverlay: document.getElementById('winOverlay'),
+            playAgainBtn: document.getElementById('playAgainBtn'),
+            resumePrompt: document.getElementById('resumePrompt'),
+            resumeSummary: document.getElementById('resumeSummary'),
+            resumeMatchBtn: document.getElementById('resumeMatchBtn'),
+            discardMatchBtn: document.getElementById('discardMatchBtn'),
+
+            // Views
+            gameContent: document.getElementById('gameContent'),
+            teacherView: document.getElementById('teacherView')
+        };
+    }
+
+    /**
+     * Setup all event listeners
+     * @private
+     */
+    _setupEventListeners() {
+        // Game controls
+        if (this.elements.submitBtn) {
+            this.elements.submitBtn.addEventListener('click', this.handleSubmit);
+            this.elements.submitBtn.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                this.handleSubmit();
+            });
+        }
+
+        if (this.elements.answerInput) {
+            this.elements.answerInput.addEventListener('keypress', this.handleKeyPress);
+        }
+
+        if (this.elements.readyBtn) {
+            this.elements.readyBtn.addEventListener('click', () => this.finishReading());
+        }
+
+        // Control buttons
+        if (this.elements.startBtn) {
+            this.elements.startBtn.addEventListener('click', () => this.startGame());
+        }
+
+        if (this.elements.pauseBtn) {
+            this.elements.pauseBtn.addEventListener('click', () => this.togglePause());
+        }
+
+        if (this.elements.resetBtn) {
+            this.elements.resetBtn.addEventListener('click', () => this.resetGame());
+        }
+
+        if (this.elements.soundToggle) {
+            this.elements.soundToggle.addEventListener('click', () => this.toggleSound());
+        }
+
+        if (this.elements.teacherModeToggle) {
+            this.elements.teacherModeToggle.addEventListener('click', () => this.toggleTeacherMode());
+        }
+
+        // Play again from win overlay
+        if (this.elements.playAgainBtn) {
+            this.elements.playAgainBtn.addEventListener('click', () => {
+                this.uiController.hideWinOverlay();
+                this.resetGame();
+                this.startGame();
+            });
+        }
+
+        // Resume or discard an interrupted match
+        if (this.elements.resumeMatchBtn) {
+            this.elements.resumeMatchBtn.addEventListener('click', () => this.resumeMatch());
+        }
+
+        if (this.elements.discardMatchBtn) {
+            this.elements.discardMatchBtn.addEventListener('click', () => this.discardMatch());
+        }
+
+        // Settings changes
+        this._setupSettingsListeners();
+
+        // Remember settings once the game's own listeners have applied a change
+        if (this.elements.settingsPanel) {
+            this.elements.settingsPanel.addEventListener('change', () => {
+                this._saveSettings();
+                this._notifyConsole();
+            });
+        }
+
+        // Settings panel toggle
+        if (this.elements.settingsToggle) {
+            this.elements.settingsToggle.addEventListener('click', () => this.toggleSettings());
+        }
+
+        if (this.elements.closeSettings) {
+            this.elements.closeSettings.addEventListener('click', () => this.toggleSettings());
+        }
+    }
+
+    /**
+     * Setup listeners for the shared settings controls
+     * Games with extra settings extend this and add their own
+     * @private
+     */
+    _setupSettingsListeners() {
+        if (this.elements.difficultySelect) {
+            this.elements.difficultySelect.addEventListener('change', (e) => {
+                this.gameState.updateSettings({ difficulty: e.target.value });
+            });
+        }
+
+        if (this.elements.timerToggle) {
+            this.elements.timerToggle.addEventListener('change', (e) => {
+                this.gameState.updateSettings({ timerEnabled: e.target.checked });
+            });
+        }
+
+        if (this.elements.timerValueInput) {
+            this.elements.timerValueInput.addEventListener('change', (e) => {
+                const value = parseInt(e.target.value);
+                if (value >= 5 && value <= 60) {
+                    this.gameState.updateSettings({ timerValue: value });
+                }
+            });
+        }
+
+        if (this.elements.questionLimitToggle) {
+            this.elements.questionLimitToggle.addEventListener('change', (e) => {
+                this.gameState.updateSettings({ questionLimitEnabled: e.target.checked });
+            });
+        }
+
+        if (this.elements.questionLimitInput) {
+            this.elements.questionLimitInput.addEventListener('change', (e) => {
+                const value = parseInt(e.target.value);
+                if (value >= 5 && value <= 100) {
+                    this.gameState.updateSettings({ questionLimit: value });
+                }
+            });
+        }
+    }
+
+    /**
+     * Initialize UI with default values
+     * @private
+     */
+    _initializeUI() {
+        this.uiController.displayScore(this.scoreManager.getScores());
+        this.uiController.updateCurrentPlayer(1);
+        this.uiController.setInputEnabled(false);
+        this.uiController.updateSoundToggle(this.soundManager.isEnabled());
+    }
+
+    /**
+     * Toggle settings panel visibility
+     */
+    toggleSettings() {
+        if (this.elements.settingsPanel) {
+            this.elements.settingsPanel.classList.toggle('open');
+        }
+    }
+
+    /**
+     * Hide settings panel
+     */
+    hideSettings() {
+        if (this.elements.settingsPanel) {
+            this.elements.settingsPanel.classList.remove('open');
+        }
+    }
+
+    /**
+     * Start the game
+     */
+    startGame() {
+        this._saveSettings();
+        this._beginMatch();
+
+        // Enable input
+        this.uiController.setInputEnabled(true);
+
+        // Generate first question
+        this.nextQuestion();
+    }
+
+    /**
+     * Lock the settings and put the game into play
+     * @private
+     */
+    _beginMatch() {
+        // Disable settings during game
+        this._setSettingsEnabled(false);
+
+        // Hide settings panel to focus on game
+        this.hideSettings();
+
+        // Start game state
+        this.gameState.start();
+
+        // Update button states
+        if (this.elements.startBtn) this.elements.startBtn.disabled = true;
+        if (this.elements.pauseBtn) this.elements.pauseBtn.disabled = false;
+    }
+
+    /**
+     * Get the next question from the question source and display it
+     */
+    nextQuestion() {
+        // Ask the question source for a question
+        this._showQuestion(this.questionSource.next(this._getQuestionSettings()));
+    }
+
+    /**
+     * Display a question for the current player and start its timer
+     * Games that decorate the question area extend this
+     * @private
+     * @param {object} question - Question from the question source
+     */
+    _showQuestion(question) {
+        // Store in state
+        this.gameState.setCurrentQuestion(question);
+
+        // Update UI
+        this.uiController.clearInput();
+        this.uiController.updateCurrentPlayer(this.gameState.currentPlayer);
+
+        // A new passage is read before its first question is shown
+        if (question.passage && question.passageStep === 0) {
+            this.startReading(question.passage);
+            this._saveCheckpoint();
+            this._notifyConsole();
+            return;
+        }
+
+        if (question.passage) {
+            this.uiController.showPassage(question.passage, false);
+        } else {
+            this.uiController.hidePassage();
+        }
+        this.uiController.updateQuestion(this.formatQuestion(question));
+        this.questionStartedAt = Date.now();
+
+        // Start timer if enabled
+        if (this.gameState.settings.timerEnabled) {
+            this.startTimer();
+        }
+
+        this._saveCheckpoint();
+        this._notifyConsole();
+    }
+
+    /**
+     * Start the reading phase for a passage
+     * The timer stays stopped and answers are ignored until finishReading()
+     * @param {object} passage - Passage {title, text}
+     */
+    startReading(passage) {
+        this.isReading = true;
+        this.stopTimer();
+        this.uiController.setInputEnabled(false);
+        this.uiController.showPassage(passage, true);
+        this.uiController.updateQuestion('📖 Read the passage, then press Ready!');
+    }
+
+    /**
+     * End the reading phase and show the passage's first question
+     */
+    finishReading() {
+        if (!this.isReading || this.gameState.gameStatus !== 'playing') return;
+
+        this.isReading = false;
+        this.uiController.showPassage(this.gameState.currentQuestion.passage, false);
+        this.uiController.updateQuestion(this.formatQuestion(this.gameState.currentQuestion));
+        this.uiController.setInputEnabled(true);
+        this.questionStartedAt = Date.now();
+
+        if (this.gameState.settings.timerEnabled) {
+            this.startTimer();
+        }
+    }
+
+    /**
+     * Settings handed to the question source for a player's next question,
+     * with that player's handicap difficulty
+     * Games that vary questions per player extend this
+     * @private
+     * @param {number} player - Player the question is for (default: current player)
+     * @returns {object} Question settings
+     */
+    _getQuestionSettings(player = this.gameState.currentPlayer) {
+        const { difficulty } = this.gameState.getHandicap(player);
+        return { ...this.gameState.settings, difficulty };
+    }
+
+    /**
+     * Name announced for a player (e.g. on the win overlay): their chosen name, or "Player N"
+     * Games with teams extend this
+     * @private
+     * @param {number} player - Player number
+     * @returns {string} Player name
+     */
+    _getPlayerLabel(player) {
+        return this.gameState.getPlayerProfile(player).name || `Player ${player}`;
+    }
+
+    /**
+     * Seconds since the current question appeared, not counting pauses
+     * @returns {number} Response time in seconds (0 before the first question)
+     */
+    getResponseTime() {
+        if (this.questionStartedAt === null) return 0;
+
+        const now = this.pausedAt || Date.now();
+        return Math.max(0, (now - this.questionStartedAt) / 1000);
+    }
+
+    /**
+     * Format a question for display
+     * @param {object} question - Question from the question source
+     * @returns {string} Display text ({?} marks the answer blank)
+     */
+    formatQuestion(question) {
+        if (this.questionSource.format) {
+            return this.questionSource.format(question);
+        }
+        return question.template || question.text;
+    }
+
+    /**
+     * Handle answer submission
+     */
+    handleSubmit() {
+        if (this.gameState.gameStatus !== 'playing') return;
+
+        // Get user answer
+        this.submitAnswer(this.elements.answerInput.value);
+    }
+
+    /**
+     * Check an answer from any input (text box, choice button, ...)
+     * @param {string} userAnswer - User's answer
+     */
+    submitAnswer(userAnswer) {
+        if (this.gameState.gameStatus !== 'playing' || this.isReading) return;
+
+        // Stop timer
+        this.stopTimer();
+
+        // Validate answer
+        const isCorrect = this.questionSource.validate(
+            userAnswer,
+            this.gameState.currentQuestion
+        );
+
+        // Process answer
+        this.processAnswer(isCorrect, userAnswer);
+    }
+
+    /**
+     * Process the answer (correct or wrong)
+     * @param {boolean} isCorrect - Whether answer was correct
+     * @param {string} userAnswer - User's answer
+     */
+    processAnswer(isCorrect, userAnswer = '') {
+        // Log the attempt for the review, then update stats and score
+        this._recordAttempt(this.gameState.currentQuestion, userAnswer, isCorrect, this.getResponseTime());
+        this._scoreAnswer(isCorrect, userAnswer === TIMEOUT_ANSWER);
+
+        // Show feedback
+        this.uiController.showFeedback(
+            isCorrect,
+            this.gameState.currentQuestion.answer,
+            userAnswer
+        );
+
+        // Move the board and stop if the match is over
+        if (this._applyMove(isCorrect)) {
+            return;
+        }
+
+        // Switch player and continue (a player keeps the turn until their passage is done)
+        const question = this.gameState.currentQuestion;
+        if (!question.passage || question.passageStep >= question.passageLength - 1) {
+            this.gameState.switchPlayer();
+        }
+
+        // The answer counts even if the page is reloaded before the next question
+        this._saveCheckpoint({ answered: true });
+        this._notifyConsole();
+
+        // Delay next question to show feedback
+        this.nextQuestionTimeout = setTimeout(() => {
+            this.nextQuestionTimeout = null;
+            if (this.gameState.gameStatus === 'playing') {
+                this.nextQuestion();
+            }
+        }, this.feedbackDelay);
+    }
+
+    /**
+     * Replace the current question with a new one for the same player, without scoring it
+     */
+    skipQuestion() {
+        if (this.gameState.gameStatus !== 'playing') return;
+
+        this.stopTimer();
+        clearTimeout(this.nextQuestionTimeout);
+        this.nextQuestionTimeout = null;
+        this.isReading = false;
+        this.uiController.setInputEnabled(true);
+        this.nextQuestion();
+    }
+
+    /**
+     * Pull the rope for or against a player outside the answers (a teacher's award or deduction)
+     * @param {number} player - Player number
+     * @param {number} pulls - Pulls toward the player, at their correct-answer strength (negative pulls away)
+     */
+    adjustPull(player, pulls) {
+        if (!['playing', 'paused'].includes(this.gameState.gameStatus)) return;
+
+        const { correctPull } = this.gameState.getHandicap(player);
+        this.renderer.animateTo(this.gameState.pullToward(player, pulls * correctPull));
+
+        const winner = this.winRule(this.gameState, this.scoreManager);
+        if (winner) {
+            this.handleWin(winner);
+            return;
+        }
+
+        this._saveCheckpoint();
+        this._notifyConsole();
+    }
+
+    /**
+     * Log an answer by the current player for the post-match review
+     * @private
+     * @param {object} question - Question that was answered
+     * @param {string} userAnswer - Answer given (TIMEOUT_ANSWER when time ran out)
+     * @param {boolean} isCorrect - Whether answer was correct
+     * @param {number} responseTime - Seconds taken
+     */
+    _recordAttempt(question, userAnswer, isCorrect, responseTime) {
+        const player = this.gameState.currentPlayer;
+        const timedOut = userAnswer === TIMEOUT_ANSWER;
+
+        this.gameState.recordAttempt({
+            player,
+            name: this._getAnswererLabel(player),
+            student: this._getStudentName(player),
+            question,
+            text: this.formatQuestion(question).split('{?}').join('?'),
+            operation: question.operation || '',
+            answer: timedOut ? '' : String(userAnswer),
+            correctAnswer: question.answer,
+            isCorrect,
+            responseTime: Math.round(responseTime * 10) / 10,
+            timedOut
+        });
+    }
+
+    /**
+     * Who answered, as shown in the answer log
+     * Games where someone other than the player answers (e.g. a team member) extend this
+     * @private
+     * @param {number} player - Player number
+     * @returns {string} Name
+     */
+    _getAnswererLabel(player) {
+        return this._getPlayerLabel(player);
+    }
+
+    /**
+     * Student whose progress an answer counts toward
+     * Games that keep per-student progress extend this
+     * @private
+     * @param {number} player - Player number
+     * @returns {string|null} Student name, or null when progress is not tracked
+     */
+    _getStudentName(player) {
+        return null;
+    }
+
+    /**
+     * Count an answer for the current player: stats, score, sound and score display
+     * @private
+     * @param {boolean} isCorrect - Whether answer was correct
+     * @param {boolean} [isTimeout] - Whether the timer ran out instead
+     */
+    _scoreAnswer(isCorrect, isTimeout = false) {
+        // Update stats
+        this.gameState.updateStats(isCorrect, isTimeout);
+
+        // Update score if correct
+        if (isCorrect) {
+            this.scoreManager.updateScore(this.gameState.currentPlayer);
+            this.soundManager.playCorrect();
+        } else {
+            this.soundManager.playWrong();
+        }
+
+        // Update score display
+        this.uiController.displayScore(this.scoreManager.getScores());
+    }
+
+    /**
+     * Move the board for the current player's answer, then check for a winner
+     * @private
+     * @param {boolean} isCorrect - Whether answer was correct
+     * @returns {boolean} True when the match has ended
+     */
+    _applyMove(isCorrect) {
+        // Move the board
+        const newPosition = this.moveRule(this.gameState, isCorrect);
+        this.renderer.animateTo(newPosition);
+
+        // Check win condition (board position)
+        const winner = this.winRule(this.gameState, this.scoreManager);
+        if (winner) {
+            this.handleWin(winner);
+            return true;
+        }
+
+        // Check question limit
+        if (this.gameState.settings.questionLimitEnabled) {
+            if (this.gameState.stats.totalQuestions >= this.gameState.settings.questionLimit) {
+                // Game ends - determine winner by score
+                const scoreWinner = this.scoreManager.determineWinner();
+                if (scoreWinner === 'tie') {
+                    // In case of tie, continue playing
+                    console.log('Tie game - continuing...');
+                } else {
+                    this.handleWin(scoreWinner);
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Handle keypress in answer input (Enter to submit)
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeyPress(e) {
+        if (e.key === 'Enter') {
+            this.handleSubmit();
+        }
+    }
+
+    /**
+     * Start countdown timer
+     */
+    startTimer() {
+        this.stopTimer(); // Clear any existing timer
+
+        this.timeRemaining = this.gameState.getHandicap(this.gameState.currentPlayer).timerValue;
+        this.uiController.updateTimer(this.timeRemaining);
+
+        this.timerInterval = setInterval(() => {
+            this.timeRemaining--;
+            this.uiController.updateTimer(this.timeRemaining);
+
+            if (this.timeRemaining <= 0) {
+                this.handleTimeout();
+            }
+        }, 1000);
+    }
+
+    /**
+     * Stop countdown timer
+     */
+    stopTimer() {
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+    }
+
+    /**
+     * Handle timer timeout
+     */
+    handleTimeout() {
+        this.stopTimer();
+        this.processAnswer(false, TIMEOUT_ANSWER);
+    }
+
+    /**
+     * Toggle pause/resume
+     */
+    togglePause() {
+        if (this.gameState.gameStatus === 'playing') {
+            this.gameState.pause();
+            this.pausedAt = Date.now();
+            this.stopTimer();
+            this.uiController.setInputEnabled(false);
+            if (this.elements.pauseBtn) {
+                this.elements.pauseBtn.textContent = 'Resume';
+            }
+        } else if (this.gameState.gameStatus === 'paused') {
+            this.gameState.resume();
+
+            // The clock on the current answer stood still while paused
+            if (this.questionStartedAt !== null && this.pausedAt !== null) {
+                this.questionStartedAt += Date.now() - this.pausedAt;
+            }
+            this.pausedAt = null;
+
+            if (this.isReading) {
+                // Still reading - the timer waits for Ready
+                if (this.elements.pauseBtn) {
+                    this.elements.pauseBtn.textContent = 'Pause';
+                }
+                this._notifyConsole();
+                return;
+            }
+            this.uiController.setInputEnabled(true);
+            if (this.gameState.settings.timerEnabled) {
+                this.startTimer();
+            }
+            if (this.elements.pauseBtn) {
+                this.elements.pauseBtn.textContent = 'Pause';
+            }
+        }
+        this._notifyConsole();
+    }
+
+    /**
+     * Reset game to initial state
+     */
+    resetGame() {
+        // Stop timer
+        this.stopTimer();
+        clearTimeout(this.nextQuestionTimeout);
+        this.nextQuestionTimeout = null;
+        this.isReading = false;
+        this.questionStartedAt = null;
+        this.pausedAt = null;
+
+        // The match is over, so there is nothing to resume
+        if (this.storage) {
+            this.storage.clearCheckpoint();
+        }
+
+        // Reset all modules, keeping the chosen settings
+        const settings = this.gameState.settings;
+        this.gameState.reset();
+        this.gameState.updateSettings(settings);
+        this.gameState.ropePosition = this.gameState.getStartPosition();
+        this.scoreManager.reset();
+
+        // Reset board position
+        this.resetBoard();
+
+        // Reset UI
+        this.uiController.displayScore(this.scoreManager.getScores());
+        this.uiController.updateCurrentPlayer(1);
+        this.uiController.clearInput();
+        this.uiController.setInputEnabled(false);
+        this.uiController.hideWinOverlay();
+        this.uiController.hidePassage();
+
+        if (this.elements.questionDisplay) {
+            this.elements.questionDisplay.textContent = 'Press Start to Begin!';
+        }
+
+        // Enable settings
+        this._setSettingsEnabled(true);
+
+        // Reset buttons
+        if (this.elements.startBtn) this.elements.startBtn.disabled = false;
+        if (this.elements.pauseBtn) {
+            this.elements.pauseBtn.disabled = true;
+            this.elements.pauseBtn.textContent = 'Pause';
+        }
+
+        this._notifyConsole();
+    }
+
+    /**
+     * Return the board to its starting position
+     */
+    resetBoard() {
+        this.renderer.animateTo(this.gameState.ropePosition);
+    }
+
+    /**
+     * Handle win condition
+     * @param {string} winner - 'player1' or 'player2'
+     */
+    handleWin(winner) {
+        this.gameState.end();
+        this.stopTimer();
+        if (this.storage) {
+            this.storage.clearCheckpoint();
+        }
+        this.uiController.setInputEnabled(false);
+
+        // Play win sound
+        this.soundManager.playWin();
+
+        // Show win overlay
+        this.uiController.showWinOverlay(
+            winner,
+            this.scoreManager.getScores(),
+            this._getPlayerLabel(parseInt(winner.replace('player', ''), 10))
+        );
+
+        console.log(`🏆 ${winner} wins!`, this.gameState.getState());
+        this._notifyConsole();
+    }
+
+    /**
+     * Toggle sound on/off
+     */
+    toggleSound() {
+        const enabled = this.soundManager.toggleSound();
+        this.uiController.updateSoundToggle(enabled);
+        this.gameState.updateSettings({ soundEnabled: enabled });
+        this._saveSettings();
+    }
+
+    /**
+     * Toggle teacher mode
+     */
+    toggleTeacherMode() {
+        const teacherMode = this.gameState.settings.teacherMode || false;
+        const newMode = !teacherMode;
+        this.gameState.updateSettings({ teacherMode: newMode });
+        this.uiController.toggleTeacherMode(newMode);
+        this._saveSettings();
+    }
+
+    /**
+     * Carry on with the match saved before the page was reloaded
+     * It comes back paused, so everyone can get ready before pressing Resume
+     */
+    resumeMatch() {
+        const checkpoint = this.storage ? this.storage.loadCheckpoint() : null;
+        this._hideResumePrompt();
+        if (!checkpoint) return;
+
+        this.resetGame();
+        this.gameState.updateSettings(checkpoint.settings);
+        this._showSettings();
+        this._restoreCheckpoint(checkpoint);
+    }
+
+    /**
+     * Throw away the saved match and start afresh
+     */
+    discardMatch() {
+        if (this.storage) {
+            this.storage.clearCheckpoint();
+        }
+        this._hideResumePrompt();
+    }
+
+    /**
+     * Carry out a command from the teacher console
+     * @param {object} message - Command {command, player, settings}
+     */
+    runConsoleCommand({ command, player, settings }) {
+        const status = this.gameState.gameStatus;
+
+        switch (command) {
+            case 'start':
+                if (status === 'ended') {
+                    this.resetGame();
+                }
+                if (this.gameState.gameStatus === 'idle') {
+                    this.startGame();
+                }
+                break;
+            case 'pause':
+                this.togglePause();
+                break;
+            case 'reset':
+                this.resetGame();
+                break;
+            case 'skip':
+                this.skipQuestion();
+                break;
+            case 'award':
+                this.adjustPull(player, 1);
+                break;
+            case 'deduct':
+                this.adjustPull(player, -1);
+                break;
+            case 'settings':
+                this.changeSettings(settings || {});
+                break;
+        }
+    }
+
+    /**
+     * Change settings from the teacher console, even mid-match; they apply from the next question
+     * Only settings that can safely change between questions are taken (see _getLiveSettingControls),
+     * and only values their control could have given; anything else is ignored
+     * @param {object} changes - Settings to change
+     */
+    changeSettings(changes) {
+        const controls = this._getLiveSettingControls();
+        const settings = {};
+        Object.entries(controls).forEach(([key, control]) => {
+            if (!(key in changes)) return;
+
+            const value = key === 'timerValue' ? parseInt(changes[key]) : changes[key];
+            if (key === 'timerValue' && !(value >= 5 && value <= 60)) return;
+            if (this._isControlValue(control, value)) {
+                settings[key] = value;
+            }
+        });
+
+        this.gameState.updateSettings(settings);
+        Object.entries(settings).forEach(([key, value]) => {
+            const control = controls[key];
+            if (!control) return;
+            if (control.type === 'checkbox') {
+                control.checked = value;
+            } else {
+                control.value = value;
+            }
+        });
+
+        // Turning the timer off helps the player now, not from the next question
+        if (settings.timerEnabled === false) {
+            this.stopTimer();
+        }
+        if (typeof changes.soundEnabled === 'boolean' && changes.soundEnabled !== this.soundManager.isEnabled()) {
+            this.toggleSound();
+        }
+
+        this._saveSettings();
+        this._notifyConsole();
+    }
+
+    /**
+     * Whether a control could have given a value: a checkbox gives true or false,
+     * a select one of its options and a number input a number
+     * @private
+     * @param {HTMLElement} control - Settings control
+     * @param {*} value - Value to check
+     * @returns {boolean} True when the value is allowed
+     */
+    _isControlValue(control, value) {
+        if (!control) return false;
+
+        if (control.type === 'checkbox') {
+            return typeof value === 'boolean';
+        }
+        if (control.options) {
+            return [...control.options].some(option => option.value === value);
+        }
+        if (control.type === 'number') {
+            return Number.isFinite(value);
+        }
+        return typeof value === 'string';
+    }
+
+    /**
+     * Load saved settings into the game and its controls
+     * @private
+     */
+    _restoreSettings() {
+        if (!this.storage) return;
+
+        const saved = this.storage.loadSettings();
+        const settings = {};
+        if (this._hasShapeOf(saved, {})) {
+            // Stale or damaged values are dropped, so their defaults stay
+            this._getSavedSettingKeys().forEach(key => {
+                if (key in saved && this._isSavedSettingValue(key, saved[key])) {
+                    settings[key] = saved[key];
+                }
+            });
+        }
+
+        this.gameState.updateSettings(settings);
+        this._showSettings();
+    }
+
+    /**
+     * Whether a saved setting can be used: it has its default's type and shape, and its
+     * control (if it has one) could have given it
+     * Games with settings that need more checking extend this
+     * @private
+     * @param {string} key - Setting name
+     * @param {*} value - Saved value
+     * @returns {boolean} True when the value is usable
+     */
+    _isSavedSettingValue(key, value) {
+        const control = this._getSavedSettingControls()[key];
+        if (control && !this._isControlValue(control, value)) {
+            return false;
+        }
+        return this._hasShapeOf(value, this.gameState.settings[key]);
+    }
+
+    /**
+     * Whether a value has the same type as a default, and for objects the same keys
+     * with values of the same shape (arrays match any array; no default matches anything)
+     * @private
+     * @param {*} value - Value to check
+     * @param {*} fallback - Default value
+     * @returns {boolean} True when the shapes match
+     */
+    _hasShapeOf(value, fallback) {
+        if (fallback === undefined) {
+            return true;
+        }
+        if (Array.isArray(fallback)) {
+            return Array.isArray(value);
+        }
+        if (fallback !== null && typeof fallback === 'object') {
+            return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+                Object.keys(fallback).every(key => this._hasShapeOf(value[key], fallback[key]));
+        }
+        if (typeof fallback === 'number') {
+            return Number.isFinite(value);
+        }
+        return typeof value === typeof fallback;
+    }
+
+    /**
+     * Controls for the saved settings, by setting name, so restored values can be
+     * checked against them (the ones the teacher console can change, by default)
+     * @private
+     * @returns {object} Controls by setting name
+     */
+    _getSavedSettingControls() {
+        return this._getLiveSettingControls();
+    }
+
+    /**
+     * Remember the current settings for next time
+     * @private
+     */
+    _saveSettings() {
+        if (!this.storage) return;
+
+        const settings = {};
+        this._getSavedSettingKeys().forEach(key => {
+            settings[key] = this.gameState.settings[key];
+        });
+
+        try {
+            this.storage.saveSettings(settings);
+        } catch (error) {
+            console.warn(error.message);
+        }
+    }
+
+    /**
+     * Names of the settings remembered between visits
+     * Games with extra settings extend this list
+     * @private
+     * @returns {string[]} Setting names
+     */
+    _getSavedSettingKeys() {
+        return [...SAVED_SETTINGS];
+    }
+
+    /**
+     * Make the settings controls, sound and view match the current settings
+     * Games with extra settings extend this
+     * @private
+     */
+    _showSettings() {
+        const { settings } = this.gameState;
+
+        if (this.elements.difficultySelect) this.elements.difficultySelect.value = settings.difficulty;
+        if (this.elements.timerToggle) this.elements.timerToggle.checked = settings.timerEnabled;
+        if (this.elements.timerValueInput) this.elements.timerValueInput.value = settings.timerValue;
+        if (this.elements.questionLimitToggle) {
+            this.elements.questionLimitToggle.checked = settings.questionLimitEnabled;
+        }
+        if (this.elements.questionLimitInput) this.elements.questionLimitInput.value = settings.questionLimit;
+
+        this.soundManager.setEnabled(settings.soundEnabled);
+        this.uiController.updateSoundToggle(settings.soundEnabled);
+        if (settings.teacherMode) {
+            this.uiController.toggleTeacherMode(true);
+        }
+    }
+
+    /**
+     * Save the match in progress so it can be resumed after a reload
+     * @private
+     * @param {object} [options] - Checkpoint options
+     * @param {boolean} [options.answered] - The current question has been answered (a new one is due)
+     */
+    _saveCheckpoint({ answered = false } = {}) {
+        if (!this.storage || this.gameState.gameStatus !== 'playing') return;
+
+        const checkpoint = this._getCheckpoint();
+        if (answered) {
+            checkpoint.question = null;
+        }
+
+        try {
+            this.storage.saveCheckpoint(checkpoint);
+        } catch (error) {
+            console.warn(error.message);
+        }
+    }
+
+    /**
+     * Everything needed to pick the match up again
+     * Games with extra match state extend this
+     * @private
+     * @returns {object} Checkpoint
+     */
+    _getCheckpoint() {
+        return {
+            savedAt: Date.now(),
+            settings: { ...this.gameState.settings },
+            currentPlayer: this.gameState.currentPlayer,
+            ropePosition: this.gameState.ropePosition,
+            scores: this.scoreManager.getScores(),
+            stats: { ...this.gameState.stats },
+            attempts: this.gameState.attempts,
+            question: this.gameState.currentQuestion
+        };
+    }
+
+    /**
+     * Put a checkpoint back into play, paused on its question
+     * Games with extra match state extend this
+     * @private
+     * @param {object} checkpoint - Checkpoint from _getCheckpoint()
+     */
+    _restoreCheckpoint(checkpoint) {
+        this.gameState.currentPlayer = checkpoint.currentPlayer;
+        this.gameState.ropePosition = checkpoint.ropePosition;
+        this.gameState.stats = { ...this.gameState.stats, ...checkpoint.stats };
+        this.gameState.attempts = [...(checkpoint.attempts || [])];
+        this.scoreManager.setScores(checkpoint.scores);
+
+        this.resetBoard();
+        this.uiController.displayScore(this.scoreManager.getScores());
+
+        this._beginMatch();
+        this.uiController.setInputEnabled(true);
+        this._resumeQuestion(checkpoint);
+
+        // Wait for Resume (timer and computer start from there)
+        this.togglePause();
+    }
+
+    /**
+     * Show the checkpoint's question again, or deal the next one if it had been answered
+     * @private
+     * @param {object} checkpoint - Checkpoint being restored
+     */
+    _resumeQuestion(checkpoint) {
+        if (checkpoint.question) {
+            this._showQuestion(checkpoint.question);
+        } else {
+            this.nextQuestion();
+        }
+    }
+
+    /**
+     * Ask whether to carry on with a saved match
+     * @private
+     */
+    _offerResume() {
+        const checkpoint = this.storage ? this.storage.loadCheckpoint() : null;
+        if (!checkpoint || !this.elements.resumePrompt) return;
+
+        if (this.elements.resumeSummary) {
+            const scores = Object.values(checkpoint.scores || {}).join(' - ');
+            const answered = checkpoint.stats ? checkpoint.stats.totalQuestions : 0;
+            const savedAt = new Date(checkpoint.savedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            this.elements.resumeSummary.textContent =
+                `Score ${scores} after ${answered} question${answered === 1 ? '' : 's'} (saved at ${savedAt}).`;
+        }
+        this.elements.resumePrompt.style.display = 'flex';
+    }
+
+    /**
+     * Close the resume prompt
+     * @private
+     */
+    _hideResumePrompt() {
+        if (this.elements.resumePrompt) {
+            this.elements.resumePrompt.style.display = 'none';
+        }
+    }
+
+    /**
+     * Answer the teacher console: carry out its command, then send the new state
+     * @private
+     * @param {object} message - Message from the console
+     */
+    _handleConsoleMessage(message) {
+        if (message.type === 'command') {
+            this.runConsoleCommand(message);
+        }
+        this._notifyConsole();
+    }
+
+    /**
+     * Send the current state to the teacher console
+     * @private
+     */
+    _notifyConsole() {
+        if (!this.consoleChannel || !this.gameState.settings) return;
+
+        this.consoleChannel.send({ type: 'state', state: this._getConsoleState() });
+    }
+
+    /**
+     * What the teacher console shows: status, the question being answered (with its answer),
+     * scores, rope, per-player stats, live settings and the latest answers
+     * Games with extra match state extend this
+     * @private
+     * @returns {object} Console state
+     */
+    _getConsoleState() {
+        const { settings, attempts } = this.gameState;
+        const status = this.gameState.gameStatus;
+        const question = this.gameState.currentQuestion;
+
+        const players = [];
+        for (let player = 1; player <= settings.playerCount; player++) {
+            const answers = attempts.filter(attempt => attempt.player === player);
+            const correct = answers.filter(attempt => attempt.isCorrect).length;
+            const totalTime = answers.reduce((sum, attempt) => sum + attempt.responseTime, 0);
+            players.push({
+                player,
+                name: this._getPlayerLabel(player),
+                answered: answers.length,
+                correct,
+                averageTime: answers.length > 0 ? Math.round((totalTime / answers.length) * 10) / 10 : 0
+            });
+        }
+
+        const liveSettings = { soundEnabled: this.soundManager.isEnabled() };
+        Object.keys(this._getLiveSettingControls()).forEach(key => {
+            liveSettings[key] = settings[key];
+        });
+
+        const isAsking = ['playing', 'paused'].includes(status) && question && question.text;
+        return {
+            game: this.name,
+            status,
+            currentPlayer: this.gameState.currentPlayer,
+            ropePosition: this.gameState.ropePosition,
+            winThreshold: this.gameState.WIN_THRESHOLD,
+            scores: this.scoreManager.getScores(),
+            totalQuestions: this.gameState.stats.totalQuestions,
+            players,
+            questions: isAsking ? [{
+                player: this.gameState.currentPlayer,
+                text: this.formatQuestion(question).split('{?}').join('?'),
+                answer: question.answer
+            }] : [],
+            settings: liveSettings,
+            recent: attempts.slice(-5).reverse().map(({ name, text, answer, correctAnswer, isCorrect, timedOut }) =>
+                ({ name, text, answer, correctAnswer, isCorrect, timedOut }))
+        };
+    }
+
+    /**
+     * Settings the teacher console can change mid-match, with the control showing each
+     * Games with extra live settings extend this
+     * @private
+     * @returns {object} Controls by setting name
+     */
+    _getLiveSettingControls() {
+        return {
+            difficulty: this.elements.difficultySelect,
+            timerEnabled: this.elements.timerToggle,
+            timerValue: this.elements.timerValueInput
+        };
+    }
+
+    /**
+     * Settings controls locked while a match is running
+     * Games with extra settings extend this list
+     * @private
+     * @returns {HTMLElement[]} Settings elements
+     */
+    _getSettingsControls() {
+        return [
+            this.elements.difficultySelect,
+            this.elements.timerToggle,
+            this.elements.timerValueInput
+        ];
+    }
+
+    /**
+     * Enable/disable settings controls
+     * @private
+     */
+    _setSettingsEnabled(enabled) {
+        this._getSettingsControls().forEach(el => {
+            if (el) el.disabled = !enabled;
+        });
+    }
+
+    /**
+     * Cleanup - called when page is unloaded
+     */
+    cleanup() {
+        this.stopTimer();
+        if (this.consoleChannel) {
+            this.consoleChannel.send({ type: 'closed' });
+            this.consoleChannel.close();
+        }
+        if (this.renderer) {
+            this.renderer.cleanup();
+        }
+        if (this.soundManager) {
+            this.soundManager.cleanup();
+        }
+        if (this.gameState) {
+            this.gameState.destroy();
+        }
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * AdaptiveDifficulty.js
+ * Moves each player up or down a ladder of levels during a match,
+ * based on their recent accuracy and response time
+ */
+
+export class AdaptiveDifficulty {
+    /**
+     * @param {object[]} levels - Level ladder, easiest first (any shape; handed back by getLevel)
+     * @param {object} options - Tuning
+     * @param {number} options.windowSize - How many recent answers are judged
+     * @param {number} options.minAnswers - Answers needed at a level before it can change
+     * @param {number} options.fastSeconds - Correct answers at or under this count as quick
+     */
+    constructor(levels, { windowSize = 5, minAnswers = 3, fastSeconds = 10 } = {}) {
+        this.levels = levels;
+        this.windowSize = windowSize;
+        this.minAnswers = minAnswers;
+        this.fastSeconds = fastSeconds;
+
+        this.reset();
+    }
+
+    /**
+     * Put every player back on the starting level
+     * @param {number} startLevel - Index of the starting level
+     */
+    reset(startLevel = 0) {
+        this.startLevel = this._clamp(startLevel);
+        this.players = {};
+    }
+
+    /**
+     * Put a player on a level (e.g. a handicapped starting level)
+     * @param {number} player - Player number
+     * @param {number} index - Index of the level
+     */
+    setLevel(player, index) {
+        const state = this._getPlayer(player);
+        state.level = this._clamp(index);
+        state.recent = [];
+    }
+
+    /**
+     * Current level for a player
+     * @param {number} player - Player number
+     * @returns {object} Level from the ladder, plus its number (1 = easiest)
+     */
+    getLevel(player) {
+        const index = this._getPlayer(player).level;
+        return { ...this.levels[index], number: index + 1 };
+    }
+
+    /**
+     * Record an answer and move the player up or down if the evidence is clear:
+     * up after mostly quick, correct answers, down after mostly wrong ones
+     * @param {number} player - Player number
+     * @param {boolean} isCorrect - Whether the answer was correct
+     * @param {number} responseTime - Seconds taken to answer
+     * @param {number} fastSeconds - Quick-answer limit for this player (default: this.fastSeconds)
+     * @returns {number} Level change: 1 (up), -1 (down) or 0
+     */
+    record(player, isCorrect, responseTime, fastSeconds = this.fastSeconds) {
+        const state = this._getPlayer(player);
+        state.recent.push({ isCorrect, responseTime });
+        if (state.recent.length > this.windowSize) {
+            state.recent.shift();
+        }
+
+        if (state.recent.length < this.minAnswers) {
+            return 0;
+        }
+
+        const correct = state.recent.filter(answer => answer.isCorrect);
+        const accuracy = correct.length / state.recent.length;
+        const averageTime = correct.length > 0
+            ? correct.reduce((sum, answer) => sum + answer.responseTime, 0) / correct.length
+            : Infinity;
+
+        let change = 0;
+        if (accuracy >= 0.8 && averageTime <= fastSeconds) {
+            change = 1;
+        } else if (accuracy < 0.5) {
+            change = -1;
+        }
+
+        const level = this._clamp(state.level + change);
+        if (level === state.level) {
+            return 0;
+        }
+
+        // Judge the new level on fresh answers only
+        state.level = level;
+        state.recent = [];
+        return change;
+    }
+
+    /**
+     * Each player's level and recent answers, for saving
+     * @returns {object} Player records
+     */
+    toJSON() {
+        return JSON.parse(JSON.stringify(this.players));
+    }
+
+    /**
+     * Carry on from saved player records
+     * @param {object} players - As returned by toJSON()
+     */
+    restore(players) {
+        this.players = JSON.parse(JSON.stringify(players || {}));
+    }
+
+    /**
+     * Get (or start) a player's record
+     * @private
+     */
+    _getPlayer(player) {
+        if (!this.players[player]) {
+            this.players[player] = { level: this.startLevel, recent: [] };
+        }
+        return this.players[player];
+    }
+
+    /**
+     * Keep a level index on the ladder
+     * @private
+     */
+    _clamp(index) {
+        return Math.max(0, Math.min(this.levels.length - 1, index));
+    }
+}
@@ -0,0 +1,30 @@
+/**
+ * Avatars.js
+ * Bundled characters and team colours players can choose before a match
+ */
+
+export const AVATARS = [
+    { emoji: '🦁', label: 'Lion' },
+    { emoji: '🐯', label: 'Tiger' },
+    { emoji: '🐼', label: 'Panda' },
+    { emoji: '🦊', label: 'Fox' },
+    { emoji: '🐸', label: 'Frog' },
+    { emoji: '🐵', label: 'Monkey' },
+    { emoji: '🐧', label: 'Penguin' },
+    { emoji: '🐙', label: 'Octopus' },
+    { emoji: '🦄', label: 'Unicorn' },
+    { emoji: '🦖', label: 'Dinosaur' },
+    { emoji: '🤖', label: 'Robot' },
+    { emoji: '🚀', label: 'Rocket' }
+];
+
+export const TEAM_COLORS = [
+    { name: 'Red', value: '#EF4444' },
+    { name: 'Blue', value: '#3B82F6' },
+    { name: 'Green', value: '#10B981' },
+    { name: 'Amber', value: '#F59E0B' },
+    { name: 'Purple', value: '#8B5CF6' },
+    { name: 'Pink', value: '#EC4899' },
+    { name: 'Teal', value: '#14B8A6' },
+    { name: 'Orange', value: '#F97316' }
+];
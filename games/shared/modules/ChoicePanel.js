@@ -0,0 +1,58 @@
+/**
+ * ChoicePanel.js
+ * Renders multiple-choice answer buttons and reveals the result
+ */
+
+export class ChoicePanel {
+    /**
+     * @param {HTMLElement} container - Element that holds the choice buttons
+     */
+    constructor(container) {
+        this.container = container;
+    }
+
+    /**
+     * Render one button per answer choice
+     * @param {string[]} choices - Options to show
+     * @param {function} onChoose - Called with the chosen option
+     */
+    render(choices, onChoose) {
+        if (!this.container) return;
+
+        this.container.innerHTML = '';
+        choices.forEach(choice => {
+            const button = document.createElement('button');
+            button.className = 'choice-btn';
+            button.textContent = choice;
+            button.addEventListener('click', () => onChoose(choice));
+            this.container.appendChild(button);
+        });
+    }
+
+    /**
+     * Lock buttons and highlight the correct and chosen options
+     * @param {string} correctAnswer - Correct option
+     * @param {string} userAnswer - Chosen option
+     */
+    reveal(correctAnswer, userAnswer) {
+        if (!this.container) return;
+
+        this.container.querySelectorAll('.choice-btn').forEach(button => {
+            button.disabled = true;
+            if (button.textContent === correctAnswer) {
+                button.classList.add('correct');
+            } else if (button.textContent === userAnswer) {
+                button.classList.add('wrong');
+            }
+        });
+    }
+
+    /**
+     * Remove all choice buttons
+     */
+    clear() {
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+    }
+}
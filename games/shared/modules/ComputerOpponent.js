@@ -0,0 +1,142 @@
+/**
+ * ComputerOpponent.js
+ * Computer player for solo practice: thinks for a while, then types its answer
+ * into an answer box and submits it like a human would
+ */
+
+// Milliseconds between typed characters
+const TYPING_DELAY = 180;
+
+// Shown in the answer box while the computer thinks
+const THINKING_TEXT = '🤖 Thinking…';
+
+export class ComputerOpponent {
+    /**
+     * @param {object} skill - How well the computer plays
+     * @param {number} skill.accuracy - Percentage of questions answered correctly (0-100)
+     * @param {number} skill.minThink - Shortest thinking time in seconds
+     * @param {number} skill.maxThink - Longest thinking time in seconds
+     */
+    constructor({ accuracy = 70, minThink = 2, maxThink = 6 } = {}) {
+        this.setSkill({ accuracy, minThink, maxThink });
+        this.timeouts = [];
+        this.input = null;
+        this.placeholder = '';
+    }
+
+    /**
+     * Change how well the computer plays
+     * @param {{accuracy: number, minThink: number, maxThink: number}} skill - Accuracy % and thinking range (s)
+     */
+    setSkill({ accuracy, minThink, maxThink }) {
+        this.accuracy = Math.max(0, Math.min(100, accuracy));
+        this.minThink = Math.max(0, Math.min(minThink, maxThink));
+        this.maxThink = Math.max(minThink, maxThink);
+    }
+
+    /**
+     * Answer a question: think, type the answer into the input, then submit
+     * @param {object} question - Question with its answer
+     * @param {HTMLInputElement} input - Answer box to type into
+     * @param {function} submit - Called once the answer is typed
+     */
+    play(question, input, submit) {
+        this.cancel();
+        this.input = input;
+        this.placeholder = input.placeholder;
+
+        const answer = this.chooseAnswer(question.answer);
+        const thinkMs = (this.minThink + Math.random() * (this.maxThink - this.minThink)) * 1000;
+
+        input.value = '';
+        input.placeholder = THINKING_TEXT;
+        input.classList.add('computer-thinking');
+
+        this._after(thinkMs, () => {
+            input.classList.remove('computer-thinking');
+            input.classList.add('computer-typing');
+            input.placeholder = this.placeholder;
+
+            [...answer].forEach((character, index) => {
+                this._after((index + 1) * TYPING_DELAY, () => {
+                    input.value += character;
+                });
+            });
+
+            this._after((answer.length + 1) * TYPING_DELAY, () => {
+                input.classList.remove('computer-typing');
+                this.timeouts = [];
+                submit();
+            });
+        });
+    }
+
+    /**
+     * Stop thinking or typing (e.g. the turn timed out or the game was paused)
+     */
+    cancel() {
+        this.timeouts.forEach(timeout => clearTimeout(timeout));
+        this.timeouts = [];
+
+        if (this.input) {
+            this.input.classList.remove('computer-thinking', 'computer-typing');
+            this.input.placeholder = this.placeholder;
+        }
+    }
+
+    /**
+     * Whether the computer is part-way through an answer
+     * @returns {boolean} True while thinking or typing
+     */
+    isPlaying() {
+        return this.timeouts.length > 0;
+    }
+
+    /**
+     * The correct answer, or (as often as the accuracy says) a near miss
+     * @param {*} correctAnswer - The correct answer
+     * @returns {string} Answer to type
+     */
+    chooseAnswer(correctAnswer) {
+        const answer = String(correctAnswer);
+        if (Math.random() * 100 < this.accuracy) {
+            return answer;
+        }
+        return this._nearMiss(answer);
+    }
+
+    /**
+     * A believable wrong answer: off by a little for numbers and fractions
+     * @private
+     */
+    _nearMiss(answer) {
+        const offset = (1 + Math.floor(Math.random() * 3)) * (Math.random() < 0.5 ? -1 : 1);
+
+        // Fractions: nudge the numerator
+        const fraction = answer.match(/^(-?\d+)\/(\d+)$/);
+        if (fraction) {
+            const original = parseInt(fraction[1], 10);
+            const numerator = original + offset === 0 ? original + Math.abs(offset) : original + offset;
+            return `${numerator}/${fraction[2]}`;
+        }
+
+        const value = Number(answer);
+        if (answer.trim() !== '' && Number.isFinite(value)) {
+            // Keep the same number of decimal places (0.75 -> 0.76)
+            const decimals = (answer.split('.')[1] || '').length;
+            const step = Math.pow(10, -decimals);
+            return (value + offset * step).toFixed(decimals);
+        }
+
+        // Words: a slip of the keyboard
+        return answer.length > 1 ? answer.slice(0, -1) : `${answer}${answer}`;
+    }
+
+    /**
+     * Run a callback later, keeping track so it can be cancelled
+     * @private
+     */
+    _after(delay, callback) {
+        this.timeouts.push(setTimeout(callback, delay));
+    }
+}
@@ -0,0 +1,51 @@
+/**
+ * ConsoleChannel.js
+ * Link between a game tab and its teacher console in another window of the same
+ * browser, over BroadcastChannel.
+ *
+ * Console → game: {type: 'hello'} and {type: 'command', command, ...details}
+ * Game → console: {type: 'state', state} after every change, {type: 'closed'} when the tab closes
+ */
+
+export class ConsoleChannel {
+    /**
+     * @param {string} name - Channel name, the same in the game and its console
+     * @param {function} onMessage - Called with each message from the other side
+     * @param {function} [ChannelClass] - BroadcastChannel constructor (default: the browser's)
+     */
+    constructor(name, onMessage, ChannelClass = window.BroadcastChannel) {
+        this.channel = ChannelClass ? new ChannelClass(name) : null;
+
+        if (this.channel) {
+            this.channel.onmessage = (event) => onMessage(event.data);
+        }
+    }
+
+    /**
+     * Whether the browser can link windows at all
+     * @returns {boolean} True when BroadcastChannel is supported
+     */
+    isAvailable() {
+        return this.channel !== null;
+    }
+
+    /**
+     * Send a message to the other side
+     * @param {object} message - Message {type, ...}
+     */
+    send(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+        }
+    }
+
+    /**
+     * Stop listening
+     */
+    close() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+}
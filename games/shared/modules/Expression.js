@@ -0,0 +1,241 @@
+/**
+ * Expression.js
+ * Multi-step arithmetic expressions such as (12 + 4) × 3 - 5,
+ * with worked solutions that follow the order of operations
+ *
+ * Expressions are trees: a leaf is {value}, an operation is {operator, left, right}
+ */
+
+const PRECEDENCE = { '+': 1, '-': 1, '×': 2, '÷': 2 };
+
+export class Expression {
+    /**
+     * @param {object} root - Expression tree
+     */
+    constructor(root) {
+        this.root = root;
+    }
+
+    /**
+     * Build a random expression with whole-number, non-negative results at every step
+     * @param {object} options - Shape of the expression
+     * @param {number} options.operands - How many numbers it uses (2 or more)
+     * @param {number} options.maxNumber - Largest number to start with
+     * @param {number} options.maxProduct - Largest product allowed at any step
+     * @param {number} options.minNesting - Fewest levels of nested brackets
+     * @param {number} options.maxNesting - Most levels of nested brackets
+     * @returns {Expression} Random expression
+     */
+    static random({ operands = 3, maxNumber = 10, maxProduct = 100, minNesting = 0, maxNesting = 1 } = {}) {
+        let expression = null;
+
+        // Shapes are random, so retry until the brackets come out at the right depth
+        for (let attempt = 0; attempt < 200; attempt++) {
+            expression = new Expression(Expression._buildNode(operands, maxNumber, maxProduct));
+            const nesting = expression.getNesting();
+            if (nesting >= minNesting && nesting <= maxNesting) {
+                break;
+            }
+        }
+
+        return expression;
+    }
+
+    /**
+     * Build a random subtree with the given number of operands
+     * @private
+     */
+    static _buildNode(operands, maxNumber, maxProduct) {
+        if (operands === 1) {
+            return { value: Expression._randomInt(1, maxNumber) };
+        }
+
+        const operators = ['+', '-', '×', '÷'];
+        const operator = operators[Math.floor(Math.random() * operators.length)];
+
+        // Divide by a single number so it can be picked to go exactly
+        if (operator === '÷') {
+            const left = Expression._buildNode(operands - 1, maxNumber, maxProduct);
+            const dividend = Expression._evaluateNode(left);
+            const divisors = [];
+            for (let d = 2; d <= Math.min(12, dividend); d++) {
+                if (dividend % d === 0) divisors.push(d);
+            }
+
+            if (divisors.length > 0) {
+                const divisor = divisors[Math.floor(Math.random() * divisors.length)];
+                return { operator, left, right: { value: divisor } };
+            }
+
+            // Nothing divides it (0, 1 or a prime over 12), so add a number instead
+            return { operator: '+', left, right: Expression._buildNode(1, maxNumber) };
+        }
+
+        const leftOperands = Expression._randomInt(1, operands - 1);
+        let left = Expression._buildNode(leftOperands, maxNumber, maxProduct);
+        let right = Expression._buildNode(operands - leftOperands, maxNumber, maxProduct);
+        const leftValue = Expression._evaluateNode(left);
+        const rightValue = Expression._evaluateNode(right);
+
+        // Keep subtraction non-negative
+        if (operator === '-' && leftValue < rightValue) {
+            [left, right] = [right, left];
+        }
+
+        // Keep products to mental-maths size: one side must be a times-table number
+        if (operator === '×' &&
+            (Math.min(leftValue, rightValue) > 12 || leftValue * rightValue > maxProduct)) {
+            return { operator: '+', left, right };
+        }
+
+        return { operator, left, right };
+    }
+
+    /**
+     * @returns {number} Value of the whole expression
+     */
+    evaluate() {
+        return Expression._evaluateNode(this.root);
+    }
+
+    /**
+     * Write the expression with only the brackets it needs, e.g. "(12 + 4) × 3 - 5"
+     * @returns {string} Display text
+     */
+    toString() {
+        return Expression._formatNode(this.root);
+    }
+
+    /**
+     * Deepest level of nested brackets, e.g. 2 for "((1 + 2) × 3 - 4) × 5"
+     * @returns {number} Nesting depth (0 when there are no brackets)
+     */
+    getNesting() {
+        return Expression._nestingOf(this.root);
+    }
+
+    /**
+     * Worked solution, one operation per step: innermost brackets first,
+     * then × and ÷, then + and -, each from left to right
+     * @returns {string[]} Each stage of the expression, ending with the answer
+     */
+    getSteps() {
+        let node = this.root;
+        const steps = [Expression._formatNode(node)];
+
+        while (node.operator) {
+            node = Expression._reduceNext(node);
+            steps.push(Expression._formatNode(node));
+        }
+
+        return steps;
+    }
+
+    /**
+     * Work out one operation and return the smaller tree
+     * @private
+     */
+    static _reduceNext(root) {
+        // Operations whose two sides are already plain numbers, left to right,
+        // with the bracket they sit in and how deeply it is nested
+        const ready = [];
+        const collect = (node, depth, bracket) => {
+            if (!node.operator) return;
+            if (!node.left.operator && !node.right.operator) {
+                ready.push({ node, depth, bracket });
+                return;
+            }
+            for (const position of ['left', 'right']) {
+                const child = node[position];
+                if (Expression._needsBrackets(node, child, position)) {
+                    collect(child, depth + 1, child);
+                } else {
+                    collect(child, depth, bracket);
+                }
+            }
+        };
+        collect(root, 0, root);
+
+        // Innermost bracket first (leftmost if there are several), then × and ÷ inside it
+        const deepest = Math.max(...ready.map(item => item.depth));
+        const bracket = ready.find(item => item.depth === deepest).bracket;
+        const candidates = ready.filter(item => item.bracket === bracket);
+        const next = candidates.find(({ node }) => PRECEDENCE[node.operator] === 2) || candidates[0];
+
+        const replace = (node) => {
+            if (node === next.node) {
+                return { value: Expression._evaluateNode(node) };
+            }
+            if (!node.operator) return node;
+            return { ...node, left: replace(node.left), right: replace(node.right) };
+        };
+
+        return replace(root);
+    }
+
+    /**
+     * @private
+     */
+    static _evaluateNode(node) {
+        if (!node.operator) return node.value;
+
+        const left = Expression._evaluateNode(node.left);
+        const right = Expression._evaluateNode(node.right);
+
+        switch (node.operator) {
+            case '+': return left + right;
+            case '-': return left - right;
+            case '×': return left * right;
+            case '÷': return left / right;
+            default: return NaN;
+        }
+    }
+
+    /**
+     * @private
+     */
+    static _formatNode(node) {
+        if (!node.operator) return `${node.value}`;
+
+        const side = (child, position) => {
+            const text = Expression._formatNode(child);
+            return Expression._needsBrackets(node, child, position) ? `(${text})` : text;
+        };
+
+        return `${side(node.left, 'left')} ${node.operator} ${side(node.right, 'right')}`;
+    }
+
+    /**
+     * A child needs brackets when it binds more loosely than its parent,
+     * or sits on the right at the same level (8 - (3 + 2), 12 ÷ (6 ÷ 2))
+     * @private
+     */
+    static _needsBrackets(parent, child, position) {
+        if (!child.operator) return false;
+
+        const parentLevel = PRECEDENCE[parent.operator];
+        const childLevel = PRECEDENCE[child.operator];
+
+        return childLevel < parentLevel || (position === 'right' && childLevel === parentLevel);
+    }
+
+    /**
+     * @private
+     */
+    static _nestingOf(node) {
+        if (!node.operator) return 0;
+
+        const depth = (child, position) =>
+            Expression._nestingOf(child) + (Expression._needsBrackets(node, child, position) ? 1 : 0);
+
+        return Math.max(depth(node.left, 'left'), depth(node.right, 'right'));
+    }
+
+    /**
+     * Random whole number between min and max (inclusive)
+     * @private
+     */
+    static _randomInt(min, max) {
+        return Math.floor(Math.random() * (max - min + 1)) + min;
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * Fraction.js
+ * Exact rational numbers for fraction, decimal and negative-number questions
+ * Parses answers like "3/4", "1 1/2", "0.75" or "-12" without floating-point error
+ */
+
+export class Fraction {
+    /**
+     * @param {number} numerator - Whole-number numerator
+     * @param {number} denominator - Whole-number denominator (not 0)
+     */
+    constructor(numerator, denominator = 1) {
+        if (denominator === 0) {
+            throw new Error('Fraction denominator cannot be 0');
+        }
+
+        // Keep the sign on the numerator and store in lowest terms
+        const sign = denominator < 0 ? -1 : 1;
+        const divisor = Fraction.gcd(numerator, denominator) || 1;
+        this.numerator = (sign * numerator) / divisor;
+        this.denominator = Math.abs(denominator) / divisor;
+    }
+
+    /**
+     * Parse an answer written as an integer, decimal, fraction or mixed number
+     * @param {string|number} input - e.g. "-12", "0.75", "6/8", "1 3/4"
+     * @returns {{value: Fraction, simplified: boolean}|null} The value and whether it was
+     *          written in simplest form, or null when the input is not a number
+     */
+    static parse(input) {
+        if (input === null || input === undefined) return null;
+
+        // Accept the typographic minus sign that appears in question text
+        const text = String(input).trim().replace(/−/g, '-');
+
+        // Integer or decimal
+        const decimal = text.match(/^([-+]?)(\d*)\.?(\d*)$/);
+        if (decimal && (decimal[2] !== '' || decimal[3] !== '')) {
+            const places = decimal[3].length;
+            const digits = parseInt(`${decimal[2]}${decimal[3]}` || '0', 10);
+            const sign = decimal[1] === '-' ? -1 : 1;
+            return { value: new Fraction(sign * digits, Math.pow(10, places)), simplified: true };
+        }
+
+        // Fraction (3/4) or mixed number (1 3/4)
+        const fraction = text.match(/^([-+]?)(?:(\d+)\s+)?(\d+)\s*\/\s*(\d+)$/);
+        if (fraction) {
+            const whole = fraction[2] ? parseInt(fraction[2], 10) : 0;
+            const numerator = parseInt(fraction[3], 10);
+            const denominator = parseInt(fraction[4], 10);
+            if (denominator === 0) return null;
+
+            const sign = fraction[1] === '-' ? -1 : 1;
+            const value = new Fraction(sign * (whole * denominator + numerator), denominator);
+
+            // Simplest form: lowest terms, no "/1", and a proper fraction part in mixed numbers
+            const simplified = Fraction.gcd(numerator, denominator) === 1 &&
+                denominator !== 1 &&
+                (!fraction[2] || numerator < denominator);
+
+            return { value, simplified };
+        }
+
+        return null;
+    }
+
+    /**
+     * Greatest common divisor
+     * @param {number} a - Whole number
+     * @param {number} b - Whole number
+     * @returns {number} Greatest common divisor (non-negative)
+     */
+    static gcd(a, b) {
+        a = Math.abs(a);
+        b = Math.abs(b);
+        while (b) {
+            [a, b] = [b, a % b];
+        }
+        return a;
+    }
+
+    /**
+     * @param {Fraction} other - Fraction to add
+     * @returns {Fraction} Sum
+     */
+    add(other) {
+        return new Fraction(
+            this.numerator * other.denominator + other.numerator * this.denominator,
+            this.denominator * other.denominator
+        );
+    }
+
+    /**
+     * @param {Fraction} other - Fraction to subtract
+     * @returns {Fraction} Difference
+     */
+    subtract(other) {
+        return this.add(new Fraction(-other.numerator, other.denominator));
+    }
+
+    /**
+     * @param {Fraction} other - Fraction to multiply by
+     * @returns {Fraction} Product
+     */
+    multiply(other) {
+        return new Fraction(
+            this.numerator * other.numerator,
+            this.denominator * other.denominator
+        );
+    }
+
+    /**
+     * Check whether two fractions have the same value (6/8 equals 3/4)
+     * @param {Fraction} other - Fraction to compare
+     * @returns {boolean} True when equal
+     */
+    equals(other) {
+        return this.numerator === other.numerator && this.denominator === other.denominator;
+    }
+
+    /**
+     * @returns {number} Floating-point value
+     */
+    valueOf() {
+        return this.numerator / this.denominator;
+    }
+
+    /**
+     * @returns {string} Simplest form, e.g. "3/4", "-7/2" or "5"
+     */
+    toString() {
+        return this.denominator === 1
+            ? `${this.numerator}`
+            : `${this.numerator}/${this.denominator}`;
+    }
+
+    /**
+     * Write as a decimal (only exact for denominators made of 2s and 5s)
+     * @param {number} maxPlaces - Most decimal places to show
+     * @returns {string} Decimal without trailing zeros, e.g. "0.75"
+     */
+    toDecimalString(maxPlaces = 6) {
+        return String(parseFloat(this.valueOf().toFixed(maxPlaces)));
+    }
+}
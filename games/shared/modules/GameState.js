@@ -1,9 +1,17 @@
 /**
  * GameState.js
- * Central state management for Math Tug-of-War
+ * Central state management for arena versus games
  * Handles all game state without memory leaks
  */
 
+// Look of each player slot until players choose their own
+const DEFAULT_PROFILES = {
+    player1: { avatar: '🔴', color: '#EF4444' },
+    player2: { avatar: '🔵', color: '#3B82F6' },
+    player3: { avatar: '🟢', color: '#10B981' },
+    player4: { avatar: '🟡', color: '#F59E0B' }
+};
+
 export class GameState {
     constructor() {
         this.reset();
@@ -28,12 +36,20 @@ export class GameState {
         // Game settings
         this.settings = {
             difficulty: 'medium',        // easy, medium, hard
-            operation: 'mixed',          // addition, subtraction, multiplication, division, mixed
+            operation: 'mixed',          // addition, subtraction, multiplication, division, mixed,
+                                         // fractions, decimals, negatives
+            requireSimplified: false,    // fraction answers must be in simplest form
             timerEnabled: true,
             timerValue: 20,              // seconds per question
             soundEnabled: true,
             questionLimitEnabled: false,  // whether to limit number of questions
-            questionLimit: 40             // default: 40 questions
+            questionLimit: 40,            // default: 40 questions
+            playerCount: 2,               // players taking turns (1-4)
+            startOffset: 0,               // rope start: negative gives Player 1 a head start
+            handicaps: {},                // per-player overrides, e.g. {player1: {correctPull: 3,
+                                          // wrongPull: 0, timerValue: 30, difficulty: 'easy'}}
+            players: {}                   // chosen names and looks, e.g. {player1: {name: 'Aisha',
+                                          // avatar: '🦊', color: '#8B5CF6'}}
         };
 
         // Game status
@@ -54,6 +70,9 @@ export class GameState {
             timeouts: 0
         };
 
+        // Every answer given this match, in order (see recordAttempt)
+        this.attempts = [];
+
         // Win threshold
         this.WIN_THRESHOLD = 8;          // Rope must reach ±8 to win
         this.CORRECT_PULL_STRENGTH = 2;  // Pull 2 units toward player on correct
@@ -67,7 +86,8 @@ export class GameState {
      */
     updateRopePosition(isCorrect) {
         const direction = this.currentPlayer === 1 ? -1 : 1;
-        const strength = isCorrect ? this.CORRECT_PULL_STRENGTH : this.WRONG_PULL_STRENGTH;
+        const handicap = this.getHandicap(this.currentPlayer);
+        const strength = isCorrect ? handicap.correctPull : handicap.wrongPull;
 
         if (isCorrect) {
             // Correct answer: pull toward current player
@@ -84,10 +104,63 @@ export class GameState {
     }
 
     /**
-     * Switch to the other player
+     * Pull the rope toward a player outside an answer (e.g. a point awarded by the teacher)
+     * @param {number} player - Player number
+     * @param {number} strength - How far to pull (negative pulls away from the player)
+     * @returns {number} New rope position
+     */
+    pullToward(player, strength) {
+        const direction = player === 1 ? -1 : 1;
+        this.ropePosition = Math.max(-10, Math.min(10, this.ropePosition + direction * strength));
+        return this.ropePosition;
+    }
+
+    /**
+     * Pull strengths, timer and difficulty for a player, with their handicap applied
+     * @param {number} player - Player number
+     * @returns {{correctPull: number, wrongPull: number, timerValue: number, difficulty: string}}
+     */
+    getHandicap(player) {
+        const handicap = (this.settings.handicaps || {})[`player${player}`] || {};
+
+        return {
+            correctPull: handicap.correctPull ?? this.CORRECT_PULL_STRENGTH,
+            wrongPull: handicap.wrongPull ?? this.WRONG_PULL_STRENGTH,
+            timerValue: handicap.timerValue ?? this.settings.timerValue,
+            difficulty: handicap.difficulty ?? this.settings.difficulty
+        };
+    }
+
+    /**
+     * Name, avatar and colour for a player, with defaults for anything not chosen
+     * @param {number} player - Player number
+     * @returns {{name: string, avatar: string, color: string}} Profile (name is '' until one is entered)
+     */
+    getPlayerProfile(player) {
+        const profile = (this.settings.players || {})[`player${player}`] || {};
+        const defaults = DEFAULT_PROFILES[`player${player}`] || DEFAULT_PROFILES.player1;
+
+        return {
+            name: profile.name || '',
+            avatar: profile.avatar || defaults.avatar,
+            color: profile.color || defaults.color
+        };
+    }
+
+    /**
+     * Where the rope starts, kept short of either win line
+     * @returns {number} Starting rope position
+     */
+    getStartPosition() {
+        const limit = this.WIN_THRESHOLD - 1;
+        return Math.max(-limit, Math.min(limit, this.settings.startOffset || 0));
+    }
+
+    /**
+     * Switch to the next player in turn order
      */
     switchPlayer() {
-        this.currentPlayer = this.currentPlayer === 1 ? 2 : 1;
+        this.currentPlayer = this.currentPlayer % this.settings.playerCount + 1;
     }
 
     /**
@@ -119,6 +192,15 @@ export class GameState {
         }
     }
 
+    /**
+     * Log one answer for the post-match review
+     * @param {object} attempt - {player, name, question, text, operation, answer, correctAnswer,
+     *                           isCorrect, responseTime, timedOut}
+     */
+    recordAttempt(attempt) {
+        this.attempts.push({ ...attempt });
+    }
+
     /**
      * Check if game has reached win condition
      * @returns {string|null} Winner ('player1', 'player2') or null if no winner yet
@@ -199,5 +281,6 @@ export class GameState {
         this.scores = null;
         this.settings = null;
         this.stats = null;
+        this.attempts = null;
     }
 }
@@ -0,0 +1,95 @@
+/**
+ * GameStorage.js
+ * Keeps a game's settings and a checkpoint of the match in progress in localStorage,
+ * so a reload (or a crashed tab) does not lose them
+ */
+
+export class GameStorage {
+    /**
+     * @param {string} namespace - Prefix for the storage keys (e.g. "mathTugOfWar")
+     * @param {Storage} [storage] - Where to keep things (default: localStorage)
+     */
+    constructor(namespace, storage = null) {
+        this.settingsKey = `${namespace}.settings`;
+        this.checkpointKey = `${namespace}.checkpoint`;
+        this.storage = storage;
+    }
+
+    /**
+     * Load the saved settings
+     * @returns {object} Saved settings (empty when there are none, or storage is unavailable)
+     */
+    loadSettings() {
+        return this._read(this.settingsKey) || {};
+    }
+
+    /**
+     * Save settings
+     * @param {object} settings - Settings to keep
+     * @throws {Error} When storage is unavailable
+     */
+    saveSettings(settings) {
+        this._write(this.settingsKey, settings, 'Settings could not be saved in this browser.');
+    }
+
+    /**
+     * Load the checkpoint of an unfinished match
+     * @returns {object|null} Checkpoint, or null when there is none
+     */
+    loadCheckpoint() {
+        return this._read(this.checkpointKey);
+    }
+
+    /**
+     * Save a checkpoint of the match in progress
+     * @param {object} checkpoint - Match state
+     * @throws {Error} When storage is unavailable
+     */
+    saveCheckpoint(checkpoint) {
+        this._write(this.checkpointKey, checkpoint, 'The match could not be saved in this browser.');
+    }
+
+    /**
+     * Forget the checkpoint (the match finished or was reset)
+     */
+    clearCheckpoint() {
+        try {
+            this._getStorage().removeItem(this.checkpointKey);
+        } catch (error) {
+            // Nothing saved to remove
+        }
+    }
+
+    /**
+     * Storage to use (reading localStorage can throw when it is blocked, so callers catch)
+     * @private
+     */
+    _getStorage() {
+        return this.storage || window.localStorage;
+    }
+
+    /**
+     * Read a saved object (null when missing, corrupt or storage is unavailable)
+     * @private
+     */
+    _read(key) {
+        try {
+            const data = JSON.parse(this._getStorage().getItem(key) || 'null');
+            return data && typeof data === 'object' ? data : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Write an object
+     * @private
+     */
+    _write(key, value, failMessage) {
+        try {
+            this._getStorage().setItem(key, JSON.stringify(value));
+        } catch (error) {
+            throw new Error(failMessage);
+        }
+    }
+}
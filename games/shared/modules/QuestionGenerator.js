@@ -0,0 +1,465 @@
+/**
+ * QuestionGenerator.js
+ * Generates math questions based on difficulty and operation type
+ */
+
+import { Expression } from './Expression.js';
+import { Fraction } from './Fraction.js';
+import { WORD_PROBLEMS, WORD_PROBLEM_NAMES } from './WordProblems.js';
+
+export class QuestionGenerator {
+    constructor() {
+        // Define difficulty ranges
+        this.difficultyRanges = {
+            easy: { min: 1, max: 10 },
+            medium: { min: 1, max: 50 },
+            hard: { min: 1, max: 100 }
+        };
+    }
+
+    /**
+     * Generate a math question
+     * @param {string} operation - addition, subtraction, multiplication, division, mixed,
+     *                             fractions, decimals, negatives, expressions,
+     *                             missing or word-problems
+     * @param {string} difficulty - easy, medium, or hard
+     * @returns {object} Question object with text, answer, and operation
+     *                   (fraction and decimal answers are strings such as "3/4" or "0.75";
+     *                   expressions also carry their worked solution as steps; missing-number
+     *                   and word problems carry a display template where {?} marks the blank)
+     */
+    generateQuestion(operation, difficulty = 'medium') {
+        const selectedOp = operation === 'mixed'
+            ? this._getRandomOperation()
+            : operation;
+
+        switch (selectedOp) {
+            case 'addition':
+                return this._generateAddition(difficulty);
+            case 'subtraction':
+                return this._generateSubtraction(difficulty);
+            case 'multiplication':
+                return this._generateMultiplication(difficulty);
+            case 'division':
+                return this._generateDivision(difficulty);
+            case 'fractions':
+                return this._generateFractions(difficulty);
+            case 'decimals':
+                return this._generateDecimals(difficulty);
+            case 'negatives':
+                return this._generateNegatives(difficulty);
+            case 'expressions':
+                return this._generateExpression(difficulty);
+            case 'missing':
+                return this._generateMissingOperand(difficulty);
+            case 'word-problems':
+                return this._generateWordProblem(difficulty);
+            default:
+                return this._generateAddition(difficulty);
+        }
+    }
+
+    /**
+     * Validate user's answer
+     * Equivalent forms count as correct (6/8 = 3/4 = 0.75) unless simplest form is required
+     * @param {string|number} userAnswer - User's input, e.g. "-12", "0.75", "3/4" or "1 1/2"
+     * @param {string|number} correctAnswer - Correct answer
+     * @param {object} options - {requireSimplified: fractions must be in lowest terms}
+     * @returns {boolean} True if correct
+     */
+    validateAnswer(userAnswer, correctAnswer, { requireSimplified = false } = {}) {
+        // Handle empty or invalid input
+        if (userAnswer === '' || userAnswer === null || userAnswer === undefined) {
+            return false;
+        }
+
+        const given = Fraction.parse(userAnswer);
+        const expected = Fraction.parse(correctAnswer);
+
+        // Check if it's a valid number
+        if (!given || !expected) {
+            return false;
+        }
+
+        if (requireSimplified && !given.simplified) {
+            return false;
+        }
+
+        return given.value.equals(expected.value);
+    }
+
+    /**
+     * Get random operation for mixed mode
+     * @private
+     */
+    _getRandomOperation() {
+        const operations = ['addition', 'subtraction', 'multiplication', 'division'];
+        return operations[Math.floor(Math.random() * operations.length)];
+    }
+
+    /**
+     * Get random number within difficulty range
+     * @private
+     */
+    _getRandomNumber(difficulty) {
+        const range = this.difficultyRanges[difficulty] || this.difficultyRanges.medium;
+        return Math.floor(Math.random() * (range.max - range.min + 1)) + range.min;
+    }
+
+    /**
+     * Generate addition question
+     * @private
+     */
+    _generateAddition(difficulty) {
+        const a = this._getRandomNumber(difficulty);
+        const b = this._getRandomNumber(difficulty);
+
+        return {
+            text: `${a} + ${b}`,
+            answer: a + b,
+            operation: 'addition',
+            operands: [a, b]
+        };
+    }
+
+    /**
+     * Generate subtraction question
+     * Ensures result is non-negative
+     * @private
+     */
+    _generateSubtraction(difficulty) {
+        let a = this._getRandomNumber(difficulty);
+        let b = this._getRandomNumber(difficulty);
+
+        // Ensure a >= b for non-negative result
+        if (a < b) {
+            [a, b] = [b, a];
+        }
+
+        return {
+            text: `${a} - ${b}`,
+            answer: a - b,
+            operation: 'subtraction',
+            operands: [a, b]
+        };
+    }
+
+    /**
+     * Generate multiplication question
+     * Adjusts range for easier multiplication in easy mode
+     * @private
+     */
+    _generateMultiplication(difficulty) {
+        let a, b;
+
+        if (difficulty === 'easy') {
+            // Easy: multiplication tables (1-10)
+            a = Math.floor(Math.random() * 10) + 1;
+            b = Math.floor(Math.random() * 10) + 1;
+        } else if (difficulty === 'medium') {
+            // Medium: one factor small, one medium
+            a = Math.floor(Math.random() * 12) + 1;
+            b = Math.floor(Math.random() * 10) + 1;
+        } else {
+            // Hard: both can be larger
+            a = Math.floor(Math.random() * 20) + 1;
+            b = Math.floor(Math.random() * 20) + 1;
+        }
+
+        return {
+            text: `${a} × ${b}`,
+            answer: a * b,
+            operation: 'multiplication',
+            operands: [a, b]
+        };
+    }
+
+    /**
+     * Generate a times-table fact from the chosen tables
+     * @param {number[]} tables - Tables to drill (e.g. [2, 7, 12])
+     * @param {number} maxMultiplier - Largest multiplier (default: 12)
+     * @returns {object} Question object with text, answer, operation and table
+     */
+    generateTimesTableQuestion(tables, maxMultiplier = 12) {
+        const pool = tables && tables.length > 0 ? tables : [2, 3, 4, 5, 10];
+        const table = pool[Math.floor(Math.random() * pool.length)];
+        const multiplier = Math.floor(Math.random() * maxMultiplier) + 1;
+
+        // Show the fact either way round (7 × 3 or 3 × 7)
+        const [a, b] = Math.random() < 0.5 ? [table, multiplier] : [multiplier, table];
+
+        return {
+            text: `${a} × ${b}`,
+            answer: a * b,
+            operation: 'multiplication',
+            table
+        };
+    }
+
+    /**
+     * Generate division question
+     * Ensures whole number result
+     * @private
+     */
+    _generateDivision(difficulty) {
+        let divisor, quotient, dividend;
+
+        if (difficulty === 'easy') {
+            // Easy division: divisors 1-10, quotients 1-10
+            divisor = Math.floor(Math.random() * 9) + 2;  // 2-10
+            quotient = Math.floor(Math.random() * 10) + 1; // 1-10
+        } else if (difficulty === 'medium') {
+            // Medium: larger ranges
+            divisor = Math.floor(Math.random() * 9) + 2;   // 2-10
+            quotient = Math.floor(Math.random() * 20) + 1; // 1-20
+        } else {
+            // Hard: even larger
+            divisor = Math.floor(Math.random() * 12) + 2;  // 2-13
+            quotient = Math.floor(Math.random() * 30) + 1; // 1-30
+        }
+
+        dividend = divisor * quotient;
+
+        return {
+            text: `${dividend} ÷ ${divisor}`,
+            answer: quotient,
+            operation: 'division',
+            operands: [dividend, divisor]
+        };
+    }
+
+    /**
+     * Generate fraction addition or subtraction question
+     * Easy: same denominator, Medium: one denominator a multiple of the other,
+     * Hard: any denominators up to 12. Results are never negative.
+     * @private
+     */
+    _generateFractions(difficulty) {
+        let d1, d2;
+
+        if (difficulty === 'easy') {
+            d1 = d2 = this._randomInt(2, 8);
+        } else if (difficulty === 'medium') {
+            d1 = this._randomInt(2, 6);
+            d2 = d1 * this._randomInt(2, 3);
+            if (Math.random() < 0.5) [d1, d2] = [d2, d1];
+        } else {
+            d1 = this._randomInt(2, 12);
+            d2 = this._randomInt(2, 12);
+        }
+
+        const n1 = this._randomInt(1, d1 - 1);
+        const n2 = this._randomInt(1, d2 - 1);
+        let a = new Fraction(n1, d1);
+        let b = new Fraction(n2, d2);
+
+        // Show the fractions as generated (not reduced), e.g. 2/4 + 1/4
+        let aText = `${n1}/${d1}`;
+        let bText = `${n2}/${d2}`;
+
+        const isAddition = Math.random() < 0.5;
+        if (!isAddition && a.valueOf() < b.valueOf()) {
+            [a, b] = [b, a];
+            [aText, bText] = [bText, aText];
+        }
+
+        const result = isAddition ? a.add(b) : a.subtract(b);
+
+        return {
+            text: `${aText} ${isAddition ? '+' : '-'} ${bText}`,
+            answer: result.toString(),
+            operation: 'fractions'
+        };
+    }
+
+    /**
+     * Generate decimal question
+     * Easy: tenths +/-, Medium: hundredths +/-, Hard: hundredths +/- or tenths ×
+     * @private
+     */
+    _generateDecimals(difficulty) {
+        const places = difficulty === 'easy' ? 1 : 2;
+        const scale = Math.pow(10, places);
+        const max = difficulty === 'hard' ? 100 : (difficulty === 'medium' ? 20 : 10);
+
+        if (difficulty === 'hard' && Math.random() < 0.5) {
+            // Tenths multiplication, e.g. 1.5 × 0.4
+            const a = new Fraction(this._randomInt(1, 50), 10);
+            const b = new Fraction(this._randomInt(1, 20), 10);
+            return {
+                text: `${a.toDecimalString()} × ${b.toDecimalString()}`,
+                answer: a.multiply(b).toDecimalString(),
+                operation: 'decimals'
+            };
+        }
+
+        let a = new Fraction(this._randomInt(1, max * scale - 1), scale);
+        let b = new Fraction(this._randomInt(1, max * scale - 1), scale);
+
+        const isAddition = Math.random() < 0.5;
+        if (!isAddition && a.valueOf() < b.valueOf()) {
+            [a, b] = [b, a];
+        }
+
+        const result = isAddition ? a.add(b) : a.subtract(b);
+
+        return {
+            text: `${a.toDecimalString()} ${isAddition ? '+' : '-'} ${b.toDecimalString()}`,
+            answer: result.toDecimalString(),
+            operation: 'decimals'
+        };
+    }
+
+    /**
+     * Generate integer question with negative numbers
+     * Easy: addition within ±10, Medium: +/- within ±20, Hard: +/- within ±50 or × within ±12
+     * @private
+     */
+    _generateNegatives(difficulty) {
+        const operations = {
+            easy: ['addition'],
+            medium: ['addition', 'subtraction'],
+            hard: ['addition', 'subtraction', 'multiplication']
+        }[difficulty] || ['addition', 'subtraction'];
+        const operation = operations[Math.floor(Math.random() * operations.length)];
+
+        const limit = operation === 'multiplication'
+            ? 12
+            : { easy: 10, medium: 20, hard: 50 }[difficulty] || 20;
+
+        let a = this._randomNonZero(limit);
+        let b = this._randomNonZero(limit);
+
+        // Make sure there is at least one negative number
+        if (a > 0 && b > 0) {
+            if (Math.random() < 0.5) a = -a; else b = -b;
+        }
+
+        // Brackets keep a negative second number readable: 5 - (-3)
+        const bText = b < 0 ? `(${b})` : `${b}`;
+        const answers = { addition: a + b, subtraction: a - b, multiplication: a * b };
+
+        return {
+            text: `${a} ${this.getOperationSymbol(operation)} ${bText}`,
+            answer: answers[operation],
+            operation: 'negatives'
+        };
+    }
+
+    /**
+     * Generate multi-step order-of-operations question, e.g. (12 + 4) × 3 - 5
+     * Easy: 3 numbers, at most one bracket, Medium: 4 numbers with brackets,
+     * Hard: 5 numbers with nested brackets. Division always comes out whole.
+     * @private
+     */
+    _generateExpression(difficulty) {
+        const shapes = {
+            easy: { operands: 3, maxNumber: 10, maxProduct: 100, minNesting: 0, maxNesting: 1 },
+            medium: { operands: 4, maxNumber: 12, maxProduct: 144, minNesting: 1, maxNesting: 1 },
+            hard: { operands: 5, maxNumber: 20, maxProduct: 400, minNesting: 2, maxNesting: 2 }
+        };
+        const expression = Expression.random(shapes[difficulty] || shapes.medium);
+
+        return {
+            text: expression.toString(),
+            answer: expression.evaluate(),
+            operation: 'expressions',
+            steps: expression.getSteps()
+        };
+    }
+
+    /**
+     * Generate missing-number question, e.g. 7 × ? = 56 or ? - 13 = 29
+     * Uses the same numbers as the plain operation at this difficulty
+     * @private
+     */
+    _generateMissingOperand(difficulty) {
+        const base = this.generateQuestion(this._getRandomOperation(), difficulty);
+        const [a, b] = base.operands;
+        const symbol = this.getOperationSymbol(base.operation);
+
+        // Hide either the first or the second number
+        const hideFirst = Math.random() < 0.5;
+        const template = hideFirst
+            ? `{?} ${symbol} ${b} = ${base.answer}`
+            : `${a} ${symbol} {?} = ${base.answer}`;
+
+        return {
+            text: template.replace('{?}', '?'),
+            template,
+            answer: hideFirst ? a : b,
+            operation: 'missing'
+        };
+    }
+
+    /**
+     * Generate word problem from a story template, e.g.
+     * "Sam has 3 bags with 12 apples in each bag. How many apples is that altogether?"
+     * @private
+     */
+    _generateWordProblem(difficulty) {
+        const base = this.generateQuestion(this._getRandomOperation(), difficulty);
+        const [a, b] = base.operands;
+        const stories = WORD_PROBLEMS[base.operation];
+        const story = stories[Math.floor(Math.random() * stories.length)];
+        const name = WORD_PROBLEM_NAMES[Math.floor(Math.random() * WORD_PROBLEM_NAMES.length)];
+
+        const text = story
+            .replace(/\{name\}/g, name)
+            .replace(/\{a\}/g, a)
+            .replace(/\{b\}/g, b);
+
+        return {
+            text,
+            template: text,
+            answer: base.answer,
+            operation: 'word-problems'
+        };
+    }
+
+    /**
+     * Random whole number between min and max (inclusive)
+     * @private
+     */
+    _randomInt(min, max) {
+        return Math.floor(Math.random() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Random non-zero whole number between -limit and limit
+     * @private
+     */
+    _randomNonZero(limit) {
+        const value = this._randomInt(1, limit);
+        return Math.random() < 0.5 ? -value : value;
+    }
+
+    /**
+     * Get operation symbol for display
+     * @param {string} operation - Operation name
+     * @returns {string} Symbol
+     */
+    getOperationSymbol(operation) {
+        const symbols = {
+            addition: '+',
+            subtraction: '-',
+            multiplication: '×',
+            division: '÷'
+        };
+        return symbols[operation] || '+';
+    }
+
+    /**
+     * Get difficulty description
+     * @param {string} difficulty - Difficulty level
+     * @returns {string} Description
+     */
+    getDifficultyDescription(difficulty) {
+        const descriptions = {
+            easy: 'Numbers 1-10 (Grades 1-3)',
+            medium: 'Numbers 1-50 (Grades 4-6)',
+            hard: 'Numbers 1-100 (Grades 7-8)'
+        };
+        return descriptions[difficulty] || descriptions.medium;
+    }
+}
@@ -3,6 +3,12 @@
  * Handles smooth rope animation using Canvas and requestAnimationFrame
  */
 
+// Left and right ends of the rope until players choose their own look
+const DEFAULT_PLAYERS = [
+    { avatar: '🔴', color: '#EF4444', name: '' },
+    { avatar: '🔵', color: '#3B82F6', name: '' }
+];
+
 export class RopeRenderer {
     constructor(canvasElement) {
         this.canvas = canvasElement;
@@ -17,6 +23,9 @@ export class RopeRenderer {
         this.startPos = 0;
         this.endPos = 0;
 
+        // Who pulls each end
+        this.players = DEFAULT_PLAYERS.map(player => ({ ...player }));
+
         // Setup canvas size
         this.resizeCanvas();
         window.addEventListener('resize', () => this.resizeCanvas());
@@ -36,6 +45,15 @@ export class RopeRenderer {
         this.draw(this.currentPosition);
     }
 
+    /**
+     * Set the avatar, colour and name drawn at each end of the rope
+     * @param {object[]} players - [left, right] players {avatar, color, name}
+     */
+    setPlayers(players) {
+        this.players = DEFAULT_PLAYERS.map((defaults, index) => ({ ...defaults, ...players[index] }));
+        this.draw(this.currentPosition);
+    }
+
     /**
      * Animate rope from current position to new position
      * @param {number} newPosition - Target position (-10 to +10)
@@ -129,13 +147,18 @@ export class RopeRenderer {
      * @private
      */
     _drawVictoryZones(width, height) {
-        // Player 1 zone (left) - Red
-        this.ctx.fillStyle = 'rgba(239, 68, 68, 0.1)';
+        const [left, right] = this.players;
+        this.ctx.globalAlpha = 0.1;
+
+        // Player 1 zone (left)
+        this.ctx.fillStyle = left.color;
         this.ctx.fillRect(0, 0, width * 0.15, height);
 
-        // Player 2 zone (right) - Blue
-        this.ctx.fillStyle = 'rgba(59, 130, 246, 0.1)';
+        // Player 2 zone (right)
+        this.ctx.fillStyle = right.color;
         this.ctx.fillRect(width * 0.85, 0, width * 0.15, height);
+
+        this.ctx.globalAlpha = 1;
     }
 
     /**
@@ -192,23 +215,28 @@ export class RopeRenderer {
     _drawPlayers(centerX, centerY, width, height) {
         const playerSize = 50;
         const ropeLength = width * 0.6;
+        const [left, right] = this.players;
 
-        // Player 1 (left) - Red
-        const p1X = centerX - ropeLength / 2 - playerSize;
-        const p1Y = centerY;
+        // Player 1 (left), Player 2 (right)
+        const ends = [
+            { player: left, x: centerX - ropeLength / 2 - playerSize },
+            { player: right, x: centerX + ropeLength / 2 + playerSize }
+        ];
 
-        this.ctx.fillStyle = '#EF4444';
-        this.ctx.font = `${playerSize}px Arial`;
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'middle';
-        this.ctx.fillText('🔴', p1X, p1Y);
-
-        // Player 2 (right) - Blue
-        const p2X = centerX + ropeLength / 2 + playerSize;
-        const p2Y = centerY;
 
-        this.ctx.fillStyle = '#3B82F6';
-        this.ctx.fillText('🔵', p2X, p2Y);
+        ends.forEach(({ player, x }) => {
+            this.ctx.fillStyle = player.color;
+            this.ctx.font = `${playerSize}px Arial`;
+            this.ctx.fillText(player.avatar, x, centerY);
+
+            // Name under the avatar
+            if (player.name) {
+                this.ctx.font = 'bold 14px Arial';
+                this.ctx.fillText(player.name, x, centerY + playerSize * 0.8);
+            }
+        });
     }
 
     /**
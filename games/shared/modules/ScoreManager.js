@@ -0,0 +1,110 @@
+/**
+ * ScoreManager.js
+ * Manages player scores and win determination
+ */
+
+export class ScoreManager {
+    /**
+     * @param {number} playerCount - Number of players (default: 2)
+     */
+    constructor(playerCount = 2) {
+        this.setPlayerCount(playerCount);
+    }
+
+    /**
+     * Set number of players and clear all scores
+     * @param {number} count - Number of players
+     */
+    setPlayerCount(count) {
+        this.playerCount = count;
+        this.scores = {};
+        for (let player = 1; player <= count; player++) {
+            this.scores[`player${player}`] = 0;
+        }
+    }
+
+    /**
+     * Update score for a player
+     * @param {number} player - Player number (1 to playerCount)
+     * @param {number} points - Points to add (default: 1)
+     */
+    updateScore(player, points = 1) {
+        const key = `player${player}`;
+        if (key in this.scores) {
+            this.scores[key] += points;
+        }
+    }
+
+    /**
+     * Get current scores
+     * @returns {object} Scores object
+     */
+    getScores() {
+        return { ...this.scores };
+    }
+
+    /**
+     * Put back saved scores (e.g. when resuming a match)
+     * @param {object} scores - Scores {player1: 3, player2: 1, ...}
+     */
+    setScores(scores) {
+        for (const key of Object.keys(this.scores)) {
+            this.scores[key] = scores[key] || 0;
+        }
+    }
+
+    /**
+     * Get score for specific player
+     * @param {number} player - Player number
+     * @returns {number} Player's score
+     */
+    getPlayerScore(player) {
+        return this.scores[`player${player}`] || 0;
+    }
+
+    /**
+     * Determine winner based on current scores
+     * @returns {string|null} 'player1', 'player2', ... or 'tie'
+     */
+    determineWinner() {
+        const ranked = this._getRanked();
+        if (ranked.length > 1 && ranked[0][1] === ranked[1][1]) {
+            return 'tie';
+        }
+        return ranked[0][0];
+    }
+
+    /**
+     * Format scores for display
+     * @returns {string} Formatted score string
+     */
+    formatScoreDisplay() {
+        return Object.values(this.scores).join(' - ');
+    }
+
+    /**
+     * Reset scores to zero
+     */
+    reset() {
+        for (const key of Object.keys(this.scores)) {
+            this.scores[key] = 0;
+        }
+    }
+
+    /**
+     * Get score difference
+     * @returns {number} Difference between the top two scores
+     */
+    getScoreDifference() {
+        const ranked = this._getRanked();
+        return ranked.length > 1 ? ranked[0][1] - ranked[1][1] : ranked[0][1];
+    }
+
+    /**
+     * Score entries sorted from highest to lowest
+     * @private
+     */
+    _getRanked() {
+        return Object.entries(this.scores).sort((a, b) => b[1] - a[1]);
+    }
+}
@@ -0,0 +1,149 @@
+/**
+ * TeamRoster.js
+ * Team rosters for classroom play: whose turn it is within each team,
+ * and how many answers each student got right for their team
+ */
+
+// Longest name kept from a roster line
+const MAX_NAME_LENGTH = 30;
+
+export class TeamRoster {
+    /**
+     * @param {object} rosters - Student names per team {player1: string[], player2: string[]}
+     */
+    constructor(rosters = {}) {
+        this.setRosters(rosters);
+    }
+
+    /**
+     * Split typed roster text into names (one per line or comma-separated)
+     * @param {string} text - Roster text
+     * @returns {string[]} Names, blanks and repeats removed
+     */
+    static parseNames(text) {
+        return String(text)
+            .split(/[\n,]/)
+            .map(name => name.trim().slice(0, MAX_NAME_LENGTH))
+            .filter((name, index, names) => name !== '' && names.indexOf(name) === index);
+    }
+
+    /**
+     * Replace the rosters and clear all scores
+     * @param {object} rosters - Student names per team {player1: string[], player2: string[]}
+     */
+    setRosters(rosters) {
+        this.rosters = {};
+        for (const [key, names] of Object.entries(rosters)) {
+            this.rosters[key] = [...names];
+        }
+        this.reset();
+    }
+
+    /**
+     * Whether every listed team has at least one student
+     * @param {number} teamCount - Number of teams that must be filled
+     * @returns {boolean} True when all teams have names
+     */
+    isComplete(teamCount) {
+        for (let player = 1; player <= teamCount; player++) {
+            if (this.getNames(player).length === 0) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Names on a team
+     * @param {number} player - Team number
+     * @returns {string[]} Student names, in rotation order
+     */
+    getNames(player) {
+        return this.rosters[`player${player}`] || [];
+    }
+
+    /**
+     * Student whose turn it is on a team
+     * @param {number} player - Team number
+     * @returns {string|null} Student name, or null for an empty team
+     */
+    getCurrentStudent(player) {
+        const names = this.getNames(player);
+        if (names.length === 0) return null;
+        return names[(this.turns[player] || 0) % names.length];
+    }
+
+    /**
+     * Record the current student's answer and pass the turn to the next student on the team
+     * @param {number} player - Team number
+     * @param {boolean} isCorrect - Whether the answer was correct
+     * @returns {string|null} Student who answered
+     */
+    record(player, isCorrect) {
+        const name = this.getCurrentStudent(player);
+        if (name === null) return null;
+
+        const student = this._getStudent(player, name);
+        student.answered++;
+        if (isCorrect) {
+            student.correct++;
+        }
+
+        this.turns[player] = (this.turns[player] || 0) + 1;
+        return name;
+    }
+
+    /**
+     * Team total and each student's contribution
+     * @param {number} player - Team number
+     * @returns {{total: number, students: object[]}} Total correct, and {name, correct, answered} per student
+     */
+    getSummary(player) {
+        const students = this.getNames(player).map(name => ({
+            name,
+            ...this._getStudent(player, name)
+        }));
+        const total = students.reduce((sum, student) => sum + student.correct, 0);
+        return { total, students };
+    }
+
+    /**
+     * Back to the first student on each team, with no answers recorded
+     */
+    reset() {
+        this.turns = {};
+        this.students = {};
+    }
+
+    /**
+     * Whose turn it is and each student's tally, for saving
+     * @returns {{turns: object, students: object}} Rotation and tallies
+     */
+    toJSON() {
+        return {
+            turns: { ...this.turns },
+            students: JSON.parse(JSON.stringify(this.students))
+        };
+    }
+
+    /**
+     * Carry on from a saved rotation and tallies (the rosters must already be set)
+     * @param {{turns: object, students: object}} data - As returned by toJSON()
+     */
+    restore({ turns = {}, students = {} }) {
+        this.turns = { ...turns };
+        this.students = JSON.parse(JSON.stringify(students));
+    }
+
+    /**
+     * Get (or start) a student's tally
+     * @private
+     */
+    _getStudent(player, name) {
+        const key = `${player}:${name}`;
+        if (!this.students[key]) {
+            this.students[key] = { correct: 0, answered: 0 };
+        }
+        return this.students[key];
+    }
+}
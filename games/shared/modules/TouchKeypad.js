@@ -0,0 +1,91 @@
+/**
+ * TouchKeypad.js
+ * On-screen number keypad that types into an answer input
+ * Responds to pointerdown so two players can tap their own keypads at once on a smartboard
+ */
+
+const DEFAULT_KEYS = ['7', '8', '9', '4', '5', '6', '1', '2', '3', '-', '0', '.', '/', '⌫', '✓'];
+
+export class TouchKeypad {
+    /**
+     * @param {HTMLElement} container - Element to render the keys into
+     * @param {HTMLInputElement} input - Input the keys type into
+     * @param {object} options - Keypad options
+     * @param {function} options.onEnter - Called when ✓ is pressed
+     * @param {string[]} [options.keys] - Keys in reading order ('⌫' deletes, '✓' submits)
+     */
+    constructor(container, input, { onEnter, keys = DEFAULT_KEYS } = {}) {
+        this.container = container;
+        this.input = input;
+        this.onEnter = onEnter;
+        this.keys = keys;
+        this.buttons = [];
+
+        this._render();
+    }
+
+    /**
+     * Enable or disable every key
+     * @param {boolean} enabled - Whether keys can be pressed
+     */
+    setEnabled(enabled) {
+        this.buttons.forEach(button => {
+            button.disabled = !enabled;
+        });
+    }
+
+    /**
+     * Build the key buttons
+     * @private
+     */
+    _render() {
+        if (!this.container) return;
+
+        this.container.innerHTML = '';
+        this.container.classList.add('touch-keypad');
+
+        this.buttons = this.keys.map(key => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'keypad-key';
+            button.textContent = key;
+            button.disabled = true;
+
+            if (key === '⌫') {
+                button.classList.add('keypad-delete');
+                button.setAttribute('aria-label', 'Delete');
+            } else if (key === '✓') {
+                button.classList.add('keypad-enter');
+                button.setAttribute('aria-label', 'Submit answer');
+            }
+
+            // Touch and mouse press on pointerdown; keyboard activation arrives as a click
+            button.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                this._press(key);
+            });
+            button.addEventListener('click', (e) => {
+                if (e.detail === 0) this._press(key);
+            });
+
+            this.container.appendChild(button);
+            return button;
+        });
+    }
+
+    /**
+     * Apply a key press to the input
+     * @private
+     */
+    _press(key) {
+        if (!this.input || this.input.disabled) return;
+
+        if (key === '✓') {
+            if (this.onEnter) this.onEnter();
+        } else if (key === '⌫') {
+            this.input.value = this.input.value.slice(0, -1);
+        } else {
+            this.input.value += key;
+        }
+    }
+}
@@ -0,0 +1,339 @@
+/**
+ * Tournament.js
+ * Single- or double-elimination bracket for a class tournament
+ * The whole bracket is plain data, so it can be saved and picked up again after a reload
+ *
+ * A match slot holds a participant's name, null while waiting for an earlier match,
+ * or false for a bye (nobody will arrive). A player facing a bye goes straight through.
+ */
+
+export const TOURNAMENT_FORMATS = {
+    single: 'Single Elimination',
+    double: 'Double Elimination'
+};
+
+// Fewest participants for each format
+const MIN_PARTICIPANTS = { single: 2, double: 3 };
+
+export class Tournament {
+    /**
+     * @param {object} data - Saved bracket, as returned by toJSON()
+     */
+    constructor(data) {
+        this.format = data.format;
+        this.participants = [...data.participants];
+        this.matches = data.matches.map(match => ({
+            ...match,
+            players: [...match.players]
+        }));
+        this.champion = data.champion || null;
+    }
+
+    /**
+     * Build a new bracket
+     * @param {string[]} names - Participants, in seeding order
+     * @param {string} format - 'single' or 'double'
+     * @returns {Tournament} The new tournament
+     * @throws {Error} When there are too few or repeated names, or the format is unknown
+     */
+    static create(names, format = 'single') {
+        if (!TOURNAMENT_FORMATS[format]) {
+            throw new Error(`Unknown tournament format "${format}".`);
+        }
+        if (names.length < MIN_PARTICIPANTS[format]) {
+            throw new Error(`${TOURNAMENT_FORMATS[format]} needs at least ${MIN_PARTICIPANTS[format]} participants.`);
+        }
+        if (new Set(names).size < names.length) {
+            throw new Error('Each participant needs a different name.');
+        }
+
+        const rounds = Math.ceil(Math.log2(names.length));
+        const matches = format === 'double'
+            ? Tournament._buildDouble(rounds)
+            : Tournament._buildWinners(rounds, 'final');
+
+        const tournament = new Tournament({ format, participants: names, matches });
+        tournament._seed(names, Math.pow(2, rounds));
+        return tournament;
+    }
+
+    /**
+     * The next match that is ready to play
+     * @returns {object|null} Match {id, bracket, round, players}, or null when none is ready
+     */
+    getNextMatch() {
+        return this.matches.find(match => this._isReady(match)) || null;
+    }
+
+    /**
+     * Look up a match
+     * @param {string} id - Match id (e.g. "W1-2")
+     * @returns {object|null} Match, or null if unknown
+     */
+    getMatch(id) {
+        return this.matches.find(match => match.id === id) || null;
+    }
+
+    /**
+     * Record who won a match and move both players on through the bracket
+     * @param {string} id - Match id
+     * @param {string} winner - Name of the winner
+     * @throws {Error} When the match is not ready or the winner is not playing in it
+     */
+    recordResult(id, winner) {
+        const match = this.getMatch(id);
+        if (!match || !this._isReady(match)) {
+            throw new Error('That match is not ready to be played.');
+        }
+        if (!match.players.includes(winner)) {
+            throw new Error(`${winner} is not playing in this match.`);
+        }
+
+        this._decide(match, winner);
+    }
+
+    /**
+     * Whether a champion has been decided
+     * @returns {boolean} True once the tournament is over
+     */
+    isComplete() {
+        return this.champion !== null;
+    }
+
+    /**
+     * Matches grouped for display: one column per bracket round, in playing order
+     * @returns {{bracket: string, round: number, title: string, matches: object[]}[]} Rounds
+     */
+    getRounds() {
+        const rounds = [];
+        this.matches.forEach(match => {
+            if (match.skipped) return;
+
+            let round = rounds.find(r => r.bracket === match.bracket && r.round === match.round);
+            if (!round) {
+                round = {
+                    bracket: match.bracket,
+                    round: match.round,
+                    title: this._getRoundTitle(match),
+                    matches: []
+                };
+                rounds.push(round);
+            }
+            round.matches.push(match);
+        });
+        return rounds;
+    }
+
+    /**
+     * Matches still to be played, not counting byes or a grand-final decider that may not be needed
+     * @returns {number} Matches left
+     */
+    countRemaining() {
+        return this.matches.filter(match => {
+            if (match.winner !== null || match.skipped || match.players.includes(false)) return false;
+            return match.id !== 'GF2' || !match.players.includes(null);
+        }).length;
+    }
+
+    /**
+     * Plain data for saving
+     * @returns {object} Serializable bracket
+     */
+    toJSON() {
+        return {
+            format: this.format,
+            participants: [...this.participants],
+            matches: this.matches.map(match => ({ ...match, players: [...match.players] })),
+            champion: this.champion
+        };
+    }
+
+    /**
+     * Winners bracket: round r has 2^(rounds - r) matches; each winner meets the
+     * winner of the neighbouring match in the next round
+     * @private
+     */
+    static _buildWinners(rounds, finalBracket) {
+        const matches = [];
+        for (let round = 1; round <= rounds; round++) {
+            const count = Math.pow(2, rounds - round);
+            for (let index = 0; index < count; index++) {
+                const isLast = round === rounds;
+                matches.push(Tournament._match(
+                    Tournament._winnersId(round, index, rounds, finalBracket),
+                    isLast && finalBracket === 'final' ? 'final' : 'winners',
+                    round,
+                    isLast ? null : {
+                        id: Tournament._winnersId(round + 1, Math.floor(index / 2), rounds, finalBracket),
+                        slot: index % 2
+                    }
+                ));
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Double elimination: winners bracket, losers bracket and a grand final
+     * (played twice if the losers-bracket player wins the first one)
+     * @private
+     */
+    static _buildDouble(rounds) {
+        const matches = Tournament._buildWinners(rounds, 'winners');
+        const winnersFinal = matches[matches.length - 1];
+        winnersFinal.winnerTo = { id: 'GF', slot: 0 };
+
+        // Losers round 1 takes the first-round losers in pairs; after that, rounds alternate
+        // between meeting a player dropping down from the winners bracket and halving the field
+        const losersRounds = 2 * (rounds - 1);
+        for (let round = 1; round <= losersRounds; round++) {
+            const count = Math.pow(2, rounds - 1 - Math.ceil(round / 2));
+            for (let index = 0; index < count; index++) {
+                let winnerTo;
+                if (round === losersRounds) {
+                    winnerTo = { id: 'GF', slot: 1 };
+                } else if (round % 2 === 1) {
+                    winnerTo = { id: `L${round + 1}-${index + 1}`, slot: 0 };
+                } else {
+                    winnerTo = { id: `L${round + 1}-${Math.floor(index / 2) + 1}`, slot: index % 2 };
+                }
+                matches.push(Tournament._match(`L${round}-${index + 1}`, 'losers', round, winnerTo));
+            }
+        }
+
+        // Where each winners-bracket loser drops to
+        matches.filter(match => match.bracket === 'winners').forEach(match => {
+            const index = parseInt(match.id.split('-')[1], 10) - 1;
+            match.loserTo = match.round === 1
+                ? { id: `L1-${Math.floor(index / 2) + 1}`, slot: index % 2 }
+                : { id: `L${2 * (match.round - 1)}-${index + 1}`, slot: 1 };
+        });
+
+        matches.push(Tournament._match('GF', 'final', 1, null));
+        matches.push(Tournament._match('GF2', 'final', 2, null));
+        return matches;
+    }
+
+    /**
+     * Id of a winners-bracket match (the last round may be the final)
+     * @private
+     */
+    static _winnersId(round, index, rounds, finalBracket) {
+        return round === rounds && finalBracket === 'final' ? 'F' : `W${round}-${index + 1}`;
+    }
+
+    /**
+     * An empty match
+     * @private
+     */
+    static _match(id, bracket, round, winnerTo) {
+        return {
+            id,
+            bracket,
+            round,
+            players: [null, null],
+            winner: null,
+            loser: null,
+            winnerTo,
+            loserTo: null,
+            skipped: false
+        };
+    }
+
+    /**
+     * Place participants in the first round, spreading byes so nobody gets two
+     * @private
+     */
+    _seed(names, size) {
+        const firstRound = this.matches.filter(match =>
+            match.round === 1 && (match.bracket === 'winners' || match.id === 'F'));
+        const byes = size - names.length;
+        const fullMatches = firstRound.length - byes;
+
+        let next = 0;
+        firstRound.forEach((match, index) => {
+            match.players[0] = names[next++];
+            match.players[1] = index < fullMatches ? names[next++] : false;
+        });
+
+        firstRound.forEach(match => this._resolveByes(match));
+    }
+
+    /**
+     * A match is ready when both players are known and it has not been played
+     * @private
+     */
+    _isReady(match) {
+        return !match.winner && !match.skipped &&
+            match.players.every(player => typeof player === 'string');
+    }
+
+    /**
+     * Finish a match and send the winner and loser on
+     * @private
+     */
+    _decide(match, winner) {
+        const loser = match.players.find(player => player !== winner);
+        match.winner = winner;
+        match.loser = loser;
+
+        if (match.id === 'F' || match.id === 'GF2') {
+            this.champion = winner;
+            return;
+        }
+
+        if (match.id === 'GF') {
+            // The winners-bracket player has not lost yet, so the other player must win twice
+            if (winner === match.players[0]) {
+                this.champion = winner;
+                this.getMatch('GF2').skipped = true;
+            } else {
+                const rematch = this.getMatch('GF2');
+                rematch.players = [...match.players];
+            }
+            return;
+        }
+
+        this._send(match.winnerTo, winner);
+        this._send(match.loserTo, loser);
+    }
+
+    /**
+     * Put a player (or a bye) into a later match
+     * @private
+     */
+    _send(target, player) {
+        if (!target) return;
+
+        const match = this.getMatch(target.id);
+        match.players[target.slot] = player;
+        this._resolveByes(match);
+    }
+
+    /**
+     * Settle a match with a bye in it: the other player goes through, and a bye meets a bye
+     * @private
+     */
+    _resolveByes(match) {
+        if (match.winner || !match.players.includes(false) || match.players.includes(null)) return;
+
+        const player = match.players.find(name => name !== false);
+        match.winner = player === undefined ? false : player;
+        match.loser = false;
+        this._send(match.winnerTo, match.winner);
+        this._send(match.loserTo, false);
+    }
+
+    /**
+     * Column heading for a round
+     * @private
+     */
+    _getRoundTitle(match) {
+        if (match.id === 'F') return '🏆 Final';
+        if (match.id === 'GF') return '🏆 Grand Final';
+        if (match.id === 'GF2') return '🏆 Grand Final (decider)';
+
+        const prefix = match.bracket === 'losers' ? 'Losers ' : '';
+        return `${prefix}Round ${match.round}`;
+    }
+}
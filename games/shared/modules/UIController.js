@@ -3,20 +3,44 @@
  * Manages all DOM manipulations and UI updates
  */
 
+// Colour for each player slot
+const PLAYER_COLORS = {
+    player1: '#EF4444',
+    player2: '#3B82F6',
+    player3: '#10B981',
+    player4: '#F59E0B'
+};
+
 export class UIController {
     constructor(elements) {
         // Store DOM element references
         this.elements = elements;
         this.confettiActive = false;
+
+        // Chosen looks per player slot {player1: {label, avatar, color}}
+        this.playerProfiles = {};
     }
 
     /**
      * Update question display
-     * @param {string} questionText - Question to display
+     * @param {string} questionText - Question to display; {?} marks the answer blank,
+     *                                e.g. "7 × {?} = 56"
      */
     updateQuestion(questionText) {
         if (this.elements.questionDisplay) {
-            this.elements.questionDisplay.textContent = questionText;
+            // Render each {?} as a blank box in its place (one inline run so spacing is kept)
+            const line = document.createElement('span');
+            String(questionText).split('{?}').forEach((part, index) => {
+                if (index > 0) {
+                    const blank = document.createElement('span');
+                    blank.className = 'question-blank';
+                    blank.textContent = '?';
+                    line.appendChild(blank);
+                }
+                line.appendChild(document.createTextNode(part));
+            });
+            this.elements.questionDisplay.replaceChildren(line);
+
             // Add appear animation
             this.elements.questionDisplay.classList.remove('fade-in');
             void this.elements.questionDisplay.offsetWidth; // Trigger reflow
@@ -24,25 +48,99 @@ export class UIController {
         }
     }
 
+    /**
+     * Show a reading passage
+     * @param {object} passage - Passage {title, text}
+     * @param {boolean} reading - True during the reading phase (shows the Ready button)
+     */
+    showPassage(passage, reading) {
+        const display = this.elements.passageDisplay;
+        if (!display) return;
+
+        if (this.elements.passageTitle) {
+            this.elements.passageTitle.textContent = passage.title;
+        }
+        if (this.elements.passageText) {
+            this.elements.passageText.textContent = passage.text;
+        }
+        if (this.elements.readyBtn) {
+            this.elements.readyBtn.style.display = reading ? '' : 'none';
+        }
+
+        display.classList.toggle('reading', reading);
+        display.style.display = 'block';
+    }
+
+    /**
+     * Hide the reading passage
+     */
+    hidePassage() {
+        if (this.elements.passageDisplay) {
+            this.elements.passageDisplay.style.display = 'none';
+        }
+    }
+
     /**
      * Update current player indicator
-     * @param {number} player - Current player (1 or 2)
+     * @param {number} player - Current player (1 to 4)
      */
     updateCurrentPlayer(player) {
-        const p1Indicator = this.elements.player1Indicator;
-        const p2Indicator = this.elements.player2Indicator;
+        for (let slot = 1; slot <= 4; slot++) {
+            const indicator = this.elements[`player${slot}Indicator`];
+            if (indicator) {
+                indicator.classList.toggle('active', slot === player);
+            }
+        }
+    }
 
-        if (p1Indicator && p2Indicator) {
-            if (player === 1) {
-                p1Indicator.classList.add('active');
-                p2Indicator.classList.remove('active');
-            } else {
-                p2Indicator.classList.add('active');
-                p1Indicator.classList.remove('active');
+    /**
+     * Show indicators for active players only
+     * @param {number} count - Number of players (1 to 4)
+     */
+    updatePlayerCount(count) {
+        for (let slot = 1; slot <= 4; slot++) {
+            const display = slot <= count ? '' : 'none';
+            const indicator = this.elements[`player${slot}Indicator`];
+            const teacherDisplay = this.elements[`teacherScore${slot}Display`];
+            if (indicator) {
+                indicator.style.display = display;
+            }
+            if (teacherDisplay) {
+                teacherDisplay.closest('.teacher-score-card').style.display = display;
             }
         }
     }
 
+    /**
+     * Show a player's name, avatar and colour on their indicator, teacher score card and win announcement
+     * @param {number} player - Player slot (1 to 4)
+     * @param {{label: string, avatar: string, color: string}} profile - Name (e.g. "Aisha" or "Team 1"),
+     *                                                                   avatar emoji and CSS colour
+     */
+    updatePlayerProfile(player, { label, avatar, color }) {
+        this.playerProfiles[`player${player}`] = { label, avatar, color };
+
+        const indicator = this.elements[`player${player}Indicator`];
+        const teacherDisplay = this.elements[`teacherScore${player}Display`];
+        const teacherCard = teacherDisplay ? teacherDisplay.closest('.teacher-score-card') : null;
+
+        [indicator, teacherCard].forEach(container => {
+            if (!container) return;
+
+            const heading = container.querySelector('h3');
+            if (heading) {
+                heading.textContent = container === teacherCard ? `${avatar} ${label}` : label;
+            }
+            container.style.setProperty('--player-color', color);
+            container.classList.add('has-player-color');
+        });
+
+        const avatarDisplay = indicator ? indicator.querySelector('.player-avatar') : null;
+        if (avatarDisplay) {
+            avatarDisplay.textContent = avatar;
+        }
+    }
+
     /**
      * Show feedback for answer (correct/wrong)
      * @param {boolean} isCorrect - Whether answer was correct
@@ -82,14 +180,19 @@ export class UIController {
 
     /**
      * Update score display
-     * @param {object} scores - Scores object {player1, player2}
+     * @param {object} scores - Scores object {player1, player2, ...}
      */
     displayScore(scores) {
-        if (this.elements.score1Display) {
-            this.elements.score1Display.textContent = scores.player1;
-        }
-        if (this.elements.score2Display) {
-            this.elements.score2Display.textContent = scores.player2;
+        for (const [key, score] of Object.entries(scores)) {
+            const slot = key.replace('player', '');
+            const display = this.elements[`score${slot}Display`];
+            const teacherDisplay = this.elements[`teacherScore${slot}Display`];
+            if (display) {
+                display.textContent = score;
+            }
+            if (teacherDisplay) {
+                teacherDisplay.textContent = score;
+            }
         }
     }
 
@@ -112,27 +215,31 @@ export class UIController {
 
     /**
      * Show win overlay
-     * @param {string} winner - 'player1' or 'player2'
+     * @param {string} winner - 'player1', 'player2', ...
      * @param {object} scores -  Final scores
+     * @param {string} [winnerLabel] - Name to announce (default: "Player N")
      */
-    showWinOverlay(winner, scores) {
+    showWinOverlay(winner, scores, winnerLabel = null) {
         const overlay = this.elements.winOverlay;
         if (!overlay) return;
 
-        const winnerText = winner === 'player1' ? 'Player 1' : 'Player 2';
-        const winnerColor = winner === 'player1' ? '#EF4444' : '#3B82F6';
+        const profile = this.playerProfiles[winner] || {};
+        const winnerText = winnerLabel || profile.label || `Player ${winner.replace('player', '')}`;
+        const winnerColor = profile.color || PLAYER_COLORS[winner] || PLAYER_COLORS.player1;
 
         // Update overlay content
         const winnerDisplay = overlay.querySelector('.winner-name');
         const scoreDisplay = overlay.querySelector('.final-score');
 
         if (winnerDisplay) {
-            winnerDisplay.textContent = `${winnerText} Wins!`;
+            winnerDisplay.textContent = profile.avatar
+                ? `${profile.avatar} ${winnerText} Wins!`
+                : `${winnerText} Wins!`;
             winnerDisplay.style.color = winnerColor;
         }
 
         if (scoreDisplay) {
-            scoreDisplay.textContent = `Final Score: ${scores.player1} - ${scores.player2}`;
+            scoreDisplay.textContent = `Final Score: ${Object.values(scores).join(' - ')}`;
         }
 
         // Show overlay with animation
@@ -143,12 +250,38 @@ export class UIController {
         this.triggerConfetti();
     }
 
+    /**
+     * Show game-over overlay when nobody wins (e.g. a solo run ends)
+     * @param {string} message - Headline to show
+     * @param {object} scores - Final scores
+     */
+    showGameOverOverlay(message, scores) {
+        const overlay = this.elements.winOverlay;
+        if (!overlay) return;
+
+        const winnerDisplay = overlay.querySelector('.winner-name');
+        const scoreDisplay = overlay.querySelector('.final-score');
+
+        if (winnerDisplay) {
+            winnerDisplay.textContent = message;
+            winnerDisplay.style.color = '#6B7280';
+        }
+
+        if (scoreDisplay) {
+            scoreDisplay.textContent = `Final Score: ${Object.values(scores).join(' - ')}`;
+        }
+
+        overlay.style.display = 'flex';
+        overlay.classList.add('show');
+    }
+
     /**
      * Hide win overlay
      */
     hideWinOverlay() {
         const overlay = this.elements.winOverlay;
         if (overlay) {
+            this.showWinDetails([]);
             overlay.classList.remove('show');
             setTimeout(() => {
                 overlay.style.display = 'none';
@@ -157,6 +290,25 @@ export class UIController {
         this.stopConfetti();
     }
 
+    /**
+     * Show extra lines under the final score (e.g. the level each player reached)
+     * @param {string[]} lines - Lines to show; an empty list clears them
+     */
+    showWinDetails(lines) {
+        const details = this.elements.winOverlay
+            ? this.elements.winOverlay.querySelector('.win-details')
+            : null;
+        if (!details) return;
+
+        details.innerHTML = '';
+        lines.forEach(text => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            details.appendChild(line);
+        });
+        details.style.display = lines.length > 0 ? 'block' : 'none';
+    }
+
     /**
      * Trigger confetti animation
      */
@@ -0,0 +1,37 @@
+/**
+ * WordProblems.js
+ * Story templates for word problems, grouped by the operation they practise
+ * {name} is filled with a random name, {a} and {b} with the generated numbers
+ * (for division, {a} is the total and {b} what it is shared between)
+ */
+
+export const WORD_PROBLEM_NAMES = [
+    'Sam', 'Maya', 'Leo', 'Aisha', 'Ben', 'Priya', 'Noah', 'Zara', 'Tom', 'Mei'
+];
+
+export const WORD_PROBLEMS = {
+    addition: [
+        '{name} has {a} stickers and gets {b} more. How many stickers does {name} have now?',
+        'There are {a} children on the bus. At the next stop, {b} more get on. How many children are on the bus?',
+        '{name} read {a} pages on Monday and {b} pages on Tuesday. How many pages is that altogether?',
+        'A farmer has {a} cows and {b} sheep. How many animals does the farmer have in total?'
+    ],
+    subtraction: [
+        '{name} has {a} marbles and gives away {b}. How many marbles are left?',
+        'A baker makes {a} muffins and sells {b} of them. How many muffins are left?',
+        'There are {a} birds in a tree. {b} fly away. How many birds are still in the tree?',
+        '{name} needs {a} points to win and has {b} so far. How many more points does {name} need?'
+    ],
+    multiplication: [
+        '{name} has {a} bags with {b} apples in each bag. How many apples is that altogether?',
+        'A classroom has {a} rows of desks with {b} desks in each row. How many desks are there?',
+        'Each box holds {b} crayons. How many crayons are in {a} boxes?',
+        '{name} saves {b} coins every week for {a} weeks. How many coins does {name} save?'
+    ],
+    division: [
+        '{name} shares {a} sweets equally between {b} friends. How many sweets does each friend get?',
+        '{a} pupils line up in {b} equal teams. How many pupils are in each team?',
+        'A gardener plants {a} seeds in {b} equal rows. How many seeds are in each row?',
+        '{a} eggs are packed into boxes of {b}. How many boxes are needed?'
+    ]
+};
@@ -0,0 +1,77 @@
+/**
+ * index.js
+ * Main game controller - Spelling Rope Race on the shared versus engine
+ */
+
+import { VersusEngine } from '../shared/VersusEngine.js';
+import { RopeRenderer } from '../shared/modules/RopeRenderer.js';
+import { SpellingQuestionSource } from './modules/SpellingQuestionSource.js';
+
+class SpellingRopeRace extends VersusEngine {
+    constructor() {
+        super({
+            name: 'Spelling Rope Race',
+            questionSource: new SpellingQuestionSource(),
+            createRenderer: (canvas) => new RopeRenderer(canvas),
+            canvasId: 'ropeCanvas'
+        });
+
+        this.gameState.updateSettings({ gradeBand: 3, promptType: 'mixed' });
+    }
+
+    /**
+     * Cache DOM elements, including spelling-only settings
+     * @private
+     */
+    _cacheElements() {
+        super._cacheElements();
+        this.elements.gradeSelect = document.getElementById('gradeSelect');
+        this.elements.promptTypeSelect = document.getElementById('promptTypeSelect');
+    }
+
+    /**
+     * Setup settings listeners, including grade band and prompt type
+     * @private
+     */
+    _setupSettingsListeners() {
+        super._setupSettingsListeners();
+
+        if (this.elements.gradeSelect) {
+            this.elements.gradeSelect.addEventListener('change', (e) => {
+                this.gameState.updateSettings({ gradeBand: parseInt(e.target.value) });
+            });
+        }
+
+        if (this.elements.promptTypeSelect) {
+            this.elements.promptTypeSelect.addEventListener('change', (e) => {
+                this.gameState.updateSettings({ promptType: e.target.value });
+            });
+        }
+    }
+
+    /**
+     * Settings controls locked while a match is running
+     * @private
+     */
+    _getSettingsControls() {
+        return [
+            ...super._getSettingsControls(),
+            this.elements.gradeSelect,
+            this.elements.promptTypeSelect
+        ];
+    }
+}
+
+// Initialize game when DOM is ready
+document.addEventListener('DOMContentLoaded', async () => {
+    const game = new SpellingRopeRace();
+    await game.init();
+
+    // Cleanup on page unload
+    window.addEventListener('beforeunload', () => {
+        game.cleanup();
+    });
+
+    // Expose to window for debugging
+    window.spellingGame = game;
+});
@@ -0,0 +1,172 @@
+/**
+ * SpellingQuestionSource.js
+ * Generates spelling prompts (scrambled word, missing letter, definition)
+ * from grade-banded word lists
+ */
+
+import { WORD_LISTS } from './WordBank.js';
+
+export class SpellingQuestionSource {
+    constructor(wordLists = WORD_LISTS) {
+        this.wordLists = wordLists;
+        this.defaultGrade = 3;
+        this.promptTypes = ['scramble', 'missing', 'definition'];
+
+        // Avoid repeating a word until the grade list is exhausted
+        this.usedWords = new Set();
+    }
+
+    /**
+     * Generate the next spelling prompt
+     * @param {object} settings - Game settings (gradeBand, promptType)
+     * @returns {object} Question object with text, answer, operation and promptType
+     */
+    next(settings) {
+        const entry = this._pickWord(settings.gradeBand);
+        const promptType = !settings.promptType || settings.promptType === 'mixed'
+            ? this._getRandomPromptType()
+            : settings.promptType;
+
+        switch (promptType) {
+            case 'scramble':
+                return this._generateScramble(entry);
+            case 'missing':
+                return this._generateMissingLetter(entry);
+            case 'definition':
+                return this._generateDefinition(entry);
+            default:
+                return this._generateScramble(entry);
+        }
+    }
+
+    /**
+     * Validate user's spelling - case-insensitive, surrounding whitespace ignored
+     * @param {string} userAnswer - User's input
+     * @param {object} question - Current question
+     * @returns {boolean} True if spelled correctly
+     */
+    validate(userAnswer, question) {
+        if (userAnswer === '' || userAnswer === null || userAnswer === undefined) {
+            return false;
+        }
+
+        return this._normalize(userAnswer) === this._normalize(question.answer);
+    }
+
+    /**
+     * Format prompt for display
+     * @param {object} question - Question to display
+     * @returns {string} Display text
+     */
+    format(question) {
+        return question.text;
+    }
+
+    /**
+     * Normalize text for comparison
+     * @private
+     */
+    _normalize(text) {
+        return String(text).trim().toLowerCase();
+    }
+
+    /**
+     * Get random prompt type for mixed mode
+     * @private
+     */
+    _getRandomPromptType() {
+        return this.promptTypes[Math.floor(Math.random() * this.promptTypes.length)];
+    }
+
+    /**
+     * Pick an unused word from the grade band's list
+     * @private
+     */
+    _pickWord(gradeBand) {
+        const list = this.wordLists[gradeBand] || this.wordLists[this.defaultGrade];
+        let available = list.filter(entry => !this.usedWords.has(entry.word));
+
+        // Start over once every word has been used
+        if (available.length === 0) {
+            list.forEach(entry => this.usedWords.delete(entry.word));
+            available = list;
+        }
+
+        const entry = available[Math.floor(Math.random() * available.length)];
+        this.usedWords.add(entry.word);
+        return entry;
+    }
+
+    /**
+     * Generate scrambled-word prompt
+     * Ensures the scramble differs from the word itself
+     * @private
+     */
+    _generateScramble(entry) {
+        const letters = entry.word.split('');
+        let scrambled = entry.word;
+
+        for (let attempt = 0; attempt < 10 && scrambled === entry.word; attempt++) {
+            // Fisher-Yates shuffle
+            for (let i = letters.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [letters[i], letters[j]] = [letters[j], letters[i]];
+            }
+            scrambled = letters.join('');
+        }
+
+        return {
+            text: `🔀 ${scrambled.toUpperCase().split('').join(' ')}`,
+            answer: entry.word,
+            operation: 'spelling',
+            promptType: 'scramble'
+        };
+    }
+
+    /**
+     * Generate missing-letter prompt
+     * Longer words lose two letters
+     * @private
+     */
+    _generateMissingLetter(entry) {
+        const letters = entry.word.split('');
+        const blanks = letters.length >= 8 ? 2 : 1;
+        const hidden = new Set();
+
+        while (hidden.size < blanks) {
+            hidden.add(Math.floor(Math.random() * letters.length));
+        }
+
+        const masked = letters
+            .map((letter, i) => (hidden.has(i) ? '_' : letter))
+            .join(' ');
+
+        return {
+            text: `🔤 ${masked}`,
+            answer: entry.word,
+            operation: 'spelling',
+            promptType: 'missing'
+        };
+    }
+
+    /**
+     * Generate definition prompt
+     * @private
+     */
+    _generateDefinition(entry) {
+        return {
+            text: `📖 ${entry.definition}`,
+            answer: entry.word,
+            operation: 'spelling',
+            promptType: 'definition'
+        };
+    }
+
+    /**
+     * Get grade bands that have word lists
+     * @returns {number[]} Grades
+     */
+    getGradeBands() {
+        return Object.keys(this.wordLists).map(Number);
+    }
+}
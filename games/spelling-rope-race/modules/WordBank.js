@@ -0,0 +1,79 @@
+/**
+ * WordBank.js
+ * Spelling word lists grouped by grade band (Grades 2-7)
+ */
+
+export const WORD_LISTS = {
+    2: [
+        { word: 'cat', definition: 'A small furry pet that purrs' },
+        { word: 'jump', definition: 'To push yourself up into the air with your legs' },
+        { word: 'green', definition: 'The colour of grass' },
+        { word: 'fish', definition: 'An animal that lives and swims in water' },
+        { word: 'happy', definition: 'Feeling good and glad' },
+        { word: 'tree', definition: 'A tall plant with a trunk, branches and leaves' },
+        { word: 'milk', definition: 'A white drink that comes from cows' },
+        { word: 'book', definition: 'Pages with words that you read' },
+        { word: 'rain', definition: 'Water that falls from clouds' },
+        { word: 'sleep', definition: 'What you do in bed at night' }
+    ],
+    3: [
+        { word: 'friend', definition: 'Someone you like and enjoy spending time with' },
+        { word: 'because', definition: 'A word used to give a reason' },
+        { word: 'animal', definition: 'A living thing that can move and breathe, like a dog or bird' },
+        { word: 'school', definition: 'A place where children go to learn' },
+        { word: 'winter', definition: 'The coldest season of the year' },
+        { word: 'garden', definition: 'A piece of land where flowers or vegetables grow' },
+        { word: 'people', definition: 'Men, women and children' },
+        { word: 'answer', definition: 'What you give when someone asks a question' },
+        { word: 'family', definition: 'Parents and their children' },
+        { word: 'bridge', definition: 'Something built to cross over a river or road' }
+    ],
+    4: [
+        { word: 'beautiful', definition: 'Very pretty or pleasing to look at' },
+        { word: 'different', definition: 'Not the same' },
+        { word: 'question', definition: 'Something you ask to find out information' },
+        { word: 'library', definition: 'A place where you can borrow books' },
+        { word: 'weather', definition: 'Whether it is sunny, rainy, windy or snowy outside' },
+        { word: 'knowledge', definition: 'Facts and information that you know' },
+        { word: 'surprise', definition: 'Something you did not expect' },
+        { word: 'favourite', definition: 'The one you like best' },
+        { word: 'important', definition: 'Something that matters a lot' },
+        { word: 'journey', definition: 'A trip from one place to another' }
+    ],
+    5: [
+        { word: 'necessary', definition: 'Something that must be done or is needed' },
+        { word: 'separate', definition: 'To keep or move things apart' },
+        { word: 'environment', definition: 'The natural world around us' },
+        { word: 'temperature', definition: 'How hot or cold something is' },
+        { word: 'adventure', definition: 'An exciting or unusual experience' },
+        { word: 'exercise', definition: 'Physical activity that keeps you healthy' },
+        { word: 'mysterious', definition: 'Strange and hard to explain' },
+        { word: 'calendar', definition: 'A chart showing the days, weeks and months of a year' },
+        { word: 'government', definition: 'The group of people who run a country' },
+        { word: 'vegetable', definition: 'A plant or part of a plant you eat, like a carrot' }
+    ],
+    6: [
+        { word: 'accommodate', definition: 'To provide room or space for someone' },
+        { word: 'conscience', definition: 'The inner sense of right and wrong' },
+        { word: 'rhythm', definition: 'A regular repeated pattern of sounds or beats' },
+        { word: 'atmosphere', definition: 'The layer of gases around the Earth' },
+        { word: 'definitely', definition: 'Without any doubt' },
+        { word: 'occasionally', definition: 'Sometimes, but not often' },
+        { word: 'recommend', definition: 'To suggest something as good or suitable' },
+        { word: 'parliament', definition: 'The group of elected people who make laws' },
+        { word: 'embarrass', definition: 'To make someone feel awkward or ashamed' },
+        { word: 'privilege', definition: 'A special right or advantage' }
+    ],
+    7: [
+        { word: 'acquaintance', definition: 'A person you know slightly' },
+        { word: 'conscientious', definition: 'Careful to do things well and thoroughly' },
+        { word: 'hypothesis', definition: 'An idea that can be tested by experiment' },
+        { word: 'millennium', definition: 'A period of one thousand years' },
+        { word: 'silhouette', definition: 'A dark shape seen against a lighter background' },
+        { word: 'onomatopoeia', definition: 'A word that sounds like the noise it describes' },
+        { word: 'perseverance', definition: 'Continuing to try even when it is difficult' },
+        { word: 'questionnaire', definition: 'A written set of questions used to gather information' },
+        { word: 'mischievous', definition: 'Playfully causing small trouble' },
+        { word: 'pronunciation', definition: 'The way a word is spoken' }
+    ]
+};
@@ -0,0 +1,131 @@
+/**
+ * index.js
+ * Main game controller - Times Table Climbing Wall on the shared versus engine
+ */
+
+import { VersusEngine } from '../shared/VersusEngine.js';
+import { ClimbingWall } from './modules/ClimbingWall.js';
+import { ClimbingWallRenderer } from './modules/ClimbingWallRenderer.js';
+import { TimesTableQuestionSource } from './modules/TimesTableQuestionSource.js';
+
+const WALL_HOLDS = 10;
+const DEFAULT_TABLES = [2, 3, 4, 5, 10];
+
+class TimesTableClimbingWall extends VersusEngine {
+    constructor() {
+        const wall = new ClimbingWall(2, WALL_HOLDS);
+
+        super({
+            name: 'Times Table Climbing Wall',
+            questionSource: new TimesTableQuestionSource(),
+            createRenderer: (canvas) => new ClimbingWallRenderer(canvas, WALL_HOLDS),
+            canvasId: 'wallCanvas',
+            moveRule: (gameState, isCorrect) => (isCorrect
+                ? wall.climb(gameState.currentPlayer)
+                : wall.slip(gameState.currentPlayer)),
+            winRule: () => wall.getSummitWinner()
+        });
+
+        this.wall = wall;
+        this.gameState.updateSettings({ tables: DEFAULT_TABLES });
+    }
+
+    /**
+     * Cache DOM elements, including extra climbers and the table picker
+     * @private
+     */
+    _cacheElements() {
+        super._cacheElements();
+        this.elements.player3Indicator = document.getElementById('player3');
+        this.elements.player4Indicator = document.getElementById('player4');
+        this.elements.score3Display = document.getElementById('score3');
+        this.elements.score4Display = document.getElementById('score4');
+        this.elements.teacherScore3Display = document.getElementById('teacherScore3');
+        this.elements.teacherScore4Display = document.getElementById('teacherScore4');
+        this.elements.playerCountSelect = document.getElementById('playerCountSelect');
+        this.elements.tableCheckboxes = [...document.querySelectorAll('#tablePicker input[type="checkbox"]')];
+    }
+
+    /**
+     * Setup settings listeners, including climber count and tables
+     * @private
+     */
+    _setupSettingsListeners() {
+        super._setupSettingsListeners();
+
+        if (this.elements.playerCountSelect) {
+            this.elements.playerCountSelect.addEventListener('change', (e) => {
+                this.setClimberCount(parseInt(e.target.value));
+            });
+        }
+
+        this.elements.tableCheckboxes.forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                const tables = this.elements.tableCheckboxes
+                    .filter(box => box.checked)
+                    .map(box => parseInt(box.value));
+                this.gameState.updateSettings({ tables });
+            });
+        });
+    }
+
+    /**
+     * Initialize UI, showing one indicator per climber
+     * @private
+     */
+    _initializeUI() {
+        super._initializeUI();
+        this.uiController.updatePlayerCount(this.gameState.settings.playerCount);
+        this.resetBoard();
+    }
+
+    /**
+     * Settings controls locked while a match is running
+     * @private
+     */
+    _getSettingsControls() {
+        return [
+            ...super._getSettingsControls(),
+            this.elements.playerCountSelect,
+            ...this.elements.tableCheckboxes
+        ];
+    }
+
+    /**
+     * Change the number of climbers (1-4)
+     * @param {number} count - Number of climbers
+     */
+    setClimberCount(count) {
+        if (count < 1 || count > 4) return;
+
+        this.gameState.updateSettings({ playerCount: count });
+        this.scoreManager.setPlayerCount(count);
+        this.wall.setClimberCount(count);
+
+        this.uiController.updatePlayerCount(count);
+        this.uiController.displayScore(this.scoreManager.getScores());
+        this.resetBoard();
+    }
+
+    /**
+     * Send every climber back to the ground
+     */
+    resetBoard() {
+        this.wall.reset();
+        this.renderer.animateTo(this.wall.getHeights());
+    }
+}
+
+// Initialize game when DOM is ready
+document.addEventListener('DOMContentLoaded', async () => {
+    const game = new TimesTableClimbingWall();
+    await game.init();
+
+    // Cleanup on page unload
+    window.addEventListener('beforeunload', () => {
+        game.cleanup();
+    });
+
+    // Expose to window for debugging
+    window.climbingGame = game;
+});
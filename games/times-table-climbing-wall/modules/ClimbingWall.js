@@ -0,0 +1,73 @@
+/**
+ * ClimbingWall.js
+ * Tracks how high each climber is on the wall
+ */
+
+export const CLIMB_STEP = 1;  // Correct answer: up one hold
+export const SLIP_STEP = 1;   // Wrong answer: slip down one hold
+
+export class ClimbingWall {
+    /**
+     * @param {number} climberCount - Number of climbers (1-4)
+     * @param {number} holds - Holds between the ground and the summit
+     */
+    constructor(climberCount = 2, holds = 10) {
+        this.holds = holds;
+        this.setClimberCount(climberCount);
+    }
+
+    /**
+     * Set number of climbers and send everyone back to the ground
+     * @param {number} count - Number of climbers
+     */
+    setClimberCount(count) {
+        this.climberCount = count;
+        this.reset();
+    }
+
+    /**
+     * Move a climber up one hold
+     * @param {number} player - Player number (1-4)
+     * @returns {number[]} Heights of all climbers
+     */
+    climb(player) {
+        const index = player - 1;
+        this.heights[index] = Math.min(this.holds, this.heights[index] + CLIMB_STEP);
+        return this.getHeights();
+    }
+
+    /**
+     * Make a climber slip down, never below the ground
+     * @param {number} player - Player number (1-4)
+     * @returns {number[]} Heights of all climbers
+     */
+    slip(player) {
+        const index = player - 1;
+        this.heights[index] = Math.max(0, this.heights[index] - SLIP_STEP);
+        return this.getHeights();
+    }
+
+    /**
+     * Get heights of all climbers
+     * @returns {number[]} Heights (0 = ground, holds = summit)
+     */
+    getHeights() {
+        return [...this.heights];
+    }
+
+    /**
+     * Check whether anyone has reached the summit
+     * @returns {string|null} Winner ('player1' ... 'player4') or null
+     */
+    getSummitWinner() {
+        const index = this.heights.findIndex(height => height >= this.holds);
+        return index === -1 ? null : `player${index + 1}`;
+    }
+
+    /**
+     * Send all climbers back to the ground
+     */
+    reset() {
+        this.heights = new Array(this.climberCount).fill(0);
+    }
+}
@@ -0,0 +1,233 @@
+/**
+ * ClimbingWallRenderer.js
+ * Draws the climbing wall with one lane per climber using Canvas
+ * and animates climbs and slips with requestAnimationFrame
+ */
+
+// Lane colours match the player indicators
+const LANE_COLORS = ['#EF4444', '#3B82F6', '#10B981', '#F59E0B'];
+
+export class ClimbingWallRenderer {
+    /**
+     * @param {HTMLCanvasElement} canvasElement - Canvas to draw on
+     * @param {number} holds - Holds between the ground and the summit
+     */
+    constructor(canvasElement, holds = 10) {
+        this.canvas = canvasElement;
+        this.ctx = this.canvas.getContext('2d');
+        this.holds = holds;
+        this.animationFrameId = null;
+        this.currentHeights = [0, 0];
+
+        // Animation state
+        this.isAnimating = false;
+        this.animationStart = null;
+        this.animationDuration = 600; // ms
+        this.startHeights = [0, 0];
+        this.endHeights = [0, 0];
+
+        // Setup canvas size
+        this.resizeCanvas = this.resizeCanvas.bind(this);
+        this.resizeCanvas();
+        window.addEventListener('resize', this.resizeCanvas);
+    }
+
+    /**
+     * Resize canvas to match display size
+     */
+    resizeCanvas() {
+        const rect = this.canvas.getBoundingClientRect();
+        this.canvas.width = rect.width * window.devicePixelRatio;
+        this.canvas.height = rect.height * window.devicePixelRatio;
+        this.ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+        this.draw(this.currentHeights);
+    }
+
+    /**
+     * Animate climbers from current heights to new heights
+     * A change in climber count jumps straight to the new lanes
+     * @param {number[]} newHeights - Target height for each climber
+     */
+    animateTo(newHeights) {
+        // Cancel any ongoing animation
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+        }
+
+        const target = newHeights.map(h => Math.max(0, Math.min(this.holds, h)));
+        if (target.length !== this.currentHeights.length) {
+            this.currentHeights = new Array(target.length).fill(0);
+        }
+
+        this.isAnimating = true;
+        this.startHeights = [...this.currentHeights];
+        this.endHeights = target;
+        this.animationStart = performance.now();
+
+        // Start animation loop
+        this._animate(performance.now());
+    }
+
+    /**
+     * Animation loop using requestAnimationFrame
+     * @private
+     */
+    _animate(currentTime) {
+        if (!this.isAnimating) return;
+
+        const elapsed = currentTime - this.animationStart;
+        const progress = Math.min(elapsed / this.animationDuration, 1);
+
+        // Easing function (easeInOutCubic)
+        const eased = this._easeInOutCubic(progress);
+
+        this.currentHeights = this.startHeights.map(
+            (start, i) => start + (this.endHeights[i] - start) * eased
+        );
+        this.draw(this.currentHeights);
+
+        // Continue animation or complete
+        if (progress < 1) {
+            this.animationFrameId = requestAnimationFrame((time) => this._animate(time));
+        } else {
+            this.isAnimating = false;
+            this.currentHeights = [...this.endHeights];
+            this.animationFrameId = null;
+        }
+    }
+
+    /**
+     * Easing function for smooth animation
+     * @private
+     */
+    _easeInOutCubic(t) {
+        return t < 0.5
+            ? 4 * t * t * t
+            : 1 - Math.pow(-2 * t + 2, 3) / 2;
+    }
+
+    /**
+     * Draw wall with climbers at given heights
+     * @param {number[]} heights - Height of each climber
+     */
+    draw(heights) {
+        const rect = this.canvas.getBoundingClientRect();
+        const width = rect.width;
+        const height = rect.height;
+
+        // Clear canvas
+        this.ctx.clearRect(0, 0, width, height);
+
+        const topY = 40;
+        const groundY = height - 30;
+        const laneWidth = width / Math.max(heights.length, 1);
+
+        // Draw wall, summit and ground
+        this._drawWall(width, height, topY, groundY);
+
+        heights.forEach((climberHeight, i) => {
+            const laneX = laneWidth * i + laneWidth / 2;
+            const color = LANE_COLORS[i % LANE_COLORS.length];
+
+            this._drawHolds(laneX, topY, groundY, color);
+            this._drawClimber(laneX, this._heightToY(climberHeight, topY, groundY), color, i + 1);
+        });
+    }
+
+    /**
+     * Convert a hold number to a canvas y coordinate
+     * @private
+     */
+    _heightToY(climberHeight, topY, groundY) {
+        return groundY - (climberHeight / this.holds) * (groundY - topY);
+    }
+
+    /**
+     * Draw wall background, summit line and ground
+     * @private
+     */
+    _drawWall(width, height, topY, groundY) {
+        // Wall
+        this.ctx.fillStyle = '#E7E5E4';
+        this.ctx.fillRect(0, 0, width, height);
+
+        // Summit line
+        this.ctx.strokeStyle = '#F59E0B';
+        this.ctx.lineWidth = 3;
+        this.ctx.setLineDash([8, 6]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(0, topY);
+        this.ctx.lineTo(width, topY);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+
+        this.ctx.font = '22px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.fillText('🏁', 8, topY - 4);
+
+        // Ground
+        this.ctx.fillStyle = '#A8A29E';
+        this.ctx.fillRect(0, groundY, width, height - groundY);
+    }
+
+    /**
+     * Draw one hold per level in a lane
+     * @private
+     */
+    _drawHolds(laneX, topY, groundY, color) {
+        this.ctx.fillStyle = color;
+        this.ctx.globalAlpha = 0.35;
+
+        for (let hold = 1; hold <= this.holds; hold++) {
+            const y = this._heightToY(hold, topY, groundY);
+            // Stagger holds left and right like a real route
+            const x = laneX + (hold % 2 === 0 ? -14 : 14);
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, 7, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+
+        this.ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Draw a climber with their player number
+     * @private
+     */
+    _drawClimber(x, y, color, player) {
+        this.ctx.fillStyle = color;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, 20, 0, Math.PI * 2);
+        this.ctx.fill();
+
+        this.ctx.font = '26px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText('🧗', x, y);
+
+        this.ctx.fillStyle = '#1F2937';
+        this.ctx.font = 'bold 12px Arial';
+        this.ctx.fillText(`P${player}`, x, y + 30);
+    }
+
+    /**
+     * Get current heights
+     * @returns {number[]} Current climber heights
+     */
+    getCurrentHeights() {
+        return [...this.currentHeights];
+    }
+
+    /**
+     * Cleanup - cancel animations and remove listeners
+     */
+    cleanup() {
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        window.removeEventListener('resize', this.resizeCanvas);
+        this.isAnimating = false;
+    }
+}
@@ -0,0 +1,40 @@
+/**
+ * TimesTableQuestionSource.js
+ * Question source that drills the times tables chosen by the teacher
+ */
+
+import { QuestionGenerator } from '../../shared/modules/QuestionGenerator.js';
+
+export class TimesTableQuestionSource {
+    constructor(generator = new QuestionGenerator()) {
+        this.generator = generator;
+    }
+
+    /**
+     * Generate the next times-table fact
+     * @param {object} settings - Game settings (tables)
+     * @returns {object} Question object with text, answer, operation and table
+     */
+    next(settings) {
+        return this.generator.generateTimesTableQuestion(settings.tables);
+    }
+
+    /**
+     * Validate user's answer against a question
+     * @param {string} userAnswer - User's input
+     * @param {object} question - Current question
+     * @returns {boolean} True if correct
+     */
+    validate(userAnswer, question) {
+        return this.generator.validateAnswer(userAnswer, question.answer);
+    }
+
+    /**
+     * Format question for display
+     * @param {object} question - Question to display
+     * @returns {string} Display text
+     */
+    format(question) {
+        return `${question.text} = ?`;
+    }
+}
@@ -1,8 +1,10 @@
 // ========================================
 // Educational Games Platform - JavaScript
-// Interactive Category Filtering & Animations
+// Catalog-Driven Game Cards, Filtering & Animations
 // ========================================
 
+const CATALOG_URL = 'games/catalog.json';
+
 document.addEventListener('DOMContentLoaded', function () {
 
     // ========================================
@@ -18,69 +20,235 @@ document.addEventListener('DOMContentLoaded', function () {
     }
 
     // ========================================
-    // Category Filtering System
+    // Game Catalog
     // ========================================
+    const gamesGrid = document.getElementById('gamesGrid');
+    let gameCards = [];
+
+    async function loadCatalog() {
+        try {
+            const response = await fetch(CATALOG_URL);
+            if (!response.ok) {
+                throw new Error(`Failed to load game catalog (${response.status})`);
+            }
+            const catalog = await response.json();
+            renderGameCards(catalog);
+        } catch (error) {
+            console.error('Could not load the game catalog', error);
+            gamesGrid.innerHTML = '<p class="games-message">😕 Games could not be loaded. Please refresh the page.</p>';
+        }
+    }
+
+    function renderGameCards(catalog) {
+        gamesGrid.innerHTML = catalog.games
+            .map(game => createGameCard(game, catalog.subjects))
+            .join('') +
+            '<p class="games-message" id="noGamesMessage" style="display: none;">🔍 No games match these filters.</p>';
+
+        gameCards = gamesGrid.querySelectorAll('.game-card');
+        gameCards.forEach(card => {
+            // Set initial transition for smooth filtering
+            card.style.transition = 'opacity 0.3s ease, transform 0.3s ease';
+
+            card.addEventListener('mouseenter', function () {
+                this.style.transition = 'all 0.4s cubic-bezier(0.68, -0.55, 0.265, 1.55)';
+            });
+
+            observer.observe(card);
+        });
+
+        // Apply filters chosen before the cards arrived (or from the URL)
+        filterGames();
+    }
+
+    function createGameCard(game, subjects) {
+        const isPlayable = game.status === 'playable';
+        const badges = game.subjects.map(subject => {
+            const label = subjects[subject] ? subjects[subject].label : subject;
+            return `<span class="badge badge-${escapeHtml(subject)}">${escapeHtml(label)}</span>`;
+        }).join('');
+
+        return `
+            <div class="game-card" data-game-id="${escapeHtml(game.id)}"
+                data-category="${escapeHtml(game.subjects.join(' '))}"
+                data-grade-min="${game.grades.min}" data-grade-max="${game.grades.max}"
+                data-search="${escapeHtml(`${game.title} ${game.hook}`.toLowerCase())}">
+                <div class="game-icon">${escapeHtml(game.icon)}</div>
+                <h3 class="game-title">${escapeHtml(game.title)}${game.featured ? ' ⭐' : ''}</h3>
+                <p class="game-hook">${escapeHtml(game.hook)}</p>
+
+                <div class="game-meta">
+                    ${badges}
+                    <span class="badge badge-grade">Grades ${game.grades.min}-${game.grades.max}</span>
+                </div>
+
+                <div class="game-details">
+                    <div>🎮 <strong>${escapeHtml(game.players)}</strong></div>
+                    <div>📚 <strong>Learn:</strong> ${escapeHtml(game.learn)}</div>
+                    <div>⚙️ <strong>Features:</strong> ${escapeHtml(game.features)}</div>
+                </div>
+
+                <a href="${isPlayable ? escapeHtml(game.entry) : '#contact'}" class="btn-play">
+                    ${isPlayable ? 'Play Now 🚀' : 'Request Demo 🚀'}
+                </a>
+            </div>`;
+    }
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // ========================================
+    // Filtering System (subject, grade, search)
+    // ========================================
+    // Filter state lives in the query string (?subject=maths&grade=4&q=rope)
+    // so a filtered view can be shared
     const categoryTabs = document.querySelectorAll('.category-tab');
-    const gameCards = document.querySelectorAll('.game-card');
+    const gradeFilter = document.getElementById('gradeFilter');
+    const searchFilter = document.getElementById('searchFilter');
+    const filters = readFiltersFromUrl();
+    const fadeTimers = new Map();
+
+    // Show the filters from the URL in the controls
+    setActiveTab(filters.category);
+    if (gradeFilter) gradeFilter.value = filters.grade;
+    if (searchFilter) searchFilter.value = filters.search;
 
     categoryTabs.forEach(tab => {
         tab.addEventListener('click', function () {
-            const selectedCategory = this.getAttribute('data-category');
-
-            // Update active tab
-            categoryTabs.forEach(t => t.classList.remove('active'));
-            this.classList.add('active');
+            filters.category = this.getAttribute('data-category');
+            setActiveTab(filters.category);
 
             // Filter games with smooth animation
-            filterGames(selectedCategory);
+            applyFilters();
         });
     });
 
-    function filterGames(category) {
+    if (gradeFilter) {
+        gradeFilter.addEventListener('change', function () {
+            filters.grade = this.value;
+            applyFilters();
+        });
+    }
+
+    if (searchFilter) {
+        searchFilter.addEventListener('input', function () {
+            filters.search = this.value;
+            applyFilters();
+        });
+    }
+
+    function readFiltersFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        return {
+            category: params.get('subject') || 'all',
+            grade: params.get('grade') || '',
+            search: params.get('q') || ''
+        };
+    }
+
+    function writeFiltersToUrl() {
+        const params = new URLSearchParams();
+        if (filters.category !== 'all') params.set('subject', filters.category);
+        if (filters.grade) params.set('grade', filters.grade);
+        if (filters.search.trim()) params.set('q', filters.search.trim());
+
+        const query = params.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        history.replaceState(null, '', url);
+    }
+
+    function setActiveTab(category) {
+        categoryTabs.forEach(tab => {
+            tab.classList.toggle('active', tab.getAttribute('data-category') === category);
+        });
+    }
+
+    function applyFilters() {
+        writeFiltersToUrl();
+        filterGames();
+    }
+
+    function matchesFilters(card) {
+        // A game can belong to several subjects
+        const cardCategories = card.getAttribute('data-category').split(' ');
+        if (filters.category !== 'all' && !cardCategories.includes(filters.category)) {
+            return false;
+        }
+
+        if (filters.grade) {
+            const grade = parseInt(filters.grade);
+            const min = parseInt(card.getAttribute('data-grade-min'));
+            const max = parseInt(card.getAttribute('data-grade-max'));
+            if (grade < min || grade > max) {
+                return false;
+            }
+        }
+
+        const search = filters.search.trim().toLowerCase();
+        return !search || card.getAttribute('data-search').includes(search);
+    }
+
+    function filterGames() {
+        let visibleCount = 0;
+
         gameCards.forEach(card => {
-            const cardCategory = card.getAttribute('data-category');
+            // Cancel a fade still running from the previous filter change
+            clearTimeout(fadeTimers.get(card));
 
-            if (category === 'all' || cardCategory === category) {
+            if (matchesFilters(card)) {
+                visibleCount++;
                 // Show card with fade-in animation
                 card.style.display = 'block';
-                setTimeout(() => {
+                fadeTimers.set(card, setTimeout(() => {
                     card.style.opacity = '1';
                     card.style.transform = 'scale(1)';
-                }, 10);
+                }, 10));
             } else {
                 // Hide card with fade-out animation
                 card.style.opacity = '0';
                 card.style.transform = 'scale(0.95)';
-                setTimeout(() => {
+                fadeTimers.set(card, setTimeout(() => {
                     card.style.display = 'none';
-                }, 300);
+                }, 300));
             }
         });
+
+        const noGamesMessage = document.getElementById('noGamesMessage');
+        if (noGamesMessage) {
+            noGamesMessage.style.display = visibleCount === 0 ? 'block' : 'none';
+        }
     }
 
     // ========================================
     // Smooth Scroll for Navigation Links
     // ========================================
-    document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-        anchor.addEventListener('click', function (e) {
-            e.preventDefault();
-            const targetId = this.getAttribute('href');
+    // Delegated so links on rendered game cards (Request Demo) scroll too
+    document.addEventListener('click', function (e) {
+        const anchor = e.target.closest('a[href^="#"]');
+        if (!anchor) return;
 
-            if (targetId === '#') return;
+        e.preventDefault();
+        const targetId = anchor.getAttribute('href');
 
-            const targetElement = document.querySelector(targetId);
-            if (targetElement) {
-                targetElement.scrollIntoView({
-                    behavior: 'smooth',
-                    block: 'start'
-                });
+        if (targetId === '#') return;
 
-                // Close mobile menu if open
-                if (navLinks.classList.contains('active')) {
-                    navLinks.classList.remove('active');
-                }
+        const targetElement = document.querySelector(targetId);
+        if (targetElement) {
+            targetElement.scrollIntoView({
+                behavior: 'smooth',
+                block: 'start'
+            });
+
+            // Close mobile menu if open
+            if (navLinks.classList.contains('active')) {
+                navLinks.classList.remove('active');
             }
-        });
+        }
     });
 
     // ========================================
@@ -100,8 +268,8 @@ document.addEventListener('DOMContentLoaded', function () {
         });
     }, observerOptions);
 
-    // Observe game cards and benefit cards
-    document.querySelectorAll('.game-card, .benefit-card').forEach(card => {
+    // Observe benefit cards (game cards are observed once rendered)
+    document.querySelectorAll('.benefit-card').forEach(card => {
         observer.observe(card);
     });
 
@@ -145,15 +313,6 @@ document.addEventListener('DOMContentLoaded', function () {
         }
     }
 
-    // ========================================
-    // Game Card Hover Effect Enhancements
-    // ========================================
-    gameCards.forEach(card => {
-        card.addEventListener('mouseenter', function () {
-            this.style.transition = 'all 0.4s cubic-bezier(0.68, -0.55, 0.265, 1.55)';
-        });
-    });
-
     // ========================================
     // Add Dynamic Welcome Message
     // ========================================
@@ -161,10 +320,7 @@ document.addEventListener('DOMContentLoaded', function () {
     console.log('%cWhere learning feels like play!', 'font-size: 14px; color: #F59E0B;');
 
     // ========================================
-    // Initialize Category Display
+    // Render Game Cards
     // ========================================
-    // Set initial opacity for smooth transitions
-    gameCards.forEach(card => {
-        card.style.transition = 'opacity 0.3s ease, transform 0.3s ease';
-    });
+    loadCatalog();
 });